@@ -0,0 +1,66 @@
+// config/permissions.js
+
+export const ROLES = ['freelancer', 'client', 'admin', 'support', 'finance']
+
+// Permissões concedidas a cada papel ("*" concede todas)
+export const ROLE_PERMISSIONS = {
+	freelancer: ['proposal:create', 'proposal:read:own', 'review:create'],
+	client: [
+		'project:create',
+		'proposal:manage',
+		'payment:create',
+		'payment:process',
+		'payment:refund',
+		'review:create',
+	],
+	support: ['user:read', 'user:suspend', 'payment:read:any', 'project:moderate'],
+	finance: ['payment:read:any', 'payment:refund', 'payment:refund:any'],
+	admin: ['*'],
+}
+
+// Papéis que uma mesma conta pode acumular e alternar
+export const MARKETPLACE_ROLES = ['freelancer', 'client']
+
+// Papel de marketplace em uso: o solicitado (claim do token) se a conta o possuir,
+// senão o papel padrão da conta. Contas da equipe sem papel de marketplace retornam null.
+export const resolveActiveRole = (user, requestedRole) => {
+	if (requestedRole && user.hasRole(requestedRole)) return requestedRole
+	if (user.activeRole && user.hasRole(user.activeRole)) return user.activeRole
+	return MARKETPLACE_ROLES.includes(user.userType) ? user.userType : null
+}
+
+// Visão usada nas listagens do próprio usuário (painel, pagamentos, meus projetos): o papel
+// de marketplace ativo ou, para contas da equipe sem esse papel, a visão de cliente
+export const getMarketplaceView = (req) => req.activeRole || 'client'
+
+// Papéis usados na avaliação de permissões: o papel de marketplace ativo
+// mais o papel de equipe (admin, support, finance), se houver
+export const getUserRoles = (user, activeRole = resolveActiveRole(user)) => {
+	const roles = MARKETPLACE_ROLES.includes(user.userType) ? [] : [user.userType]
+	if (activeRole) roles.push(activeRole)
+	return roles
+}
+
+// Verifica se o usuário possui a permissão no papel ativo
+export const hasPermission = (user, permission, activeRole) =>
+	getUserRoles(user, activeRole).some((role) => {
+		const permissions = ROLE_PERMISSIONS[role] || []
+		return permissions.includes('*') || permissions.includes(permission)
+	})
+
+// Escopos disponíveis para chaves de API: "<recurso>:<read|write>", onde o recurso
+// é o prefixo da rota (/api/<recurso>). GET/HEAD exigem "read"; os demais métodos, "write".
+// Autenticação, gestão de chaves e rotas administrativas não aceitam chaves de API.
+export const API_KEY_SCOPES = [
+	'projects:read',
+	'projects:write',
+	'proposals:read',
+	'proposals:write',
+	'payments:read',
+	'payments:write',
+	'reviews:read',
+	'reviews:write',
+	'dashboard:read',
+	'users:read',
+	'skills:read',
+]
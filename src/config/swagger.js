@@ -32,6 +32,12 @@ const options = {
 					scheme: 'bearer',
 					bearerFormat: 'JWT',
 				},
+				apiKeyAuth: {
+					type: 'apiKey',
+					in: 'header',
+					name: 'Authorization',
+					description: 'Chave de API pessoal no formato "ApiKey fhk_..."',
+				},
 			},
 			schemas: {
 				User: {
@@ -41,7 +47,15 @@ const options = {
 						name: { type: 'string' },
 						email: { type: 'string', format: 'email' },
 						avatar: { type: 'string', default: '👤' },
-						userType: { type: 'string', enum: ['freelancer', 'client'] },
+						userType: {
+							type: 'string',
+							enum: ['freelancer', 'client', 'admin', 'support', 'finance'],
+						},
+						roles: {
+							type: 'array',
+							items: { type: 'string', enum: ['freelancer', 'client'] },
+						},
+						activeRole: { type: 'string', enum: ['freelancer', 'client'] },
 						profileComplete: { type: 'boolean', default: false },
 						title: { type: 'string' },
 						bio: { type: 'string' },
@@ -82,9 +96,201 @@ const options = {
 						timeline: { type: 'string' },
 						status: {
 							type: 'string',
-							enum: ['open', 'in_progress', 'completed', 'cancelled'],
+							enum: [
+								'draft',
+								'open',
+								'in_review',
+								'in_progress',
+								'delivered',
+								'completed',
+								'cancelled',
+								'disputed',
+							],
 							default: 'open',
 						},
+						statusHistory: {
+							type: 'array',
+							items: { $ref: '#/components/schemas/ProjectStatusChange' },
+						},
+						milestones: { type: 'array', items: { $ref: '#/components/schemas/Milestone' } },
+					},
+				},
+				ProjectStatusChange: {
+					type: 'object',
+					properties: {
+						from: { type: 'string' },
+						to: { type: 'string' },
+						action: { type: 'string' },
+						actor: { type: 'string', description: 'Vazio em transições automáticas' },
+						reason: { type: 'string' },
+						createdAt: { type: 'string', format: 'date-time' },
+					},
+				},
+				Milestone: {
+					type: 'object',
+					properties: {
+						_id: { type: 'string' },
+						title: { type: 'string' },
+						description: { type: 'string' },
+						amount: { type: 'number' },
+						dueDate: { type: 'string', format: 'date-time' },
+						status: {
+							type: 'string',
+							enum: ['pending', 'in_progress', 'submitted', 'approved', 'rejected'],
+						},
+						submission: {
+							type: 'object',
+							properties: {
+								message: { type: 'string' },
+								submittedAt: { type: 'string', format: 'date-time' },
+							},
+						},
+						feedback: { type: 'string' },
+						approvedAt: { type: 'string', format: 'date-time' },
+						payment: { type: 'string' },
+					},
+				},
+				Proposal: {
+					type: 'object',
+					properties: {
+						_id: { type: 'string' },
+						project: { type: 'string' },
+						freelancer: { $ref: '#/components/schemas/User' },
+						proposal: { type: 'string' },
+						bid: { type: 'number' },
+						timeline: { type: 'string' },
+						status: { type: 'string', enum: ['pending', 'accepted', 'rejected', 'withdrawn'] },
+						revision: { type: 'integer', description: 'Versão atual (1 = como enviada)' },
+						editedAt: { type: 'string', format: 'date-time', description: 'Última edição' },
+						withdrawnAt: { type: 'string', format: 'date-time' },
+						agreedOffer: { type: 'string', description: 'Contraproposta aceita' },
+						agreedAt: { type: 'string', format: 'date-time', description: 'Termos acordados' },
+						triage: {
+							$ref: '#/components/schemas/ProposalTriage',
+							description: 'Apenas na lista do cliente dono',
+						},
+						createdAt: { type: 'string', format: 'date-time' },
+						updatedAt: { type: 'string', format: 'date-time' },
+					},
+				},
+				ProposalRevision: {
+					type: 'object',
+					properties: {
+						revision: { type: 'integer' },
+						proposal: { type: 'string' },
+						bid: { type: 'number' },
+						timeline: { type: 'string' },
+						submittedAt: { type: 'string', format: 'date-time' },
+						replacedAt: { type: 'string', format: 'date-time' },
+					},
+				},
+				ProposalTriage: {
+					type: 'object',
+					description: 'Triagem privada do cliente',
+					properties: {
+						state: { type: 'string', enum: ['shortlisted', 'archived'], nullable: true },
+						note: { type: 'string' },
+						tags: { type: 'array', items: { type: 'string' } },
+						updatedAt: { type: 'string', format: 'date-time' },
+					},
+				},
+				ProposalComparison: {
+					type: 'object',
+					properties: {
+						_id: { type: 'string' },
+						status: { type: 'string' },
+						bid: { type: 'number' },
+						timeline: { type: 'string' },
+						agreedAt: { type: 'string', format: 'date-time' },
+						triage: { $ref: '#/components/schemas/ProposalTriage' },
+						createdAt: { type: 'string', format: 'date-time' },
+						freelancer: {
+							type: 'object',
+							properties: {
+								_id: { type: 'string' },
+								name: { type: 'string' },
+								avatar: { type: 'string' },
+								title: { type: 'string' },
+								rating: { type: 'number' },
+								completedProjects: { type: 'integer' },
+								hourlyRate: { type: 'number' },
+							},
+						},
+					},
+				},
+				CreditTransaction: {
+					type: 'object',
+					properties: {
+						_id: { type: 'string' },
+						type: { type: 'string', enum: ['monthly_grant', 'expired', 'proposal', 'refund'] },
+						amount: {
+							type: 'integer',
+							description: 'Positivo para créditos, negativo para débitos',
+						},
+						balanceAfter: { type: 'integer' },
+						period: { type: 'string', example: '2026-10' },
+						project: {
+							type: 'object',
+							properties: { _id: { type: 'string' }, title: { type: 'string' } },
+						},
+						proposal: { type: 'string' },
+						note: { type: 'string' },
+						createdAt: { type: 'string', format: 'date-time' },
+					},
+				},
+				CounterOffer: {
+					type: 'object',
+					properties: {
+						_id: { type: 'string' },
+						proposal: { type: 'string' },
+						project: { type: 'string' },
+						from: { type: 'string', enum: ['client', 'freelancer'] },
+						author: { $ref: '#/components/schemas/User' },
+						amount: { type: 'number' },
+						timeline: { type: 'string' },
+						note: { type: 'string' },
+						status: {
+							type: 'string',
+							enum: ['open', 'accepted', 'declined', 'countered', 'expired', 'cancelled'],
+						},
+						expiresAt: { type: 'string', format: 'date-time' },
+						respondedAt: { type: 'string', format: 'date-time' },
+						createdAt: { type: 'string', format: 'date-time' },
+					},
+				},
+				Attachment: {
+					type: 'object',
+					properties: {
+						id: { type: 'string' },
+						context: { type: 'string', enum: ['project', 'proposal', 'deliverable'] },
+						name: { type: 'string' },
+						mimeType: { type: 'string' },
+						size: { type: 'integer' },
+						sha256: { type: 'string' },
+						owner: { type: 'string' },
+						proposal: { type: 'string' },
+						deliverable: { type: 'string' },
+						createdAt: { type: 'string', format: 'date-time' },
+						downloadUrl: { type: 'string' },
+						downloadUrlExpiresAt: { type: 'string', format: 'date-time' },
+					},
+				},
+				Deliverable: {
+					type: 'object',
+					properties: {
+						_id: { type: 'string' },
+						project: { type: 'string' },
+						freelancer: { type: 'string' },
+						message: { type: 'string' },
+						attachments: { type: 'array', items: { $ref: '#/components/schemas/Attachment' } },
+						links: { type: 'array', items: { type: 'string' } },
+						round: { type: 'integer' },
+						status: { type: 'string', enum: ['pending', 'accepted', 'revision_requested'] },
+						revisionComment: { type: 'string' },
+						reviewedAt: { type: 'string', format: 'date-time' },
+						autoAcceptAt: { type: 'string', format: 'date-time' },
+						acceptedAutomatically: { type: 'boolean' },
+						createdAt: { type: 'string', format: 'date-time' },
 					},
 				},
 				AuthResponse: {
@@ -99,6 +305,57 @@ const options = {
 						token: { type: 'string' },
 					},
 				},
+				LegalDocument: {
+					type: 'object',
+					properties: {
+						id: { type: 'string' },
+						type: { type: 'string', enum: ['terms', 'privacy', 'marketing'] },
+						version: { type: 'integer' },
+						title: { type: 'string' },
+						summary: { type: 'string' },
+						content: { type: 'string' },
+						publishedAt: { type: 'string', format: 'date-time' },
+					},
+				},
+				DataExport: {
+					type: 'object',
+					properties: {
+						id: { type: 'string' },
+						status: {
+							type: 'string',
+							enum: ['pending', 'processing', 'completed', 'failed', 'expired'],
+						},
+						createdAt: { type: 'string', format: 'date-time' },
+						completedAt: { type: 'string', format: 'date-time' },
+						expiresAt: { type: 'string', format: 'date-time' },
+						fileSize: { type: 'integer' },
+						downloadUrl: { type: 'string' },
+						downloadUrlExpiresAt: { type: 'string', format: 'date-time' },
+					},
+				},
+				Suspension: {
+					type: 'object',
+					properties: {
+						id: { type: 'string' },
+						reason: { type: 'string' },
+						suspendedAt: { type: 'string', format: 'date-time' },
+						until: { type: 'string', format: 'date-time', nullable: true },
+						permanent: { type: 'boolean' },
+						active: { type: 'boolean' },
+						liftedAt: { type: 'string', format: 'date-time' },
+						appeal: {
+							type: 'object',
+							nullable: true,
+							properties: {
+								message: { type: 'string' },
+								status: { type: 'string', enum: ['pending', 'accepted', 'rejected'] },
+								submittedAt: { type: 'string', format: 'date-time' },
+								reviewedAt: { type: 'string', format: 'date-time' },
+								response: { type: 'string' },
+							},
+						},
+					},
+				},
 				Payment: {
 					type: 'object',
 					properties: {
@@ -144,7 +401,7 @@ const options = {
 				},
 			},
 		},
-		security: [{ bearerAuth: [] }],
+		security: [{ bearerAuth: [] }, { apiKeyAuth: [] }],
 	},
 	// 🔥 CORRIJA O CAMINHO DAS APIS - Teste estas opções:
 	apis: [
@@ -1,17 +1,169 @@
-import jwt from 'jsonwebtoken'
 import User from '../models/User.js'
+import Session from '../models/Session.js'
+import UserToken from '../models/UserToken.js'
+import { resolveActiveRole } from '../config/permissions.js'
+import { recordAuditEvent } from '../services/audit.js'
+import {
+	sendAccountLockedEmail,
+	sendPasswordResetEmail,
+	sendVerificationEmail,
+} from '../services/emails.js'
+import {
+	checkLoginAllowed,
+	registerLoginFailure,
+	registerLoginSuccess,
+	unlockAccount,
+} from '../services/loginThrottle.js'
+import {
+	signAccessToken,
+	signMfaChallengeToken,
+	signRefreshToken,
+	verifyRefreshToken,
+} from '../services/tokenService.js'
+import { hashToken } from '../utils/tokens.js'
 
-// Gera tokens
-const generateTokens = (userId) => {
-	const accessToken = jwt.sign({ userId }, process.env.ACCESS_TOKEN_SECRET, {
-		expiresIn: process.env.ACCESS_TOKEN_EXPIRES_IN || '15m',
+const refreshCookieOptions = {
+	httpOnly: true,
+	secure: process.env.NODE_ENV === 'production',
+	sameSite: 'strict',
+}
+
+// Dados do usuário retornados nas respostas de autenticação
+export const formatAuthUser = (user, activeRole = resolveActiveRole(user)) => ({
+	id: user._id,
+	name: user.name,
+	email: user.email,
+	userType: user.userType,
+	roles: user.roles,
+	activeRole,
+	avatar: user.avatar,
+	profileComplete: user.profileComplete,
+	emailVerified: user.emailVerified,
+})
+
+// Validade do link de verificação de email (padrão: 24h)
+const getEmailVerificationTtl = () =>
+	parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS || '24', 10) * 60 * 60 * 1000
+
+// Gera um novo token de verificação e envia por email
+export const startEmailVerification = async (user) => {
+	const token = await UserToken.issue(user._id, 'email_verification', getEmailVerificationTtl())
+	await sendVerificationEmail(user, token)
+}
+
+// Assina um novo refresh token para a sessão e grava o cookie
+const setRefreshToken = (res, userId, sessionId) => {
+	const refreshToken = signRefreshToken(userId, sessionId)
+	const { exp } = verifyRefreshToken(refreshToken)
+	const expiresAt = new Date(exp * 1000)
+
+	res.cookie('refreshToken', refreshToken, {
+		...refreshCookieOptions,
+		maxAge: expiresAt.getTime() - Date.now(),
 	})
 
-	const refreshToken = jwt.sign({ userId }, process.env.REFRESH_TOKEN_SECRET, {
-		expiresIn: process.env.REFRESH_TOKEN_EXPIRES_IN || '7d',
+	return { tokenHash: hashToken(refreshToken), expiresAt }
+}
+
+// Claims do access token derivados da sessão
+export const getSessionClaims = (session) => {
+	const claims = { sid: session._id.toString() }
+	if (session.mfaAuthenticatedAt) {
+		claims.mfa_at = Math.floor(session.mfaAuthenticatedAt.getTime() / 1000)
+	}
+	if (session.activeRole) {
+		claims.role = session.activeRole
+	}
+	return claims
+}
+
+// Cria uma sessão para o dispositivo, configura o cookie do refresh token
+// e retorna o access token
+export const issueAuthTokens = async (req, res, user, { mfaAuthenticated = false } = {}) => {
+	const session = new Session({
+		user: user._id,
+		userAgent: req.get('user-agent'),
+		ip: req.ip,
+		mfaAuthenticatedAt: mfaAuthenticated ? new Date() : undefined,
+		activeRole: resolveActiveRole(user) || undefined,
 	})
 
-	return { accessToken, refreshToken }
+	const { tokenHash, expiresAt } = setRefreshToken(res, user._id, session._id)
+	session.tokenHash = tokenHash
+	session.expiresAt = expiresAt
+	await session.save()
+
+	return signAccessToken(user._id, getSessionClaims(session))
+}
+
+// Responde 423 (bloqueio) ou 429 (backoff) com o tempo de espera
+export const respondLoginThrottled = (res, { locked, retryAfter }) => {
+	res.set('Retry-After', String(retryAfter))
+	return res.status(locked ? 423 : 429).json({
+		message: locked
+			? 'Conta temporariamente bloqueada por excesso de tentativas. Tente novamente mais tarde.'
+			: 'Muitas tentativas de login. Aguarde antes de tentar novamente.',
+		code: locked ? 'ACCOUNT_LOCKED' : 'TOO_MANY_ATTEMPTS',
+		retryAfter,
+	})
+}
+
+// Registra a falha de login e, se a conta acabou de ser bloqueada, envia o email de desbloqueio
+export const handleLoginFailure = async (req, res, email, user) => {
+	const result = await registerLoginFailure(email, req.ip)
+
+	await recordAuditEvent(req, {
+		action: 'auth.login_failed',
+		target: user ? { type: 'User', id: user._id } : undefined,
+		metadata: { email: String(email).toLowerCase(), locked: result.locked },
+	})
+
+	if (result.accountLockedNow && user) {
+		try {
+			const ttlMs = parseInt(process.env.LOGIN_LOCKOUT_MINUTES || '15', 10) * 60 * 1000
+			const token = await UserToken.issue(
+				user._id,
+				'account_unlock',
+				Math.max(ttlMs, 60 * 60 * 1000),
+			)
+			await sendAccountLockedEmail(user, token)
+		} catch (error) {
+			console.error('Erro ao enviar email de desbloqueio:', error)
+		}
+	}
+
+	if (result.locked) {
+		return respondLoginThrottled(res, result)
+	}
+
+	return res.status(401).json({
+		message: 'Credenciais inválidas',
+	})
+}
+
+// Conclui o login: contas com 2FA recebem um desafio MFA em vez dos tokens
+export const respondWithLogin = async (req, res, user, { message, status = 200 }) => {
+	if (user.mfa?.enabled) {
+		return res.status(status).json({
+			message: 'Informe o código de verificação em duas etapas',
+			mfaRequired: true,
+			mfaToken: signMfaChallengeToken(user._id),
+		})
+	}
+
+	const accessToken = await issueAuthTokens(req, res, user)
+
+	await recordAuditEvent(req, {
+		action: 'auth.login',
+		actor: user._id,
+		target: { type: 'User', id: user._id },
+	})
+
+	res.status(status).json({
+		message,
+		accessToken,
+		user: formatAuthUser(user),
+	})
 }
 
 // Login
@@ -26,48 +178,27 @@ export const login = async (req, res) => {
 			})
 		}
 
-		// Busca usuário
-		const user = await User.findOne({ email })
-		if (!user) {
-			return res.status(401).json({
-				message: 'Credenciais inválidas',
-			})
+		// Bloqueio/backoff por conta e por IP
+		const throttle = await checkLoginAllowed(email, req.ip)
+		if (!throttle.allowed) {
+			return respondLoginThrottled(res, throttle)
 		}
 
-		// Verifica senha (apenas para login por email)
-		if (user.loginType === 'email') {
-			const isPasswordValid = await user.correctPassword(password, user.password)
-			if (!isPasswordValid) {
-				return res.status(401).json({
-					message: 'Credenciais inválidas',
-				})
-			}
-		}
+		// Busca usuário
+		const user = await User.findOne({ email: String(email).toLowerCase() })
 
-		// Gera tokens
-		const { accessToken, refreshToken } = generateTokens(user._id)
+		// Contas criadas pelo Google não têm senha e só entram via /api/auth/google
+		if (!user || !user.password || !(await user.correctPassword(password, user.password))) {
+			return handleLoginFailure(req, res, email, user)
+		}
 
-		// Configura cookie do refresh token
-		res.cookie('refreshToken', refreshToken, {
-			httpOnly: true,
-			secure: process.env.NODE_ENV === 'production',
-			sameSite: 'strict',
-			maxAge: 7 * 24 * 60 * 60 * 1000, // 7 dias
-		})
+		// Com 2FA, o contador só é zerado após o segundo fator (evita tentativas ilimitadas de código)
+		if (!user.mfa?.enabled) {
+			await registerLoginSuccess(email)
+		}
 
-		// Retorna access token e dados do usuário
-		res.json({
-			message: 'Login realizado com sucesso',
-			accessToken,
-			user: {
-				id: user._id,
-				name: user.name,
-				email: user.email,
-				userType: user.userType,
-				avatar: user.avatar,
-				profileComplete: user.profileComplete,
-			},
-		})
+		// Gera tokens (ou o desafio MFA) e retorna os dados do usuário
+		await respondWithLogin(req, res, user, { message: 'Login realizado com sucesso' })
 	} catch (error) {
 		console.error('Erro no login:', error)
 		res.status(500).json({
@@ -76,7 +207,7 @@ export const login = async (req, res) => {
 	}
 }
 
-// Refresh Token
+// Refresh Token (com rotação e detecção de reutilização)
 export const refreshToken = async (req, res) => {
 	try {
 		const refreshToken = req.cookies.refreshToken
@@ -88,31 +219,58 @@ export const refreshToken = async (req, res) => {
 		}
 
 		// Verifica refresh token
-		const decoded = jwt.verify(refreshToken, process.env.REFRESH_TOKEN_SECRET)
+		const decoded = verifyRefreshToken(refreshToken)
+
+		const session = await Session.findOne({ _id: decoded.sid, user: decoded.sub })
+		if (!session || !session.isActive()) {
+			res.clearCookie('refreshToken', refreshCookieOptions)
+			return res.status(401).json({
+				message: 'Sessão encerrada. Faça login novamente.',
+				code: 'SESSION_REVOKED',
+			})
+		}
+
+		// Token válido, mas diferente do atual: um token já rotacionado foi
+		// reutilizado. Revoga a família inteira por segurança.
+		if (session.tokenHash !== hashToken(refreshToken)) {
+			await session.revoke('reuse_detected')
+			res.clearCookie('refreshToken', refreshCookieOptions)
+			return res.status(401).json({
+				message: 'Refresh token reutilizado. Sessão revogada por segurança.',
+				code: 'REFRESH_TOKEN_REUSED',
+			})
+		}
 
 		// Busca usuário
-		const user = await User.findById(decoded.userId)
+		const user = await User.findById(decoded.sub)
 		if (!user) {
 			return res.status(401).json({
 				message: 'Usuário não encontrado',
 			})
 		}
 
+		// Rotaciona o refresh token. A atualização condicional evita que duas
+		// requisições simultâneas rotacionem o mesmo token.
+		const { tokenHash, expiresAt } = setRefreshToken(res, user._id, session._id)
+		const rotated = await Session.findOneAndUpdate(
+			{ _id: session._id, tokenHash: session.tokenHash, revokedAt: null },
+			{ tokenHash, expiresAt, lastUsedAt: new Date(), ip: req.ip },
+		)
+
+		if (!rotated) {
+			res.clearCookie('refreshToken', refreshCookieOptions)
+			return res.status(401).json({
+				message: 'Refresh token já utilizado',
+				code: 'REFRESH_TOKEN_REUSED',
+			})
+		}
+
 		// Gera novo access token
-		const accessToken = jwt.sign({ userId: user._id }, process.env.ACCESS_TOKEN_SECRET, {
-			expiresIn: process.env.ACCESS_TOKEN_EXPIRES_IN || '15m',
-		})
+		const accessToken = signAccessToken(user._id, getSessionClaims(session))
 
 		res.json({
 			accessToken,
-			user: {
-				id: user._id,
-				name: user.name,
-				email: user.email,
-				userType: user.userType,
-				avatar: user.avatar,
-				profileComplete: user.profileComplete,
-			},
+			user: formatAuthUser(user, resolveActiveRole(user, session.activeRole)),
 		})
 	} catch (error) {
 		if (error.name === 'JsonWebTokenError') {
@@ -133,17 +291,370 @@ export const refreshToken = async (req, res) => {
 	}
 }
 
-// Logout
-export const logout = (req, res) => {
-	res.clearCookie('refreshToken', {
-		httpOnly: true,
-		secure: process.env.NODE_ENV === 'production',
-		sameSite: 'strict',
-	})
+// Logout (revoga a sessão do dispositivo atual)
+export const logout = async (req, res) => {
+	try {
+		const refreshToken = req.cookies.refreshToken
 
-	res.json({
-		message: 'Logout realizado com sucesso',
-	})
+		if (refreshToken) {
+			try {
+				const decoded = verifyRefreshToken(refreshToken)
+				await Session.updateOne(
+					{ _id: decoded.sid, user: decoded.sub, revokedAt: null },
+					{ revokedAt: new Date(), revokedReason: 'logout' },
+				)
+			} catch (error) {
+				// Token inválido ou expirado: basta limpar o cookie
+			}
+		}
+
+		res.clearCookie('refreshToken', refreshCookieOptions)
+
+		res.json({
+			message: 'Logout realizado com sucesso',
+		})
+	} catch (error) {
+		console.error('Erro no logout:', error)
+		res.status(500).json({
+			message: 'Erro interno do servidor',
+		})
+	}
+}
+
+// Listar sessões ativas (dispositivos logados)
+export const getSessions = async (req, res) => {
+	try {
+		const sessions = await Session.find({
+			user: req.user._id,
+			revokedAt: null,
+			expiresAt: { $gt: new Date() },
+		}).sort({ lastUsedAt: -1 })
+
+		res.json(
+			sessions.map((session) => ({
+				id: session._id,
+				userAgent: session.userAgent,
+				ip: session.ip,
+				createdAt: session.createdAt,
+				lastUsedAt: session.lastUsedAt,
+				expiresAt: session.expiresAt,
+				current: session._id.toString() === req.auth.sid,
+			})),
+		)
+	} catch (error) {
+		console.error('Erro ao buscar sessões:', error)
+		res.status(500).json({
+			message: 'Erro interno do servidor',
+		})
+	}
+}
+
+// Encerrar uma sessão (desconectar dispositivo)
+export const revokeSession = async (req, res) => {
+	try {
+		const session = await Session.findOne({ _id: req.params.id, user: req.user._id })
+
+		if (!session || !session.isActive()) {
+			return res.status(404).json({
+				message: 'Sessão não encontrada',
+			})
+		}
+
+		await session.revoke('user_revoked')
+
+		res.json({
+			message: 'Sessão encerrada com sucesso',
+		})
+	} catch (error) {
+		console.error('Erro ao encerrar sessão:', error)
+		res.status(500).json({
+			message: 'Erro interno do servidor',
+		})
+	}
+}
+
+// Verificar email
+export const verifyEmail = async (req, res) => {
+	try {
+		const { token } = req.body
+
+		if (!token) {
+			return res.status(400).json({
+				message: 'Token de verificação é obrigatório',
+			})
+		}
+
+		const userToken = await UserToken.consume(token, 'email_verification')
+		if (!userToken) {
+			return res.status(400).json({
+				message: 'Token de verificação inválido ou expirado',
+				code: 'INVALID_VERIFICATION_TOKEN',
+			})
+		}
+
+		const user = await User.findByIdAndUpdate(
+			userToken.user,
+			{ emailVerified: true, emailVerifiedAt: new Date() },
+			{ new: true },
+		)
+
+		if (!user) {
+			return res.status(404).json({
+				message: 'Usuário não encontrado',
+			})
+		}
+
+		res.json({
+			message: 'Email verificado com sucesso',
+			user: formatAuthUser(user),
+		})
+	} catch (error) {
+		console.error('Erro ao verificar email:', error)
+		res.status(500).json({
+			message: 'Erro interno do servidor',
+		})
+	}
+}
+
+// Reenviar email de verificação
+export const resendVerification = async (req, res) => {
+	try {
+		if (req.user.emailVerified) {
+			return res.status(400).json({
+				message: 'Email já verificado',
+			})
+		}
+
+		// Evita reenvios em sequência (1 por minuto)
+		const lastToken = await UserToken.findOne({
+			user: req.user._id,
+			type: 'email_verification',
+		}).sort({ createdAt: -1 })
+
+		if (lastToken && Date.now() - lastToken.createdAt.getTime() < 60 * 1000) {
+			return res.status(429).json({
+				message: 'Aguarde um minuto antes de solicitar um novo email',
+			})
+		}
+
+		await startEmailVerification(req.user)
+
+		res.json({
+			message: 'Email de verificação enviado',
+		})
+	} catch (error) {
+		console.error('Erro ao reenviar verificação:', error)
+		res.status(500).json({
+			message: 'Erro interno do servidor',
+		})
+	}
+}
+
+// Esqueci minha senha (resposta idêntica exista ou não o email)
+export const forgotPassword = async (req, res) => {
+	try {
+		const { email } = req.body
+
+		const user = await User.findOne({ email: String(email || '').toLowerCase() })
+
+		if (user) {
+			const ttlMinutes = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES || '60', 10)
+			const token = await UserToken.issue(user._id, 'password_reset', ttlMinutes * 60 * 1000)
+
+			try {
+				await sendPasswordResetEmail(user, token, ttlMinutes)
+			} catch (error) {
+				console.error('Erro ao enviar email de redefinição:', error)
+			}
+		}
+
+		res.json({
+			message: 'Se o email estiver cadastrado, você receberá um link para redefinir a senha',
+		})
+	} catch (error) {
+		console.error('Erro ao solicitar redefinição de senha:', error)
+		res.status(500).json({
+			message: 'Erro interno do servidor',
+		})
+	}
+}
+
+// Redefinir senha com o token recebido por email
+export const resetPassword = async (req, res) => {
+	try {
+		const { token, password } = req.body
+
+		const userToken = await UserToken.consume(token, 'password_reset')
+		if (!userToken) {
+			return res.status(400).json({
+				message: 'Token de redefinição inválido ou expirado',
+				code: 'INVALID_RESET_TOKEN',
+			})
+		}
+
+		const user = await User.findById(userToken.user)
+		if (!user) {
+			return res.status(404).json({
+				message: 'Usuário não encontrado',
+			})
+		}
+
+		user.password = password
+		await user.save()
+
+		// Encerra todas as sessões: quem pediu a redefinição precisa entrar novamente
+		await Session.revokeAllForUser(user._id, 'password_change')
+
+		await recordAuditEvent(req, {
+			action: 'auth.password_reset',
+			actor: user._id,
+			target: { type: 'User', id: user._id },
+		})
+
+		res.json({
+			message: 'Senha redefinida com sucesso. Faça login com a nova senha.',
+		})
+	} catch (error) {
+		console.error('Erro ao redefinir senha:', error)
+		res.status(500).json({
+			message: 'Erro interno do servidor',
+		})
+	}
+}
+
+// Alterar senha do usuário logado (exige a senha atual)
+export const changePassword = async (req, res) => {
+	try {
+		const { currentPassword, newPassword } = req.body
+		const user = req.user
+
+		if (!user.password) {
+			return res.status(400).json({
+				message: 'Conta sem senha definida. Use a recuperação de senha para criar uma.',
+			})
+		}
+
+		const isPasswordValid = await user.correctPassword(currentPassword, user.password)
+		if (!isPasswordValid) {
+			return res.status(401).json({
+				message: 'Senha atual incorreta',
+				code: 'INVALID_PASSWORD',
+			})
+		}
+
+		user.password = newPassword
+		await user.save()
+
+		// Mantém apenas a sessão atual; as demais e seus refresh tokens são revogados
+		await Session.revokeAllForUser(user._id, 'password_change', req.auth.sid)
+
+		await recordAuditEvent(req, {
+			action: 'auth.password_changed',
+			target: { type: 'User', id: user._id },
+		})
+
+		// O access token atual foi invalidado pela troca de senha: emite um novo
+		const accessToken = req.auth.sid
+			? signAccessToken(user._id, {
+					sid: req.auth.sid,
+					mfa_at: req.auth.mfa_at,
+					role: req.auth.role,
+				})
+			: await issueAuthTokens(req, res, user)
+
+		res.json({
+			message: 'Senha alterada com sucesso',
+			accessToken,
+		})
+	} catch (error) {
+		console.error('Erro ao alterar senha:', error)
+		res.status(500).json({
+			message: 'Erro interno do servidor',
+		})
+	}
+}
+
+// Desbloquear conta pelo link enviado por email
+export const unlockAccountWithToken = async (req, res) => {
+	try {
+		const { token } = req.body
+
+		const userToken = await UserToken.consume(token, 'account_unlock')
+		if (!userToken) {
+			return res.status(400).json({
+				message: 'Token de desbloqueio inválido ou expirado',
+				code: 'INVALID_UNLOCK_TOKEN',
+			})
+		}
+
+		const user = await User.findById(userToken.user)
+		if (!user) {
+			return res.status(404).json({
+				message: 'Usuário não encontrado',
+			})
+		}
+
+		await unlockAccount(user.email)
+
+		res.json({
+			message: 'Conta desbloqueada. Você já pode fazer login.',
+		})
+	} catch (error) {
+		console.error('Erro ao desbloquear conta:', error)
+		res.status(500).json({
+			message: 'Erro interno do servidor',
+		})
+	}
+}
+
+// Alternar o papel ativo (cliente/freelancer) da sessão atual
+export const switchActiveRole = async (req, res) => {
+	try {
+		const { role } = req.body
+		const user = req.user
+
+		if (!user.hasRole(role)) {
+			return res.status(403).json({
+				message: 'Sua conta não possui este papel',
+				code: 'ROLE_NOT_AVAILABLE',
+			})
+		}
+
+		// O papel escolhido passa a ser o padrão das próximas sessões
+		user.activeRole = role
+		await user.save()
+
+		let accessToken
+		if (req.auth.sid) {
+			const session = await Session.findOneAndUpdate(
+				{ _id: req.auth.sid, user: user._id, revokedAt: null },
+				{ activeRole: role },
+				{ new: true },
+			)
+
+			if (!session) {
+				return res.status(401).json({
+					message: 'Sessão encerrada. Faça login novamente.',
+					code: 'SESSION_REVOKED',
+				})
+			}
+
+			accessToken = signAccessToken(user._id, getSessionClaims(session))
+		} else {
+			accessToken = await issueAuthTokens(req, res, user)
+		}
+
+		res.json({
+			message: 'Papel ativo alterado',
+			accessToken,
+			user: formatAuthUser(user, role),
+		})
+	} catch (error) {
+		console.error('Erro ao alterar papel ativo:', error)
+		res.status(500).json({
+			message: 'Erro interno do servidor',
+		})
+	}
 }
 
 // Meu perfil (rota protegida)
@@ -0,0 +1,342 @@
+import crypto from 'crypto'
+import User from '../models/User.js'
+import Session from '../models/Session.js'
+import {
+	formatAuthUser,
+	getSessionClaims,
+	handleLoginFailure,
+	issueAuthTokens,
+	respondLoginThrottled,
+} from './authController.js'
+import { recordAuditEvent } from '../services/audit.js'
+import {
+	checkLoginAllowed,
+	registerLoginFailure,
+	registerLoginSuccess,
+} from '../services/loginThrottle.js'
+import { buildOtpauthUri, generateTotpSecret, verifyTotp } from '../services/totp.js'
+import { signAccessToken, verifyMfaChallengeToken } from '../services/tokenService.js'
+import { decryptSecret, encryptSecret } from '../utils/encryption.js'
+import { hashToken } from '../utils/tokens.js'
+
+const RECOVERY_CODES_COUNT = 10
+
+const normalizeRecoveryCode = (code) =>
+	String(code || '')
+		.toLowerCase()
+		.replace(/[^a-f0-9]/g, '')
+
+// Gera códigos de recuperação de uso único. Retorna os códigos (exibidos uma
+// única vez) e os hashes que ficam armazenados.
+const generateRecoveryCodes = () => {
+	const codes = Array.from({ length: RECOVERY_CODES_COUNT }, () => {
+		const raw = crypto.randomBytes(5).toString('hex')
+		return `${raw.slice(0, 5)}-${raw.slice(5)}`
+	})
+
+	return {
+		codes,
+		hashes: codes.map((code) => ({ codeHash: hashToken(normalizeRecoveryCode(code)) })),
+	}
+}
+
+// Valida o segundo fator (código TOTP ou código de recuperação) e salva o usuário.
+// Códigos TOTP já usados e códigos de recuperação consumidos são recusados.
+export const verifySecondFactor = async (user, { code, recoveryCode }) => {
+	if (!user.mfa?.enabled) return false
+
+	if (code) {
+		const step = verifyTotp(decryptSecret(user.mfa.secret), code, {
+			lastUsedStep: user.mfa.lastUsedStep ?? null,
+		})
+		if (step === null) return false
+
+		user.mfa.lastUsedStep = step
+		await user.save()
+		return true
+	}
+
+	if (recoveryCode) {
+		const codeHash = hashToken(normalizeRecoveryCode(recoveryCode))
+		const entry = user.mfa.recoveryCodes.find((item) => item.codeHash === codeHash && !item.usedAt)
+		if (!entry) return false
+
+		entry.usedAt = new Date()
+		await user.save()
+		return true
+	}
+
+	return false
+}
+
+// Segundo fator de um usuário já autenticado (desativar 2FA, novos códigos, step-up).
+// Códigos errados contam como falhas de login da conta, como em verifyMfaLogin, para
+// que um token de acesso roubado não permita testar códigos sem limite. Retorna false
+// quando a resposta de erro já foi enviada.
+const confirmSecondFactor = async (req, res, factors) => {
+	const throttle = await checkLoginAllowed(req.user.email, req.ip)
+	if (!throttle.allowed) {
+		respondLoginThrottled(res, throttle)
+		return false
+	}
+
+	if (!(await verifySecondFactor(req.user, factors))) {
+		const result = await registerLoginFailure(req.user.email, req.ip)
+		await recordAuditEvent(req, {
+			action: 'auth.mfa_failed',
+			target: { type: 'User', id: req.user._id },
+			metadata: { locked: result.locked },
+		})
+
+		if (result.locked) {
+			respondLoginThrottled(res, result)
+		} else {
+			res.status(401).json({
+				message: 'Código de verificação inválido',
+				code: 'INVALID_MFA_CODE',
+			})
+		}
+		return false
+	}
+
+	await registerLoginSuccess(req.user.email)
+	return true
+}
+
+// Iniciar cadastro do 2FA
+export const setupMfa = async (req, res) => {
+	try {
+		const user = req.user
+
+		if (user.mfa?.enabled) {
+			return res.status(400).json({
+				message: 'Autenticação em dois fatores já está ativada',
+			})
+		}
+
+		const secret = generateTotpSecret()
+		user.mfa.pendingSecret = encryptSecret(secret)
+		await user.save()
+
+		res.json({
+			secret,
+			otpauthUri: buildOtpauthUri({
+				secret,
+				account: user.email,
+				issuer: process.env.MFA_ISSUER || 'FreelancerHub',
+			}),
+		})
+	} catch (error) {
+		console.error('Erro ao iniciar 2FA:', error)
+		res.status(500).json({
+			message: 'Erro interno do servidor',
+		})
+	}
+}
+
+// Confirmar cadastro do 2FA com o primeiro código gerado pelo aplicativo
+export const confirmMfa = async (req, res) => {
+	try {
+		const { code } = req.body
+		const user = req.user
+
+		if (user.mfa?.enabled) {
+			return res.status(400).json({
+				message: 'Autenticação em dois fatores já está ativada',
+			})
+		}
+
+		if (!user.mfa?.pendingSecret) {
+			return res.status(400).json({
+				message: 'Inicie o cadastro do 2FA antes de confirmar',
+			})
+		}
+
+		const secret = decryptSecret(user.mfa.pendingSecret)
+		const step = verifyTotp(secret, code)
+		if (step === null) {
+			return res.status(400).json({
+				message: 'Código de verificação inválido',
+				code: 'INVALID_MFA_CODE',
+			})
+		}
+
+		const { codes, hashes } = generateRecoveryCodes()
+
+		user.mfa.enabled = true
+		user.mfa.secret = user.mfa.pendingSecret
+		user.mfa.pendingSecret = undefined
+		user.mfa.lastUsedStep = step
+		user.mfa.enabledAt = new Date()
+		user.mfa.recoveryCodes = hashes
+		await user.save()
+
+		// A sessão atual acabou de confirmar o segundo fator
+		if (req.auth.sid) {
+			await Session.updateOne({ _id: req.auth.sid }, { mfaAuthenticatedAt: new Date() })
+		}
+
+		res.json({
+			message: 'Autenticação em dois fatores ativada',
+			recoveryCodes: codes,
+		})
+	} catch (error) {
+		console.error('Erro ao confirmar 2FA:', error)
+		res.status(500).json({
+			message: 'Erro interno do servidor',
+		})
+	}
+}
+
+// Desativar 2FA (exige senha e segundo fator)
+export const disableMfa = async (req, res) => {
+	try {
+		const { password, code, recoveryCode } = req.body
+		const user = req.user
+
+		if (!user.mfa?.enabled) {
+			return res.status(400).json({
+				message: 'Autenticação em dois fatores não está ativada',
+			})
+		}
+
+		if (user.password && !(await user.correctPassword(password || '', user.password))) {
+			return res.status(401).json({
+				message: 'Senha incorreta',
+				code: 'INVALID_PASSWORD',
+			})
+		}
+
+		if (!(await confirmSecondFactor(req, res, { code, recoveryCode }))) return
+
+		user.mfa = { enabled: false, recoveryCodes: [] }
+		await user.save()
+
+		res.json({
+			message: 'Autenticação em dois fatores desativada',
+		})
+	} catch (error) {
+		console.error('Erro ao desativar 2FA:', error)
+		res.status(500).json({
+			message: 'Erro interno do servidor',
+		})
+	}
+}
+
+// Gerar novos códigos de recuperação (invalida os anteriores)
+export const regenerateRecoveryCodes = async (req, res) => {
+	try {
+		const { code } = req.body
+		const user = req.user
+
+		if (!(await confirmSecondFactor(req, res, { code }))) return
+
+		const { codes, hashes } = generateRecoveryCodes()
+		user.mfa.recoveryCodes = hashes
+		await user.save()
+
+		res.json({
+			recoveryCodes: codes,
+		})
+	} catch (error) {
+		console.error('Erro ao gerar códigos de recuperação:', error)
+		res.status(500).json({
+			message: 'Erro interno do servidor',
+		})
+	}
+}
+
+// Segunda etapa do login: troca o desafio MFA + código pelos tokens de acesso
+export const verifyMfaLogin = async (req, res) => {
+	try {
+		const { mfaToken, code, recoveryCode } = req.body
+
+		let challenge
+		try {
+			challenge = verifyMfaChallengeToken(mfaToken)
+		} catch (error) {
+			return res.status(401).json({
+				message: 'Desafio MFA inválido ou expirado. Faça login novamente.',
+				code: 'MFA_CHALLENGE_INVALID',
+			})
+		}
+
+		const user = await User.findById(challenge.sub)
+		if (!user) {
+			return res.status(401).json({
+				message: 'Usuário não encontrado',
+			})
+		}
+
+		// Códigos errados contam como falhas de login da conta
+		const throttle = await checkLoginAllowed(user.email, req.ip)
+		if (!throttle.allowed) {
+			return respondLoginThrottled(res, throttle)
+		}
+
+		if (!(await verifySecondFactor(user, { code, recoveryCode }))) {
+			return handleLoginFailure(req, res, user.email, user)
+		}
+
+		await registerLoginSuccess(user.email)
+
+		const accessToken = await issueAuthTokens(req, res, user, { mfaAuthenticated: true })
+
+		await recordAuditEvent(req, {
+			action: 'auth.login',
+			actor: user._id,
+			target: { type: 'User', id: user._id },
+			metadata: { mfa: true },
+		})
+
+		res.json({
+			message: 'Login realizado com sucesso',
+			accessToken,
+			user: formatAuthUser(user),
+			recoveryCodesRemaining: user.mfa.recoveryCodes.filter((item) => !item.usedAt).length,
+		})
+	} catch (error) {
+		console.error('Erro na verificação MFA:', error)
+		res.status(500).json({
+			message: 'Erro interno do servidor',
+		})
+	}
+}
+
+// Reconfirmar o segundo fator para ações sensíveis (step-up)
+export const stepUpMfa = async (req, res) => {
+	try {
+		const { code, recoveryCode } = req.body
+
+		if (!req.auth.sid) {
+			return res.status(400).json({
+				message: 'Sessão não encontrada. Faça login novamente.',
+			})
+		}
+
+		if (!(await confirmSecondFactor(req, res, { code, recoveryCode }))) return
+
+		const session = await Session.findOneAndUpdate(
+			{ _id: req.auth.sid, user: req.user._id, revokedAt: null },
+			{ mfaAuthenticatedAt: new Date() },
+			{ new: true },
+		)
+
+		if (!session) {
+			return res.status(401).json({
+				message: 'Sessão encerrada. Faça login novamente.',
+				code: 'SESSION_REVOKED',
+			})
+		}
+
+		res.json({
+			message: 'Segundo fator confirmado',
+			accessToken: signAccessToken(req.user._id, getSessionClaims(session)),
+		})
+	} catch (error) {
+		console.error('Erro no step-up MFA:', error)
+		res.status(500).json({
+			message: 'Erro interno do servidor',
+		})
+	}
+}
@@ -0,0 +1,37 @@
+// jobs/index.js
+import { scheduleJob } from './scheduler.js'
+import { processScheduledDeletions } from '../services/accountDeletion.js'
+import { processDataExports } from '../services/dataExport.js'
+import { processDeliverableAutoAcceptance } from '../services/deliverables.js'
+import { expireCounterOffers } from '../services/negotiation.js'
+
+const minutes = (value) => parseInt(value, 10) * 60 * 1000
+
+// Inicia as tarefas em segundo plano (JOBS_ENABLED=false desativa, ex.: em réplicas extras)
+export const startJobs = () => {
+	if (process.env.JOBS_ENABLED === 'false') return
+
+	scheduleJob(
+		'exclusão de contas',
+		minutes(process.env.ACCOUNT_DELETION_JOB_INTERVAL_MINUTES || '60'),
+		processScheduledDeletions,
+	)
+
+	scheduleJob(
+		'exportação de dados',
+		minutes(process.env.DATA_EXPORT_JOB_INTERVAL_MINUTES || '5'),
+		processDataExports,
+	)
+
+	scheduleJob(
+		'aceite automático de entregas',
+		minutes(process.env.DELIVERABLE_JOB_INTERVAL_MINUTES || '60'),
+		processDeliverableAutoAcceptance,
+	)
+
+	scheduleJob(
+		'expiração de contrapropostas',
+		minutes(process.env.COUNTER_OFFER_JOB_INTERVAL_MINUTES || '30'),
+		expireCounterOffers,
+	)
+}
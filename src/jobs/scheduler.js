@@ -0,0 +1,23 @@
+// jobs/scheduler.js
+
+// Executa a tarefa periodicamente em segundo plano, sem sobreposição entre execuções.
+// O timer não impede o processo de encerrar.
+export const scheduleJob = (name, intervalMs, task) => {
+	let running = false
+
+	const run = async () => {
+		if (running) return
+		running = true
+		try {
+			await task()
+		} catch (error) {
+			console.error(`Erro na tarefa ${name}:`, error)
+		} finally {
+			running = false
+		}
+	}
+
+	const timer = setInterval(run, intervalMs)
+	timer.unref()
+	return timer
+}
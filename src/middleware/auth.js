@@ -1,85 +1,255 @@
 // middleware/auth.js
-import jwt from 'jsonwebtoken'
+import ApiKey from '../models/ApiKey.js'
+import Session from '../models/Session.js'
 import User from '../models/User.js'
+import { API_KEY_SCOPES, hasPermission, resolveActiveRole } from '../config/permissions.js'
+import { auditImpersonatedRequest } from '../services/audit.js'
+import { getPendingDocuments } from '../services/legal.js'
+import { verifyAccessToken } from '../services/tokenService.js'
 
+// Extrai o token do header "Authorization: Bearer <token>"
+const getBearerToken = (req) => {
+	const authHeader = req.headers.authorization
+	if (authHeader && authHeader.startsWith('Bearer ')) {
+		return authHeader.split(' ')[1]
+	}
+	return null
+}
+
+// Extrai a chave do header "Authorization: ApiKey <chave>"
+const getApiKey = (req) => {
+	const authHeader = req.headers.authorization
+	if (authHeader && authHeader.startsWith('ApiKey ')) {
+		return authHeader.split(' ')[1]
+	}
+	return null
+}
+
+// Sessões confirmadas como ativas recentemente (sid -> horário da consulta). A revogação
+// (logout, DELETE /api/auth/sessions/:id, reuso de refresh token) vale em até alguns segundos.
+const activeSessions = new Map()
+
+const getSessionCacheTtlMs = () => parseInt(process.env.SESSION_CACHE_SECONDS || '5', 10) * 1000
+
+// Tokens com "sid" só valem enquanto a sessão existir e não estiver revogada
+const isSessionActive = async (claims, userId) => {
+	if (!claims.sid) return true
+
+	const checkedAt = activeSessions.get(claims.sid)
+	if (checkedAt && Date.now() - checkedAt < getSessionCacheTtlMs()) return true
+
+	const active = await Session.exists({
+		_id: claims.sid,
+		user: userId,
+		revokedAt: null,
+		expiresAt: { $gt: new Date() },
+	})
+
+	if (!active) {
+		activeSessions.delete(claims.sid)
+		return false
+	}
+
+	if (activeSessions.size >= 10000) activeSessions.clear()
+	activeSessions.set(claims.sid, Date.now())
+	return true
+}
+
+// Rotas liberadas sem o aceite dos documentos legais vigentes: autenticação, os próprios
+// documentos, a gestão da conta (exclusão e exportação de dados) e a consulta e recurso
+// de suspensão, já que uma conta suspensa não consegue aceitar os documentos
+const CONSENT_EXEMPT_PREFIXES = [
+	'/api/auth',
+	'/api/legal',
+	'/api/users/me/deletion',
+	'/api/users/me/export',
+	'/api/users/me/suspension',
+]
+
+const isConsentExempt = (req) => {
+	const path = req.originalUrl.split('?')[0]
+
+	// Pedido de exclusão da conta (DELETE /api/users/me)
+	if (req.method === 'DELETE' && path === '/api/users/me') return true
+
+	return CONSENT_EXEMPT_PREFIXES.some((prefix) => path === prefix || path.startsWith(`${prefix}/`))
+}
+
+// Responde 403 CONSENT_REQUIRED se o usuário ainda não aceitou a versão atual dos
+// termos ou da política de privacidade. Retorna true quando a resposta foi enviada.
+const rejectPendingConsent = async (req, res) => {
+	if (req.impersonator || isConsentExempt(req)) return false
+
+	const pendingDocuments = await getPendingDocuments(req.user)
+	if (!pendingDocuments.length) return false
+
+	res.status(403).json({
+		message: 'Aceite a versão atual dos termos para continuar',
+		code: 'CONSENT_REQUIRED',
+		pendingDocuments: pendingDocuments.map(({ type, version, title }) => ({
+			type,
+			version,
+			title,
+		})),
+	})
+	return true
+}
+
+// Rotas liberadas para contas suspensas: consulta da suspensão e envio de recurso
+const SUSPENSION_EXEMPT_PREFIXES = ['/api/users/me/suspension']
+
+// Responde 403 ACCOUNT_SUSPENDED se a conta estiver suspensa. Admins personificando
+// a conta podem navegar para investigar. Retorna true quando a resposta foi enviada.
+const rejectSuspended = (req, res) => {
+	if (
+		!req.user.isSuspended() ||
+		req.impersonator ||
+		SUSPENSION_EXEMPT_PREFIXES.some((prefix) => req.originalUrl.startsWith(prefix))
+	) {
+		return false
+	}
+
+	res.status(403).json({
+		message:
+			'Sua conta está suspensa. Consulte o motivo e envie um recurso em /api/users/me/suspension.',
+		code: 'ACCOUNT_SUSPENDED',
+		suspension: {
+			reason: req.user.suspension.reason,
+			until: req.user.suspension.until || null,
+			permanent: !req.user.suspension.until,
+		},
+	})
+	return true
+}
+
+// Escopo exigido pela requisição, derivado do prefixo da rota e do método HTTP
+const getRequiredScope = (req) => {
+	const resource = req.baseUrl.replace(/^\/api\//, '').split('/')[0]
+	const action = ['GET', 'HEAD'].includes(req.method) ? 'read' : 'write'
+	return `${resource}:${action}`
+}
+
+// Autenticação por chave de API pessoal
+const authenticateApiKey = async (req, res, next, key) => {
+	const apiKey = await ApiKey.findByKey(key)
+	if (!apiKey || !apiKey.isActive()) {
+		return res.status(401).json({
+			message: 'Chave de API inválida, expirada ou revogada.',
+			code: 'API_KEY_INVALID',
+		})
+	}
+
+	const requiredScope = getRequiredScope(req)
+	if (!API_KEY_SCOPES.includes(requiredScope) || !apiKey.scopes.includes(requiredScope)) {
+		return res.status(403).json({
+			message: 'Chave de API sem permissão para esta rota',
+			code: 'API_KEY_SCOPE_DENIED',
+			requiredScope,
+		})
+	}
+
+	const user = await User.findById(apiKey.user)
+	if (!user || user.deletedAt) {
+		return res.status(401).json({
+			message: 'Chave de API inválida. Usuário não existe.',
+			code: 'API_KEY_INVALID',
+		})
+	}
+
+	await ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date(), lastUsedIp: req.ip })
+
+	req.user = user
+	req.auth = { apiKey: apiKey._id.toString(), scopes: apiKey.scopes }
+	req.activeRole = resolveActiveRole(user)
+	if (rejectSuspended(req, res)) return
+	if (await rejectPendingConsent(req, res)) return
+	next()
+}
+
+// Admin por trás de um token de personificação (claim "act"). Retorna null se ele
+// não existir mais ou tiver perdido a permissão de personificar.
+const getImpersonator = async (claims) => {
+	const impersonator = await User.findById(claims.act.sub)
+	if (!impersonator || !hasPermission(impersonator, 'user:impersonate')) {
+		return null
+	}
+	return impersonator
+}
+
+// Middleware de autenticação usado por todas as rotas protegidas
 export const protect = async (req, res, next) => {
 	try {
-		let token
-
-		if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-			token = req.headers.authorization.split(' ')[1]
+		const apiKey = getApiKey(req)
+		if (apiKey) {
+			return await authenticateApiKey(req, res, next, apiKey)
 		}
 
+		const token = getBearerToken(req)
+
 		if (!token) {
 			return res.status(401).json({
 				message: 'Acesso negado. Token não fornecido.',
+				code: 'TOKEN_MISSING',
 			})
 		}
 
-		// Verificar token
-		const decoded = jwt.verify(token, process.env.JWT_SECRET)
+		const { userId, claims } = verifyAccessToken(token)
 
 		// Buscar usuário
-		const user = await User.findById(decoded.id)
-		if (!user) {
+		const user = await User.findById(userId)
+		if (!user || user.deletedAt) {
 			return res.status(401).json({
 				message: 'Token inválido. Usuário não existe.',
+				code: 'TOKEN_INVALID',
 			})
 		}
 
-		req.user = user
-		next()
-	} catch (error) {
-		return res.status(401).json({
-			message: 'Token inválido.',
-		})
-	}
-}
-
-// Gerar JWT
-export const generateToken = (id) => {
-	return jwt.sign({ id }, process.env.JWT_SECRET, {
-		expiresIn: '30d',
-	})
-}
-
-// Middleware para verificar access token
-export const authenticateToken = async (req, res, next) => {
-	try {
-		const authHeader = req.headers['authorization']
-		const token = authHeader && authHeader.split(' ')[1] // Bearer TOKEN
-
-		if (!token) {
+		// Tokens emitidos antes da última troca de senha não valem mais
+		if (user.changedPasswordAfter(claims.iat)) {
 			return res.status(401).json({
-				message: 'Access token não fornecido',
+				message: 'Senha alterada recentemente. Faça login novamente.',
+				code: 'TOKEN_REVOKED',
 			})
 		}
 
-		// Verifica o token
-		const decoded = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET)
-
-		// Busca usuário no banco
-		const user = await User.findById(decoded.userId).select('-password')
-		if (!user) {
+		if (!(await isSessionActive(claims, user._id))) {
 			return res.status(401).json({
-				message: 'Usuário não encontrado',
+				message: 'Sessão encerrada. Faça login novamente.',
+				code: 'SESSION_REVOKED',
 			})
 		}
 
+		if (claims.act) {
+			const impersonator = await getImpersonator(claims)
+			if (!impersonator) {
+				return res.status(401).json({
+					message: 'Personificação não autorizada.',
+					code: 'IMPERSONATION_INVALID',
+				})
+			}
+			req.impersonator = impersonator
+			auditImpersonatedRequest(req, res)
+		}
+
 		req.user = user
+		req.auth = claims
+		req.activeRole = resolveActiveRole(user, claims.role)
+		if (rejectSuspended(req, res)) return
+		if (await rejectPendingConsent(req, res)) return
 		next()
 	} catch (error) {
-		if (error.name === 'JsonWebTokenError') {
-			return res.status(403).json({
-				message: 'Token inválido',
-			})
-		}
 		if (error.name === 'TokenExpiredError') {
-			return res.status(403).json({
+			return res.status(401).json({
 				message: 'Access token expirado',
 				code: 'TOKEN_EXPIRED',
 			})
 		}
+		if (error.name === 'JsonWebTokenError' || error.name === 'NotBeforeError') {
+			return res.status(401).json({
+				message: 'Token inválido.',
+				code: 'TOKEN_INVALID',
+			})
+		}
 
 		console.error('Erro na autenticação:', error)
 		return res.status(500).json({
@@ -91,13 +261,28 @@ export const authenticateToken = async (req, res, next) => {
 // Middleware opcional (para rotas que podem ser acessadas com ou sem auth)
 export const optionalAuth = async (req, res, next) => {
 	try {
-		const authHeader = req.headers['authorization']
-		const token = authHeader && authHeader.split(' ')[1]
+		const token = getBearerToken(req)
 
 		if (token) {
-			const decoded = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET)
-			const user = await User.findById(decoded.userId).select('-password')
-			req.user = user
+			const { userId, claims } = verifyAccessToken(token)
+			const user = await User.findById(userId)
+			const impersonator = claims.act ? await getImpersonator(claims) : null
+			if (
+				user &&
+				!user.deletedAt &&
+				!user.isSuspended() &&
+				!user.changedPasswordAfter(claims.iat) &&
+				(await isSessionActive(claims, user._id)) &&
+				(!claims.act || impersonator)
+			) {
+				if (impersonator) {
+					req.impersonator = impersonator
+					auditImpersonatedRequest(req, res)
+				}
+				req.user = user
+				req.auth = claims
+				req.activeRole = resolveActiveRole(user, claims.role)
+			}
 		}
 
 		next()
@@ -106,3 +291,46 @@ export const optionalAuth = async (req, res, next) => {
 		next()
 	}
 }
+
+// Bloqueia movimentação de dinheiro e alterações de credenciais em requisições
+// feitas com token de personificação (usar após protect)
+export const denyImpersonation = (req, res, next) => {
+	if (req.impersonator) {
+		return res.status(403).json({
+			message: 'Ação não permitida durante a personificação',
+			code: 'IMPERSONATION_FORBIDDEN',
+		})
+	}
+	next()
+}
+
+// Bloqueia ações restritas a contas com email verificado (usar após protect)
+export const requireVerifiedEmail = (req, res, next) => {
+	if (!req.user.emailVerified) {
+		return res.status(403).json({
+			message: 'Verifique seu email para realizar esta ação',
+			code: 'EMAIL_NOT_VERIFIED',
+		})
+	}
+	next()
+}
+
+// Exige segundo fator recente para ações sensíveis (usar após protect).
+// Aplica-se apenas a contas com 2FA ativo; MFA_STEP_UP_REQUIRED=false desativa a exigência.
+export const requireRecentMfa = (req, res, next) => {
+	if (process.env.MFA_STEP_UP_REQUIRED === 'false' || !req.user.mfa?.enabled) {
+		return next()
+	}
+
+	const maxAgeSeconds = parseInt(process.env.MFA_STEP_UP_MAX_AGE_MINUTES || '10', 10) * 60
+	const mfaAt = req.auth?.mfa_at
+
+	if (!mfaAt || Date.now() / 1000 - mfaAt > maxAgeSeconds) {
+		return res.status(403).json({
+			message: 'Confirme o código de verificação em duas etapas para continuar',
+			code: 'MFA_STEP_UP_REQUIRED',
+		})
+	}
+
+	next()
+}
@@ -0,0 +1,21 @@
+// middleware/authorize.js
+import { hasPermission } from '../config/permissions.js'
+
+// Exige todas as permissões informadas (usar após protect)
+export const authorize =
+	(...permissions) =>
+	(req, res, next) => {
+		const missing = permissions.find(
+			(permission) => !hasPermission(req.user, permission, req.activeRole),
+		)
+
+		if (missing) {
+			return res.status(403).json({
+				message: `Você não tem permissão para esta ação (${missing})`,
+				code: 'PERMISSION_DENIED',
+				missingPermission: missing,
+			})
+		}
+
+		next()
+	}
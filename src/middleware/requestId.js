@@ -0,0 +1,11 @@
+// middleware/requestId.js
+import crypto from 'crypto'
+
+// Identificador da requisição: reaproveita o X-Request-Id recebido (ex.: do proxy)
+// ou gera um novo. É devolvido no header da resposta e gravado na auditoria.
+export const requestId = (req, res, next) => {
+	const incoming = req.get('x-request-id')
+	req.id = incoming && /^[\w.:-]{1,128}$/.test(incoming) ? incoming : crypto.randomUUID()
+	res.set('X-Request-Id', req.id)
+	next()
+}
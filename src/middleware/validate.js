@@ -0,0 +1,14 @@
+// middleware/validate.js
+import { validationResult } from 'express-validator'
+
+// Responde 400 com os erros do express-validator (para rotas que delegam a um controller)
+export const handleValidationErrors = (req, res, next) => {
+	const errors = validationResult(req)
+	if (!errors.isEmpty()) {
+		return res.status(400).json({
+			message: 'Dados inválidos',
+			errors: errors.array(),
+		})
+	}
+	next()
+}
@@ -0,0 +1,83 @@
+// models/ApiKey.js
+import mongoose from 'mongoose'
+import { API_KEY_SCOPES } from '../config/permissions.js'
+import { generateRandomToken, hashToken } from '../utils/tokens.js'
+
+const KEY_PREFIX = 'fhk_'
+
+// Chaves de API pessoais para integrações (apenas o hash é armazenado)
+const apiKeySchema = new mongoose.Schema(
+	{
+		user: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+			required: true,
+		},
+		name: {
+			type: String,
+			required: [true, 'Nome da chave é obrigatório'],
+			trim: true,
+			maxlength: 100,
+		},
+		// Início da chave, exibido nas listagens para identificá-la
+		prefix: {
+			type: String,
+			required: true,
+		},
+		keyHash: {
+			type: String,
+			required: true,
+			unique: true,
+		},
+		scopes: [
+			{
+				type: String,
+				enum: API_KEY_SCOPES,
+			},
+		],
+		expiresAt: Date,
+		lastUsedAt: Date,
+		lastUsedIp: String,
+		revokedAt: Date,
+	},
+	{
+		timestamps: true,
+	},
+)
+
+apiKeySchema.index({ user: 1, createdAt: -1 })
+
+// Chave ainda pode ser usada?
+apiKeySchema.methods.isActive = function () {
+	return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date())
+}
+
+// Cria uma chave para o usuário. Retorna o documento e a chave em texto puro,
+// que só é exibida nesta resposta.
+apiKeySchema.statics.generate = async function (userId, { name, scopes, expiresAt }) {
+	const key = `${KEY_PREFIX}${generateRandomToken(24)}`
+	const apiKey = await this.create({
+		user: userId,
+		name,
+		scopes,
+		expiresAt,
+		prefix: key.slice(0, KEY_PREFIX.length + 8),
+		keyHash: hashToken(key),
+	})
+
+	return { apiKey, key }
+}
+
+// Busca a chave pelo valor informado no header
+apiKeySchema.statics.findByKey = function (key) {
+	return this.findOne({ keyHash: hashToken(key) })
+}
+
+// Remover hash do output
+apiKeySchema.methods.toJSON = function () {
+	const apiKey = this.toObject()
+	delete apiKey.keyHash
+	return apiKey
+}
+
+export default mongoose.model('ApiKey', apiKeySchema)
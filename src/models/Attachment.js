@@ -0,0 +1,67 @@
+// models/Attachment.js
+import mongoose from 'mongoose'
+
+// Arquivo enviado para um projeto. O conteúdo fica no driver de armazenamento
+// (services/storage.js); aqui ficam apenas os metadados e a chave do objeto.
+const attachmentSchema = new mongoose.Schema(
+	{
+		project: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Project',
+			required: true,
+		},
+		owner: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+			required: true,
+		},
+		// project = briefing do cliente, proposal = amostras da proposta, deliverable = arquivos da entrega
+		context: {
+			type: String,
+			enum: ['project', 'proposal', 'deliverable'],
+			required: true,
+		},
+		proposal: {
+			type: mongoose.Schema.Types.ObjectId,
+		},
+		// Vazio enquanto o arquivo aguarda ser incluído em uma entrega
+		deliverable: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Deliverable',
+		},
+		name: {
+			type: String,
+			required: true,
+		},
+		mimeType: {
+			type: String,
+			required: true,
+		},
+		size: {
+			type: Number,
+			required: true,
+		},
+		// SHA-256 do conteúdo (hex)
+		sha256: {
+			type: String,
+			required: true,
+		},
+		storageDriver: {
+			type: String,
+			enum: ['local', 's3'],
+			required: true,
+		},
+		storageKey: {
+			type: String,
+			required: true,
+		},
+	},
+	{
+		timestamps: true,
+	},
+)
+
+attachmentSchema.index({ project: 1, context: 1, createdAt: -1 })
+attachmentSchema.index({ deliverable: 1 }, { sparse: true })
+
+export default mongoose.model('Attachment', attachmentSchema)
@@ -0,0 +1,72 @@
+// models/AuditEvent.js
+import mongoose from 'mongoose'
+
+// Trilha de auditoria: eventos são apenas inseridos, nunca alterados ou removidos
+const auditEventSchema = new mongoose.Schema(
+	{
+		action: {
+			type: String,
+			required: true,
+		},
+		// Usuário que realizou a ação (o usuário personificado, quando houver personificação)
+		actor: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+		},
+		// Admin que está por trás da ação, em requisições personificadas
+		impersonator: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+		},
+		target: {
+			type: {
+				type: String,
+			},
+			id: mongoose.Schema.Types.ObjectId,
+		},
+		// Valores dos campos alterados antes e depois da ação
+		changes: {
+			before: mongoose.Schema.Types.Mixed,
+			after: mongoose.Schema.Types.Mixed,
+		},
+		metadata: mongoose.Schema.Types.Mixed,
+		ip: String,
+		userAgent: String,
+		requestId: String,
+	},
+	{
+		timestamps: { createdAt: true, updatedAt: false },
+	},
+)
+
+auditEventSchema.index({ createdAt: -1 })
+auditEventSchema.index({ actor: 1, createdAt: -1 })
+auditEventSchema.index({ impersonator: 1, createdAt: -1 })
+auditEventSchema.index({ 'target.id': 1, createdAt: -1 })
+auditEventSchema.index({ action: 1, createdAt: -1 })
+auditEventSchema.index({ requestId: 1 })
+
+const rejectChange = function (next) {
+	next(new Error('Eventos de auditoria não podem ser alterados ou removidos'))
+}
+
+auditEventSchema.pre('save', function (next) {
+	if (!this.isNew) return rejectChange(next)
+	next()
+})
+
+auditEventSchema.pre(
+	[
+		'updateOne',
+		'updateMany',
+		'findOneAndUpdate',
+		'replaceOne',
+		'findOneAndReplace',
+		'deleteOne',
+		'deleteMany',
+		'findOneAndDelete',
+	],
+	rejectChange,
+)
+
+export default mongoose.model('AuditEvent', auditEventSchema)
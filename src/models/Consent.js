@@ -0,0 +1,65 @@
+// models/Consent.js
+import mongoose from 'mongoose'
+
+// Registro de consentimentos: cada aceite (ou recusa do opt-in de marketing) é um
+// novo evento; os registros nunca são alterados ou removidos
+const consentSchema = new mongoose.Schema(
+	{
+		user: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+			required: true,
+		},
+		document: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'LegalDocument',
+			required: true,
+		},
+		documentType: {
+			type: String,
+			enum: ['terms', 'privacy', 'marketing'],
+			required: true,
+		},
+		version: {
+			type: Number,
+			required: true,
+		},
+		accepted: {
+			type: Boolean,
+			required: true,
+		},
+		ip: String,
+		userAgent: String,
+	},
+	{
+		timestamps: { createdAt: true, updatedAt: false },
+	},
+)
+
+consentSchema.index({ user: 1, createdAt: -1 })
+consentSchema.index({ document: 1 })
+
+const rejectChange = function (next) {
+	next(new Error('Registros de consentimento não podem ser alterados ou removidos'))
+}
+
+consentSchema.pre('save', function (next) {
+	if (!this.isNew) return rejectChange(next)
+	next()
+})
+
+consentSchema.pre(
+	[
+		'updateOne',
+		'updateMany',
+		'findOneAndUpdate',
+		'replaceOne',
+		'findOneAndReplace',
+		'deleteOne',
+		'deleteMany',
+		'findOneAndDelete',
+	],
+	rejectChange,
+)
+
+export default mongoose.model('Consent', consentSchema)
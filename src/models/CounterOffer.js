@@ -0,0 +1,66 @@
+// models/CounterOffer.js
+import mongoose from 'mongoose'
+
+// Contraproposta na negociação de uma proposta. Cada lado responde à oferta do outro
+// aceitando, recusando ou enviando uma nova contraproposta (a anterior fica "countered").
+const counterOfferSchema = new mongoose.Schema(
+	{
+		proposal: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Proposal',
+			required: true,
+		},
+		project: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Project',
+			required: true,
+		},
+		// Lado que enviou a oferta
+		from: {
+			type: String,
+			enum: ['client', 'freelancer'],
+			required: true,
+		},
+		author: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+			required: true,
+		},
+		amount: {
+			type: Number,
+			required: [true, 'Valor é obrigatório'],
+			min: 0,
+		},
+		timeline: String,
+		note: String,
+		status: {
+			type: String,
+			enum: ['open', 'accepted', 'declined', 'countered', 'expired', 'cancelled'],
+			default: 'open',
+		},
+		// Sem resposta até esta data, a oferta expira
+		expiresAt: {
+			type: Date,
+			required: true,
+		},
+		respondedAt: Date,
+		respondedBy: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+		},
+	},
+	{
+		timestamps: true,
+	},
+)
+
+counterOfferSchema.index({ proposal: 1, createdAt: 1 })
+counterOfferSchema.index({ project: 1, status: 1 })
+counterOfferSchema.index({ status: 1, expiresAt: 1 })
+
+// Oferta ainda aguardando resposta dentro do prazo
+counterOfferSchema.methods.isOpen = function () {
+	return this.status === 'open' && this.expiresAt > new Date()
+}
+
+export default mongoose.model('CounterOffer', counterOfferSchema)
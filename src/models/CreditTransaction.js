@@ -0,0 +1,48 @@
+// models/CreditTransaction.js
+import mongoose from 'mongoose'
+
+// Movimentação de créditos de proposta. O saldo atual fica em User.credits; este
+// extrato registra cada crédito (positivo) ou débito (negativo) e o saldo resultante.
+const creditTransactionSchema = new mongoose.Schema(
+	{
+		user: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+			required: true,
+		},
+		type: {
+			type: String,
+			enum: ['monthly_grant', 'expired', 'proposal', 'refund'],
+			required: true,
+		},
+		amount: {
+			type: Number,
+			required: true,
+		},
+		balanceAfter: Number,
+		// Mês de referência (AAAA-MM)
+		period: String,
+		project: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Project',
+		},
+		proposal: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Proposal',
+		},
+		note: String,
+	},
+	{
+		timestamps: true,
+	},
+)
+
+creditTransactionSchema.index({ user: 1, createdAt: -1 })
+creditTransactionSchema.index({ project: 1, type: 1 })
+// Um estorno por proposta, mesmo que o cancelamento seja processado duas vezes
+creditTransactionSchema.index(
+	{ proposal: 1 },
+	{ unique: true, partialFilterExpression: { type: 'refund' } },
+)
+
+export default mongoose.model('CreditTransaction', creditTransactionSchema)
@@ -0,0 +1,33 @@
+// models/DataExport.js
+import mongoose from 'mongoose'
+
+// Pedido de exportação dos dados pessoais (portabilidade - LGPD)
+const dataExportSchema = new mongoose.Schema(
+	{
+		user: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+			required: true,
+		},
+		status: {
+			type: String,
+			enum: ['pending', 'processing', 'completed', 'failed', 'expired'],
+			default: 'pending',
+		},
+		fileName: String,
+		fileSize: Number,
+		startedAt: Date,
+		completedAt: Date,
+		// Após esta data o arquivo é removido e o link deixa de funcionar
+		expiresAt: Date,
+		error: String,
+	},
+	{
+		timestamps: true,
+	},
+)
+
+dataExportSchema.index({ user: 1, createdAt: -1 })
+dataExportSchema.index({ status: 1, expiresAt: 1 })
+
+export default mongoose.model('DataExport', dataExportSchema)
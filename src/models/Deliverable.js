@@ -0,0 +1,58 @@
+// models/Deliverable.js
+import mongoose from 'mongoose'
+
+// Entrega do trabalho feita pelo freelancer em um projeto em andamento.
+// Cada pedido de revisão do cliente encerra a entrega; a próxima é uma nova rodada.
+const deliverableSchema = new mongoose.Schema(
+	{
+		project: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Project',
+			required: true,
+		},
+		freelancer: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+			required: true,
+		},
+		message: {
+			type: String,
+			required: [true, 'Mensagem é obrigatória'],
+		},
+		// Arquivos enviados em POST /api/projects/:id/deliverables/attachments
+		attachments: [
+			{
+				type: mongoose.Schema.Types.ObjectId,
+				ref: 'Attachment',
+			},
+		],
+		links: [String],
+		// Número da entrega no projeto (1 = primeira entrega, 2 = após a primeira revisão...)
+		round: {
+			type: Number,
+			default: 1,
+		},
+		status: {
+			type: String,
+			enum: ['pending', 'accepted', 'revision_requested'],
+			default: 'pending',
+		},
+		// Comentários do cliente ao pedir revisão
+		revisionComment: String,
+		reviewedAt: Date,
+		// Aceite automático se o cliente não responder até esta data
+		autoAcceptAt: Date,
+		acceptedAutomatically: {
+			type: Boolean,
+			default: false,
+		},
+	},
+	{
+		timestamps: true,
+	},
+)
+
+deliverableSchema.index({ project: 1, createdAt: -1 })
+deliverableSchema.index({ status: 1, autoAcceptAt: 1 })
+
+export default mongoose.model('Deliverable', deliverableSchema)
@@ -0,0 +1,40 @@
+// models/LegalDocument.js
+import mongoose from 'mongoose'
+
+// Documentos legais versionados. Cada publicação cria uma nova versão; as anteriores
+// são mantidas para consulta do que cada usuário aceitou.
+const legalDocumentSchema = new mongoose.Schema(
+	{
+		type: {
+			type: String,
+			enum: ['terms', 'privacy', 'marketing'],
+			required: true,
+		},
+		version: {
+			type: Number,
+			required: true,
+			min: 1,
+		},
+		title: {
+			type: String,
+			required: [true, 'Título é obrigatório'],
+			trim: true,
+		},
+		content: {
+			type: String,
+			required: [true, 'Conteúdo é obrigatório'],
+		},
+		summary: String,
+		publishedBy: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+		},
+	},
+	{
+		timestamps: true,
+	},
+)
+
+legalDocumentSchema.index({ type: 1, version: -1 }, { unique: true })
+
+export default mongoose.model('LegalDocument', legalDocumentSchema)
@@ -0,0 +1,31 @@
+// models/LoginAttempt.js
+import mongoose from 'mongoose'
+
+// Contador de falhas de login por conta ("account:<email>") ou por IP ("ip:<ip>")
+const loginAttemptSchema = new mongoose.Schema(
+	{
+		key: {
+			type: String,
+			required: true,
+			unique: true,
+		},
+		failures: {
+			type: Number,
+			default: 0,
+		},
+		lastFailureAt: Date,
+		lockedUntil: Date,
+		// Registros sem falhas recentes são removidos automaticamente
+		expiresAt: {
+			type: Date,
+			required: true,
+		},
+	},
+	{
+		timestamps: true,
+	},
+)
+
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+export default mongoose.model('LoginAttempt', loginAttemptSchema)
@@ -8,6 +8,10 @@ const paymentSchema = new mongoose.Schema(
 			ref: 'Project',
 			required: true,
 		},
+		// Marco do projeto pago por este pagamento (Project.milestones)
+		milestone: {
+			type: mongoose.Schema.Types.ObjectId,
+		},
 		client: {
 			type: mongoose.Schema.Types.ObjectId,
 			ref: 'User',
@@ -95,6 +99,7 @@ const paymentSchema = new mongoose.Schema(
 
 // Índices para buscas eficientes
 paymentSchema.index({ project: 1 })
+paymentSchema.index({ milestone: 1 }, { sparse: true })
 paymentSchema.index({ client: 1 })
 paymentSchema.index({ freelancer: 1 })
 paymentSchema.index({ status: 1 })
@@ -123,15 +128,4 @@ paymentSchema.methods.processRefund = function (reason) {
 	return this.save()
 }
 
-// Middleware para atualizar projeto quando pagamento é concluído
-paymentSchema.post('save', async function (doc) {
-	if (doc.status === 'completed') {
-		const Project = mongoose.model('Project')
-		await Project.findByIdAndUpdate(doc.project, {
-			status: 'completed',
-			$set: { 'budget.paidAmount': doc.amount },
-		})
-	}
-})
-
 export default mongoose.model('Payment', paymentSchema)
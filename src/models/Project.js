@@ -1,6 +1,66 @@
 // models/Project.js
 import mongoose from 'mongoose'
 
+// Etapas de entrega do contrato, cada uma com valor e pagamento próprios.
+// Fluxo: pending → in_progress → submitted → approved | rejected (alterações solicitadas)
+const milestoneSchema = new mongoose.Schema(
+	{
+		title: {
+			type: String,
+			required: [true, 'Título é obrigatório'],
+			trim: true,
+		},
+		description: String,
+		amount: {
+			type: Number,
+			required: [true, 'Valor é obrigatório'],
+			min: 0,
+		},
+		dueDate: Date,
+		status: {
+			type: String,
+			enum: ['pending', 'in_progress', 'submitted', 'approved', 'rejected'],
+			default: 'pending',
+		},
+		// Última entrega enviada pelo freelancer
+		submission: {
+			message: String,
+			submittedAt: Date,
+		},
+		// Comentários do cliente ao solicitar alterações
+		feedback: String,
+		approvedAt: Date,
+		payment: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Payment',
+		},
+	},
+	{
+		timestamps: true,
+	},
+)
+
+// Histórico de mudanças de status (transições em services/projectLifecycle.js)
+const statusChangeSchema = new mongoose.Schema(
+	{
+		from: String,
+		to: {
+			type: String,
+			required: true,
+		},
+		action: String,
+		// Vazio quando a transição foi feita por um processo interno
+		actor: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+		},
+		reason: String,
+	},
+	{
+		timestamps: { createdAt: true, updatedAt: false },
+	},
+)
+
 const projectSchema = new mongoose.Schema(
 	{
 		title: {
@@ -49,42 +109,62 @@ const projectSchema = new mongoose.Schema(
 			type: String,
 			required: true,
 		},
+		// Alterado apenas pelas transições de services/projectLifecycle.js
 		status: {
 			type: String,
-			enum: ['open', 'in_progress', 'completed', 'cancelled'],
+			enum: [
+				'draft',
+				'open',
+				'in_review',
+				'in_progress',
+				'delivered',
+				'completed',
+				'cancelled',
+				'disputed',
+			],
 			default: 'open',
 		},
-		proposals: [
-			{
-				freelancer: {
-					type: mongoose.Schema.Types.ObjectId,
-					ref: 'User',
-				},
-				proposal: String,
-				bid: Number,
-				timeline: String,
-				status: {
-					type: String,
-					enum: ['pending', 'accepted', 'rejected'],
-					default: 'pending',
-				},
-				createdAt: {
-					type: Date,
-					default: Date.now,
-				},
-			},
-		],
+		statusHistory: [statusChangeSchema],
 		assignedTo: {
 			type: mongoose.Schema.Types.ObjectId,
 			ref: 'User',
 		},
+		milestones: [milestoneSchema],
 	},
 	{
 		timestamps: true,
+		// Inclui "proposals" nas respostas quando populado
+		toJSON: { virtuals: true },
+		toObject: { virtuals: true },
+		id: false,
 	},
 )
 
+// Propostas ficam na coleção Proposal; use .populate('proposals') para incluí-las
+projectSchema.virtual('proposals', {
+	ref: 'Proposal',
+	localField: '_id',
+	foreignField: 'project',
+	options: { sort: { createdAt: 1 } },
+})
+
 // Index para busca
 projectSchema.index({ title: 'text', description: 'text', skills: 'text' })
 
+// Registra o status inicial no histórico
+projectSchema.pre('save', function (next) {
+	if (this.isNew && !this.statusHistory.length) {
+		this.statusHistory.push({ to: this.status, action: 'create', actor: this.client })
+	}
+	next()
+})
+
+// Projetos com marcos são concluídos quando todos os marcos forem aprovados
+projectSchema.methods.allMilestonesApproved = function () {
+	return (
+		this.milestones.length > 0 &&
+		this.milestones.every((milestone) => milestone.status === 'approved')
+	)
+}
+
 export default mongoose.model('Project', projectSchema)
@@ -0,0 +1,116 @@
+// models/Proposal.js
+import mongoose from 'mongoose'
+
+// Versão anterior da proposta, guardada a cada edição do freelancer
+const revisionSchema = new mongoose.Schema(
+	{
+		revision: Number,
+		proposal: String,
+		bid: Number,
+		timeline: String,
+		// Quando esta versão foi enviada e quando foi substituída
+		submittedAt: Date,
+		replacedAt: {
+			type: Date,
+			default: Date.now,
+		},
+	},
+	{ _id: false },
+)
+
+// Triagem privada do cliente: nunca é exibida ao freelancer
+const triageSchema = new mongoose.Schema(
+	{
+		state: {
+			type: String,
+			enum: ['shortlisted', 'archived', null],
+			default: null,
+		},
+		note: String,
+		tags: [String],
+		updatedAt: Date,
+	},
+	{ _id: false },
+)
+
+// Proposta de um freelancer para um projeto. Até a migração
+// (scripts/migrateProposals.js) ficava embutida em Project.proposals.
+const proposalSchema = new mongoose.Schema(
+	{
+		project: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Project',
+			required: true,
+		},
+		freelancer: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+			required: true,
+		},
+		proposal: String,
+		bid: Number,
+		timeline: String,
+		status: {
+			type: String,
+			enum: ['pending', 'accepted', 'rejected', 'withdrawn'],
+			default: 'pending',
+		},
+		// Versão atual (1 = como enviada) e data da última edição
+		revision: {
+			type: Number,
+			default: 1,
+		},
+		editedAt: Date,
+		withdrawnAt: Date,
+		// Contraproposta aceita que definiu o lance e o prazo atuais
+		agreedOffer: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'CounterOffer',
+		},
+		agreedAt: Date,
+		// Fora das listagens; use .select('+revisions')
+		revisions: {
+			type: [revisionSchema],
+			select: false,
+		},
+		// Apenas para o cliente; use .select('+triage')
+		triage: {
+			type: triageSchema,
+			select: false,
+		},
+	},
+	{
+		timestamps: true,
+	},
+)
+
+// Guarda a versão atual no histórico e aplica as alterações. Retorna false se nada
+// mudou. A proposta precisa ter sido carregada com .select('+revisions').
+proposalSchema.methods.revise = function (changes) {
+	const fields = ['proposal', 'bid', 'timeline'].filter(
+		(field) => changes[field] !== undefined && changes[field] !== this[field],
+	)
+	if (!fields.length) return false
+
+	this.revisions.push({
+		revision: this.revision,
+		proposal: this.proposal,
+		bid: this.bid,
+		timeline: this.timeline,
+		submittedAt: this.editedAt || this.createdAt,
+	})
+	fields.forEach((field) => {
+		this[field] = changes[field]
+	})
+	this.revision += 1
+	this.editedAt = new Date()
+	return true
+}
+
+// Uma proposta por freelancer em cada projeto
+proposalSchema.index({ project: 1, freelancer: 1 }, { unique: true })
+proposalSchema.index({ project: 1, status: 1, createdAt: -1 })
+proposalSchema.index({ freelancer: 1, status: 1, createdAt: -1 })
+proposalSchema.index({ project: 1, 'triage.state': 1 })
+
+export default mongoose.model('Proposal', proposalSchema)
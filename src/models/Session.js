@@ -0,0 +1,70 @@
+// models/Session.js
+import mongoose from 'mongoose'
+
+// Cada sessão representa um dispositivo logado (uma família de refresh tokens)
+const sessionSchema = new mongoose.Schema(
+	{
+		user: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+			required: true,
+		},
+		// Hash do refresh token atual da família
+		tokenHash: {
+			type: String,
+			required: true,
+		},
+		userAgent: String,
+		ip: String,
+		lastUsedAt: {
+			type: Date,
+			default: Date.now,
+		},
+		expiresAt: {
+			type: Date,
+			required: true,
+		},
+		// Último momento em que o segundo fator foi confirmado nesta sessão
+		mfaAuthenticatedAt: Date,
+		// Papel de marketplace em uso nesta sessão (claim "role" do access token)
+		activeRole: {
+			type: String,
+			enum: ['freelancer', 'client'],
+		},
+		revokedAt: Date,
+		revokedReason: {
+			type: String,
+			enum: ['logout', 'user_revoked', 'reuse_detected', 'password_change', 'account_deleted'],
+		},
+	},
+	{
+		timestamps: true,
+	},
+)
+
+sessionSchema.index({ user: 1, revokedAt: 1 })
+// Remove sessões expiradas automaticamente
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+// Sessão ainda pode ser usada?
+sessionSchema.methods.isActive = function () {
+	return !this.revokedAt && this.expiresAt > new Date()
+}
+
+// Revoga a sessão (e com ela todos os refresh tokens da família)
+sessionSchema.methods.revoke = function (reason) {
+	this.revokedAt = new Date()
+	this.revokedReason = reason
+	return this.save()
+}
+
+// Revoga todas as sessões ativas do usuário, opcionalmente mantendo uma
+sessionSchema.statics.revokeAllForUser = function (userId, reason, exceptSessionId = null) {
+	const query = { user: userId, revokedAt: null }
+	if (exceptSessionId) {
+		query._id = { $ne: exceptSessionId }
+	}
+	return this.updateMany(query, { revokedAt: new Date(), revokedReason: reason })
+}
+
+export default mongoose.model('Session', sessionSchema)
@@ -0,0 +1,58 @@
+// models/Suspension.js
+import mongoose from 'mongoose'
+
+// Suspensão aplicada por um admin (histórico completo; a vigente também fica em User.suspension)
+const suspensionSchema = new mongoose.Schema(
+	{
+		user: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+			required: true,
+		},
+		reason: {
+			type: String,
+			required: [true, 'Motivo é obrigatório'],
+			trim: true,
+		},
+		// Fim da suspensão; vazio para banimento permanente
+		until: Date,
+		suspendedBy: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+		},
+		// Suspensão encerrada antes do prazo (por um admin ou recurso aceito)
+		liftedAt: Date,
+		liftedBy: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+		},
+		liftReason: String,
+		// Recurso do usuário contra a suspensão (um por suspensão)
+		appeal: {
+			message: String,
+			submittedAt: Date,
+			status: {
+				type: String,
+				enum: ['pending', 'accepted', 'rejected'],
+			},
+			reviewedBy: {
+				type: mongoose.Schema.Types.ObjectId,
+				ref: 'User',
+			},
+			reviewedAt: Date,
+			response: String,
+		},
+	},
+	{
+		timestamps: true,
+	},
+)
+
+suspensionSchema.index({ user: 1, createdAt: -1 })
+suspensionSchema.index({ 'appeal.status': 1, 'appeal.submittedAt': 1 })
+
+suspensionSchema.methods.isActive = function () {
+	return !this.liftedAt && (!this.until || this.until > new Date())
+}
+
+export default mongoose.model('Suspension', suspensionSchema)
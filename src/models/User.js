@@ -16,6 +16,11 @@ const userSchema = new mongoose.Schema(
 			lowercase: true,
 			trim: true,
 		},
+		emailVerified: {
+			type: Boolean,
+			default: false,
+		},
+		emailVerifiedAt: Date,
 		password: {
 			type: String,
 			required: function () {
@@ -23,20 +28,56 @@ const userSchema = new mongoose.Schema(
 			},
 			minlength: 6,
 		},
+		passwordChangedAt: Date,
 		avatar: {
 			type: String,
 			default: '👤',
 		},
 		userType: {
 			type: String,
-			enum: ['freelancer', 'client'],
+			enum: ['freelancer', 'client', 'admin', 'support', 'finance'],
 			required: true,
 		},
+		// Papéis de marketplace habilitados na conta (uma conta pode ser cliente e freelancer)
+		roles: [
+			{
+				type: String,
+				enum: ['freelancer', 'client'],
+			},
+		],
+		// Papel usado por padrão em novas sessões
+		activeRole: {
+			type: String,
+			enum: ['freelancer', 'client'],
+		},
 		loginType: {
 			type: String,
 			enum: ['email', 'google'],
 			default: 'email',
 		},
+		// Autenticação em dois fatores (TOTP). Segredos ficam criptografados.
+		mfa: {
+			enabled: {
+				type: Boolean,
+				default: false,
+			},
+			secret: String,
+			pendingSecret: String,
+			lastUsedStep: Number,
+			enabledAt: Date,
+			recoveryCodes: [
+				{
+					codeHash: String,
+					usedAt: Date,
+				},
+			],
+		},
+		// Identidade Google vinculada (claim "sub" do ID token)
+		googleId: {
+			type: String,
+			unique: true,
+			sparse: true,
+		},
 		profileComplete: {
 			type: Boolean,
 			default: false,
@@ -64,20 +105,77 @@ const userSchema = new mongoose.Schema(
 			type: Number,
 			default: 0,
 		},
+		// Créditos para envio de propostas, renovados a cada mês (movimentações em CreditTransaction)
+		credits: {
+			balance: {
+				type: Number,
+				default: 0,
+			},
+			// Mês de referência do saldo (AAAA-MM)
+			period: String,
+		},
 		// Campos específicos do cliente
 		company: String,
 		website: String,
+		// Última versão aceita de cada documento legal obrigatório (histórico completo em Consent)
+		legalAcceptances: {
+			terms: Number,
+			privacy: Number,
+		},
+		marketingOptIn: {
+			type: Boolean,
+			default: false,
+		},
+		// Exclusão de conta (LGPD): agendada com período de carência e executada por uma tarefa
+		deletion: {
+			requestedAt: Date,
+			scheduledFor: Date,
+		},
+		// Conta excluída: dados pessoais anonimizados, referências mantidas
+		deletedAt: Date,
+		// Suspensão vigente aplicada por um admin (histórico e recursos em Suspension).
+		// Sem "until" a suspensão é permanente.
+		suspension: {
+			record: {
+				type: mongoose.Schema.Types.ObjectId,
+				ref: 'Suspension',
+			},
+			reason: String,
+			until: Date,
+		},
 	},
 	{
 		timestamps: true,
 	},
 )
 
+userSchema.index({ 'deletion.scheduledFor': 1 }, { sparse: true })
+userSchema.index({ 'suspension.record': 1 }, { sparse: true })
+
+// O tipo de cadastro (cliente ou freelancer) é sempre um dos papéis da conta
+userSchema.pre('validate', function (next) {
+	if (['freelancer', 'client'].includes(this.userType)) {
+		if (!this.roles.includes(this.userType)) {
+			this.roles.push(this.userType)
+		}
+		if (!this.activeRole) {
+			this.activeRole = this.userType
+		}
+	}
+	next()
+})
+
 // Hash password antes de salvar
 userSchema.pre('save', async function (next) {
 	if (!this.isModified('password')) return next()
 
 	this.password = await bcrypt.hash(this.password, 12)
+
+	// Registra a troca de senha para invalidar tokens emitidos antes dela.
+	// Subtrai 1s porque o "iat" dos tokens tem precisão de segundos.
+	if (!this.isNew) {
+		this.passwordChangedAt = new Date(Date.now() - 1000)
+	}
 	next()
 })
 
@@ -86,10 +184,49 @@ userSchema.methods.correctPassword = async function (candidatePassword, userPass
 	return await bcrypt.compare(candidatePassword, userPassword)
 }
 
+// Verifica se a senha foi alterada depois da emissão do token (iat em segundos)
+userSchema.methods.changedPasswordAfter = function (tokenIssuedAt) {
+	return Boolean(this.passwordChangedAt) && tokenIssuedAt * 1000 < this.passwordChangedAt.getTime()
+}
+
+// Verifica se a conta pode atuar com o papel informado
+userSchema.methods.hasRole = function (role) {
+	return this.userType === role || this.roles.includes(role)
+}
+
+// Filtro de consulta por papel (contas antigas podem não ter "roles" preenchido)
+userSchema.statics.withRole = function (role) {
+	return { $or: [{ userType: role }, { roles: role }] }
+}
+
+// Verifica se a conta está suspensa (suspensões temporárias expiram sozinhas)
+userSchema.methods.isSuspended = function () {
+	return (
+		Boolean(this.suspension?.record) &&
+		(!this.suspension.until || this.suspension.until > new Date())
+	)
+}
+
+// Filtro de consulta para contas suspensas no momento
+userSchema.statics.suspended = function () {
+	return {
+		'suspension.record': { $ne: null },
+		$or: [{ 'suspension.until': null }, { 'suspension.until': { $gt: new Date() } }],
+	}
+}
+
+// Filtro de consulta para contas sem suspensão vigente
+userSchema.statics.notSuspended = function () {
+	return {
+		$or: [{ 'suspension.record': null }, { 'suspension.until': { $lte: new Date() } }],
+	}
+}
+
 // Remover password do output
 userSchema.methods.toJSON = function () {
 	const user = this.toObject()
 	delete user.password
+	user.mfa = { enabled: Boolean(user.mfa?.enabled) }
 	return user
 }
 
@@ -0,0 +1,68 @@
+// models/UserToken.js
+import mongoose from 'mongoose'
+import { generateRandomToken, hashToken } from '../utils/tokens.js'
+
+// Tokens de uso único enviados por email (apenas o hash é armazenado)
+const userTokenSchema = new mongoose.Schema(
+	{
+		user: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+			required: true,
+		},
+		type: {
+			type: String,
+			enum: ['email_verification', 'password_reset', 'account_unlock'],
+			required: true,
+		},
+		tokenHash: {
+			type: String,
+			required: true,
+			unique: true,
+		},
+		expiresAt: {
+			type: Date,
+			required: true,
+		},
+		usedAt: Date,
+	},
+	{
+		timestamps: true,
+	},
+)
+
+userTokenSchema.index({ user: 1, type: 1 })
+// Remove tokens expirados automaticamente
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+// Gera um novo token para o usuário, invalidando os anteriores do mesmo tipo.
+// Retorna o token em texto puro (para ser enviado por email).
+userTokenSchema.statics.issue = async function (userId, type, ttlMs) {
+	await this.deleteMany({ user: userId, type, usedAt: null })
+
+	const token = generateRandomToken()
+	await this.create({
+		user: userId,
+		type,
+		tokenHash: hashToken(token),
+		expiresAt: new Date(Date.now() + ttlMs),
+	})
+
+	return token
+}
+
+// Consome um token válido (não usado e não expirado). Retorna o documento ou null.
+userTokenSchema.statics.consume = function (token, type) {
+	return this.findOneAndUpdate(
+		{
+			tokenHash: hashToken(token),
+			type,
+			usedAt: null,
+			expiresAt: { $gt: new Date() },
+		},
+		{ usedAt: new Date() },
+		{ new: true },
+	)
+}
+
+export default mongoose.model('UserToken', userTokenSchema)
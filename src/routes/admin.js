@@ -0,0 +1,859 @@
+// routes/admin.js
+import express from 'express'
+import { body, param, query, validationResult } from 'express-validator'
+import { denyImpersonation, protect } from '../middleware/auth.js'
+import { authorize } from '../middleware/authorize.js'
+import { MARKETPLACE_ROLES, resolveActiveRole } from '../config/permissions.js'
+import { formatAuthUser } from '../controllers/authController.js'
+import { recordAuditEvent } from '../services/audit.js'
+import { sendSuspensionAppealRejectedEmail } from '../services/emails.js'
+import { liftSuspension, suspendUser } from '../services/suspension.js'
+import { signImpersonationToken } from '../services/tokenService.js'
+import AuditEvent from '../models/AuditEvent.js'
+import Suspension from '../models/Suspension.js'
+import User from '../models/User.js'
+import { toCsv } from '../utils/csv.js'
+
+const router = express.Router()
+
+/**
+ * @swagger
+ * /api/admin/impersonate/{userId}:
+ *   post:
+ *     summary: Personificar usuário
+ *     description: |
+ *       Emite um access token de curta duração (IMPERSONATION_TOKEN_EXPIRES_IN, padrão 15m)
+ *       para o admin ver a plataforma como o cliente ou freelancer informado. O token leva
+ *       o claim "act" com o admin responsável, não permite movimentar dinheiro nem alterar
+ *       credenciais (IMPERSONATION_FORBIDDEN) e cada requisição feita com ele é registrada
+ *       na trilha de auditoria.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: "Chamado #1234 - cliente não vê pagamentos"
+ *     responses:
+ *       200:
+ *         description: Token de personificação emitido
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 accessToken:
+ *                   type: string
+ *                 impersonatedUser:
+ *                   type: object
+ *       400:
+ *         description: Dados inválidos ou tentativa de personificar a si mesmo
+ *       401:
+ *         description: Não autorizado
+ *       403:
+ *         description: Sem a permissão user:impersonate ou usuário da equipe
+ *       404:
+ *         description: Usuário não encontrado
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.post(
+	'/impersonate/:userId',
+	protect,
+	denyImpersonation,
+	authorize('user:impersonate'),
+	[body('reason').trim().notEmpty().withMessage('Motivo é obrigatório')],
+	async (req, res) => {
+		try {
+			const errors = validationResult(req)
+			if (!errors.isEmpty()) {
+				return res.status(400).json({
+					message: 'Dados inválidos',
+					errors: errors.array(),
+				})
+			}
+
+			const target = await User.findById(req.params.userId)
+
+			if (!target) {
+				return res.status(404).json({
+					message: 'Usuário não encontrado',
+				})
+			}
+
+			if (target._id.equals(req.user._id)) {
+				return res.status(400).json({
+					message: 'Você não pode personificar a si mesmo',
+				})
+			}
+
+			// Apenas clientes e freelancers podem ser personificados
+			if (!MARKETPLACE_ROLES.includes(target.userType)) {
+				return res.status(403).json({
+					message: 'Não é permitido personificar usuários da equipe',
+				})
+			}
+
+			const activeRole = resolveActiveRole(target)
+			const accessToken = signImpersonationToken(target._id, req.user._id, { role: activeRole })
+
+			await recordAuditEvent(req, {
+				action: 'impersonation.start',
+				target: { type: 'User', id: target._id },
+				metadata: { reason: req.body.reason },
+			})
+
+			res.json({
+				message: `Personificando ${target.name}`,
+				accessToken,
+				impersonatedUser: formatAuthUser(target, activeRole),
+			})
+		} catch (error) {
+			console.error('Erro ao personificar usuário:', error)
+			res.status(500).json({
+				message: 'Erro interno do servidor',
+			})
+		}
+	},
+)
+
+/**
+ * @swagger
+ * /api/admin/users/{userId}/suspension:
+ *   post:
+ *     summary: Suspender usuário
+ *     description: |
+ *       Suspende a conta até a data informada em `until` ou, sem ela, permanentemente.
+ *       A conta passa a receber ACCOUNT_SUSPENDED nas rotas protegidas, seus projetos abertos
+ *       e propostas pendentes deixam de aparecer nas listagens e o usuário é avisado por
+ *       email, podendo recorrer em POST /api/users/me/suspension/appeal.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: "Tentativa de pagamento fora da plataforma"
+ *               until:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Fim da suspensão; omita para banimento permanente
+ *     responses:
+ *       201:
+ *         description: Usuário suspenso
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *       400:
+ *         description: Dados inválidos ou tentativa de suspender a si mesmo
+ *       401:
+ *         description: Não autorizado
+ *       403:
+ *         description: Sem a permissão user:suspend ou usuário da equipe
+ *       404:
+ *         description: Usuário não encontrado
+ *       409:
+ *         description: Usuário já está suspenso
+ *       500:
+ *         description: Erro interno do servidor
+ *   delete:
+ *     summary: Encerrar suspensão
+ *     description: Reativa a conta antes do fim da suspensão e avisa o usuário por email
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Suspensão encerrada
+ *       401:
+ *         description: Não autorizado
+ *       403:
+ *         description: Sem a permissão user:suspend
+ *       404:
+ *         description: Usuário não encontrado ou não suspenso
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.post(
+	'/users/:userId/suspension',
+	protect,
+	denyImpersonation,
+	authorize('user:suspend'),
+	[
+		param('userId').isMongoId().withMessage('ID de usuário inválido'),
+		body('reason').trim().notEmpty().withMessage('Motivo é obrigatório'),
+		body('until')
+			.optional({ values: 'null' })
+			.isISO8601()
+			.withMessage('Data final inválida')
+			.bail()
+			.custom((value) => new Date(value) > new Date())
+			.withMessage('A data final deve estar no futuro'),
+	],
+	async (req, res) => {
+		try {
+			const errors = validationResult(req)
+			if (!errors.isEmpty()) {
+				return res.status(400).json({
+					message: 'Dados inválidos',
+					errors: errors.array(),
+				})
+			}
+
+			const target = await User.findById(req.params.userId)
+
+			if (!target || target.deletedAt) {
+				return res.status(404).json({
+					message: 'Usuário não encontrado',
+				})
+			}
+
+			if (target._id.equals(req.user._id)) {
+				return res.status(400).json({
+					message: 'Você não pode suspender a si mesmo',
+				})
+			}
+
+			// Apenas clientes e freelancers podem ser suspensos
+			if (!MARKETPLACE_ROLES.includes(target.userType)) {
+				return res.status(403).json({
+					message: 'Não é permitido suspender usuários da equipe',
+				})
+			}
+
+			if (target.isSuspended()) {
+				return res.status(409).json({
+					message: 'Usuário já está suspenso. Encerre a suspensão atual para aplicar outra.',
+					suspension: target.suspension,
+				})
+			}
+
+			const { reason, until } = req.body
+			const suspension = await suspendUser(req, target, {
+				reason,
+				until: until ? new Date(until) : undefined,
+			})
+
+			res.status(201).json(suspension)
+		} catch (error) {
+			console.error('Erro ao suspender usuário:', error)
+			res.status(500).json({
+				message: 'Erro interno do servidor',
+			})
+		}
+	},
+)
+
+router.delete(
+	'/users/:userId/suspension',
+	protect,
+	denyImpersonation,
+	authorize('user:suspend'),
+	[
+		param('userId').isMongoId().withMessage('ID de usuário inválido'),
+		body('reason').optional().trim(),
+	],
+	async (req, res) => {
+		try {
+			const errors = validationResult(req)
+			if (!errors.isEmpty()) {
+				return res.status(400).json({
+					message: 'Dados inválidos',
+					errors: errors.array(),
+				})
+			}
+
+			const target = await User.findById(req.params.userId)
+			const suspension =
+				target?.isSuspended() && (await Suspension.findById(target.suspension.record))
+
+			if (!suspension) {
+				return res.status(404).json({
+					message: 'Usuário não encontrado ou não está suspenso',
+				})
+			}
+
+			await liftSuspension(req, target, suspension, req.body?.reason)
+
+			res.json({
+				message: 'Suspensão encerrada',
+			})
+		} catch (error) {
+			console.error('Erro ao encerrar suspensão:', error)
+			res.status(500).json({
+				message: 'Erro interno do servidor',
+			})
+		}
+	},
+)
+
+/**
+ * @swagger
+ * /api/admin/suspensions:
+ *   get:
+ *     summary: Listar suspensões
+ *     description: Lista as suspensões aplicadas, por exemplo as com recurso aguardando análise (appealStatus=pending)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: appealStatus
+ *         schema:
+ *           type: string
+ *           enum: [pending, accepted, rejected]
+ *       - in: query
+ *         name: user
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *         description: Apenas suspensões vigentes
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Lista de suspensões
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 suspensions:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 totalPages:
+ *                   type: integer
+ *                 currentPage:
+ *                   type: integer
+ *                 total:
+ *                   type: integer
+ *       401:
+ *         description: Não autorizado
+ *       403:
+ *         description: Sem a permissão user:suspend
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.get(
+	'/suspensions',
+	protect,
+	authorize('user:suspend'),
+	[
+		query('appealStatus')
+			.optional()
+			.isIn(['pending', 'accepted', 'rejected'])
+			.withMessage('Status de recurso inválido'),
+		query('user').optional().isMongoId().withMessage('ID de usuário inválido'),
+	],
+	async (req, res) => {
+		try {
+			const errors = validationResult(req)
+			if (!errors.isEmpty()) {
+				return res.status(400).json({
+					message: 'Dados inválidos',
+					errors: errors.array(),
+				})
+			}
+
+			const { appealStatus, user, active } = req.query
+			const page = Math.max(parseInt(req.query.page) || 1, 1)
+			const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100)
+
+			const filter = {}
+			if (appealStatus) filter['appeal.status'] = appealStatus
+			if (user) filter.user = user
+			if (active === 'true') {
+				filter.liftedAt = null
+				filter.$or = [{ until: null }, { until: { $gt: new Date() } }]
+			}
+
+			const [suspensions, total] = await Promise.all([
+				Suspension.find(filter)
+					.populate('user', 'name email userType')
+					.populate('suspendedBy', 'name email')
+					.sort(appealStatus === 'pending' ? { 'appeal.submittedAt': 1 } : { createdAt: -1 })
+					.skip((page - 1) * limit)
+					.limit(limit),
+				Suspension.countDocuments(filter),
+			])
+
+			res.json({
+				suspensions,
+				totalPages: Math.ceil(total / limit),
+				currentPage: page,
+				total,
+			})
+		} catch (error) {
+			console.error('Erro ao listar suspensões:', error)
+			res.status(500).json({
+				message: 'Erro interno do servidor',
+			})
+		}
+	},
+)
+
+/**
+ * @swagger
+ * /api/admin/suspensions/{id}/appeal:
+ *   put:
+ *     summary: Decidir recurso de suspensão
+ *     description: Aceitar o recurso encerra a suspensão; recusar mantém a suspensão. O usuário é avisado por email.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - decision
+ *             properties:
+ *               decision:
+ *                 type: string
+ *                 enum: [accepted, rejected]
+ *               response:
+ *                 type: string
+ *                 description: Resposta enviada ao usuário
+ *     responses:
+ *       200:
+ *         description: Recurso decidido
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *       400:
+ *         description: Dados inválidos
+ *       401:
+ *         description: Não autorizado
+ *       403:
+ *         description: Sem a permissão user:suspend
+ *       404:
+ *         description: Suspensão não encontrada
+ *       409:
+ *         description: Não há recurso pendente para esta suspensão
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.put(
+	'/suspensions/:id/appeal',
+	protect,
+	denyImpersonation,
+	authorize('user:suspend'),
+	[
+		param('id').isMongoId().withMessage('ID de suspensão inválido'),
+		body('decision').isIn(['accepted', 'rejected']).withMessage('Decisão inválida'),
+		body('response').optional().trim(),
+	],
+	async (req, res) => {
+		try {
+			const errors = validationResult(req)
+			if (!errors.isEmpty()) {
+				return res.status(400).json({
+					message: 'Dados inválidos',
+					errors: errors.array(),
+				})
+			}
+
+			const suspension = await Suspension.findById(req.params.id)
+
+			if (!suspension) {
+				return res.status(404).json({
+					message: 'Suspensão não encontrada',
+				})
+			}
+
+			if (suspension.appeal?.status !== 'pending') {
+				return res.status(409).json({
+					message: 'Não há recurso pendente para esta suspensão',
+				})
+			}
+
+			const { decision, response } = req.body
+			suspension.appeal.status = decision
+			suspension.appeal.reviewedBy = req.user._id
+			suspension.appeal.reviewedAt = new Date()
+			suspension.appeal.response = response
+			await suspension.save()
+
+			await recordAuditEvent(req, {
+				action: 'user.suspension_appeal_reviewed',
+				target: { type: 'User', id: suspension.user },
+				metadata: { suspension: suspension._id, decision },
+			})
+
+			const user = await User.findById(suspension.user)
+			if (decision === 'accepted') {
+				if (suspension.isActive()) {
+					await liftSuspension(req, user, suspension, 'Recurso aceito')
+				}
+			} else if (user) {
+				try {
+					await sendSuspensionAppealRejectedEmail(user, suspension)
+				} catch (error) {
+					console.error('Erro ao enviar email de recurso recusado:', error)
+				}
+			}
+
+			res.json(suspension)
+		} catch (error) {
+			console.error('Erro ao decidir recurso:', error)
+			res.status(500).json({
+				message: 'Erro interno do servidor',
+			})
+		}
+	},
+)
+
+const auditFilters = [
+	// Repetir o parâmetro (?action=a&action=b) chega como lista: use vírgulas
+	query(['action', 'targetType', 'requestId'])
+		.optional()
+		.isString()
+		.withMessage('Informe um único valor (use vírgulas para várias ações)'),
+	query('actor').optional().isMongoId().withMessage('ID do ator inválido'),
+	query('target').optional().isMongoId().withMessage('ID do alvo inválido'),
+	query('impersonator').optional().isMongoId().withMessage('ID do admin inválido'),
+	query('from').optional().isISO8601().withMessage('Data inicial inválida'),
+	query('to').optional().isISO8601().withMessage('Data final inválida'),
+]
+
+// Filtros da trilha de auditoria a partir da query string.
+// "action" aceita uma lista separada por vírgulas e prefixos como "auth.*".
+const buildAuditQuery = ({
+	action,
+	actor,
+	target,
+	targetType,
+	impersonator,
+	requestId,
+	from,
+	to,
+}) => {
+	const filter = {}
+
+	if (action) {
+		const actions = action.split(',').map((item) => item.trim())
+		filter.$or = actions.map((item) =>
+			item.endsWith('.*')
+				? { action: { $regex: `^${item.slice(0, -2).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\.` } }
+				: { action: item },
+		)
+	}
+	if (actor) filter.actor = actor
+	if (target) filter['target.id'] = target
+	if (targetType) filter['target.type'] = targetType
+	if (impersonator) filter.impersonator = impersonator
+	if (requestId) filter.requestId = requestId
+
+	if (from || to) {
+		filter.createdAt = {}
+		if (from) filter.createdAt.$gte = new Date(from)
+		if (to) filter.createdAt.$lte = new Date(to)
+	}
+
+	return filter
+}
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     AuditAction:
+ *       in: query
+ *       name: action
+ *       schema:
+ *         type: string
+ *       description: Ações separadas por vírgula; aceita prefixos como "auth.*"
+ *       example: "payment.refunded,auth.*"
+ *     AuditActor:
+ *       in: query
+ *       name: actor
+ *       schema:
+ *         type: string
+ *       description: ID do usuário que realizou a ação
+ *     AuditTarget:
+ *       in: query
+ *       name: target
+ *       schema:
+ *         type: string
+ *       description: ID do registro afetado
+ *     AuditTargetType:
+ *       in: query
+ *       name: targetType
+ *       schema:
+ *         type: string
+ *         enum: [User, Project, Payment, LegalDocument]
+ *     AuditImpersonator:
+ *       in: query
+ *       name: impersonator
+ *       schema:
+ *         type: string
+ *       description: ID do admin em requisições personificadas
+ *     AuditRequestId:
+ *       in: query
+ *       name: requestId
+ *       schema:
+ *         type: string
+ *     AuditFrom:
+ *       in: query
+ *       name: from
+ *       schema:
+ *         type: string
+ *         format: date-time
+ *     AuditTo:
+ *       in: query
+ *       name: to
+ *       schema:
+ *         type: string
+ *         format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/admin/audit:
+ *   get:
+ *     summary: Consultar trilha de auditoria
+ *     description: |
+ *       Lista eventos de auditoria (reembolsos, atribuições de projeto, alterações de perfil,
+ *       logins, falhas de login, trocas de senha, personificações...) do mais recente para o
+ *       mais antigo, com ator, alvo, diff antes/depois, IP e request id.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AuditAction'
+ *       - $ref: '#/components/parameters/AuditActor'
+ *       - $ref: '#/components/parameters/AuditTarget'
+ *       - $ref: '#/components/parameters/AuditTargetType'
+ *       - $ref: '#/components/parameters/AuditImpersonator'
+ *       - $ref: '#/components/parameters/AuditRequestId'
+ *       - $ref: '#/components/parameters/AuditFrom'
+ *       - $ref: '#/components/parameters/AuditTo'
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 200
+ *     responses:
+ *       200:
+ *         description: Eventos encontrados
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 events:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 totalPages:
+ *                   type: integer
+ *                 currentPage:
+ *                   type: integer
+ *                 total:
+ *                   type: integer
+ *       400:
+ *         description: Filtros inválidos
+ *       401:
+ *         description: Não autorizado
+ *       403:
+ *         description: Sem a permissão audit:read
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.get('/audit', protect, authorize('audit:read'), auditFilters, async (req, res) => {
+	try {
+		const errors = validationResult(req)
+		if (!errors.isEmpty()) {
+			return res.status(400).json({
+				message: 'Dados inválidos',
+				errors: errors.array(),
+			})
+		}
+
+		const page = Math.max(parseInt(req.query.page) || 1, 1)
+		const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200)
+		const filter = buildAuditQuery(req.query)
+
+		const [events, total] = await Promise.all([
+			AuditEvent.find(filter)
+				.populate('actor', 'name email')
+				.populate('impersonator', 'name email')
+				.sort({ createdAt: -1 })
+				.skip((page - 1) * limit)
+				.limit(limit),
+			AuditEvent.countDocuments(filter),
+		])
+
+		res.json({
+			events,
+			totalPages: Math.ceil(total / limit),
+			currentPage: page,
+			total,
+		})
+	} catch (error) {
+		console.error('Erro ao consultar auditoria:', error)
+		res.status(500).json({
+			message: 'Erro interno do servidor',
+		})
+	}
+})
+
+/**
+ * @swagger
+ * /api/admin/audit/export:
+ *   get:
+ *     summary: Exportar trilha de auditoria em CSV
+ *     description: Exporta os eventos filtrados em CSV (até AUDIT_EXPORT_MAX_ROWS linhas, padrão 10000)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AuditAction'
+ *       - $ref: '#/components/parameters/AuditActor'
+ *       - $ref: '#/components/parameters/AuditTarget'
+ *       - $ref: '#/components/parameters/AuditTargetType'
+ *       - $ref: '#/components/parameters/AuditImpersonator'
+ *       - $ref: '#/components/parameters/AuditRequestId'
+ *       - $ref: '#/components/parameters/AuditFrom'
+ *       - $ref: '#/components/parameters/AuditTo'
+ *     responses:
+ *       200:
+ *         description: Arquivo CSV
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Filtros inválidos
+ *       401:
+ *         description: Não autorizado
+ *       403:
+ *         description: Sem a permissão audit:read
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.get('/audit/export', protect, authorize('audit:read'), auditFilters, async (req, res) => {
+	try {
+		const errors = validationResult(req)
+		if (!errors.isEmpty()) {
+			return res.status(400).json({
+				message: 'Dados inválidos',
+				errors: errors.array(),
+			})
+		}
+
+		const maxRows = parseInt(process.env.AUDIT_EXPORT_MAX_ROWS || '10000', 10)
+
+		const events = await AuditEvent.find(buildAuditQuery(req.query))
+			.populate('actor', 'email')
+			.populate('impersonator', 'email')
+			.sort({ createdAt: -1 })
+			.limit(maxRows)
+			.lean()
+
+		const csv = toCsv(events, [
+			{ header: 'data', value: (event) => event.createdAt },
+			{ header: 'acao', value: (event) => event.action },
+			{ header: 'ator_id', value: (event) => event.actor?._id },
+			{ header: 'ator_email', value: (event) => event.actor?.email },
+			{ header: 'personificado_por', value: (event) => event.impersonator?.email },
+			{ header: 'alvo_tipo', value: (event) => event.target?.type },
+			{ header: 'alvo_id', value: (event) => event.target?.id },
+			{ header: 'antes', value: (event) => event.changes?.before },
+			{ header: 'depois', value: (event) => event.changes?.after },
+			{ header: 'metadados', value: (event) => event.metadata },
+			{ header: 'ip', value: (event) => event.ip },
+			{ header: 'user_agent', value: (event) => event.userAgent },
+			{ header: 'request_id', value: (event) => event.requestId },
+		])
+
+		await recordAuditEvent(req, {
+			action: 'audit.exported',
+			metadata: { filters: req.query, rows: events.length },
+		})
+
+		const date = new Date().toISOString().slice(0, 10)
+		res.set('Content-Type', 'text/csv; charset=utf-8')
+		res.set('Content-Disposition', `attachment; filename="auditoria-${date}.csv"`)
+		res.send(csv)
+	} catch (error) {
+		console.error('Erro ao exportar auditoria:', error)
+		res.status(500).json({
+			message: 'Erro interno do servidor',
+		})
+	}
+})
+
+export default router
@@ -0,0 +1,224 @@
+// routes/apiKeys.js
+import express from 'express'
+import { body, validationResult } from 'express-validator'
+import { denyImpersonation, protect } from '../middleware/auth.js'
+import ApiKey from '../models/ApiKey.js'
+import { API_KEY_SCOPES } from '../config/permissions.js'
+
+const router = express.Router()
+
+/**
+ * @swagger
+ * /api/api-keys:
+ *   post:
+ *     summary: Criar chave de API
+ *     description: |
+ *       Cria uma chave de API pessoal para integrações servidor a servidor. A chave é
+ *       retornada apenas nesta resposta; depois disso só o prefixo fica visível.
+ *       Envie-a no header `Authorization: ApiKey <chave>`. Cada escopo libera um recurso
+ *       para leitura (GET) ou escrita (demais métodos).
+ *     tags: [Chaves de API]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - scopes
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "Relatórios internos"
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [projects:read, projects:write, proposals:read, proposals:write, payments:read, payments:write, reviews:read, reviews:write, dashboard:read, users:read, skills:read]
+ *                 example: ["projects:read", "payments:read"]
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Data de expiração (opcional)
+ *     responses:
+ *       201:
+ *         description: Chave criada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 key:
+ *                   type: string
+ *                   example: "fhk_3f9a1c2b..."
+ *                 apiKey:
+ *                   type: object
+ *       400:
+ *         description: Dados inválidos
+ *       401:
+ *         description: Não autorizado
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.post(
+	'/',
+	protect,
+	denyImpersonation,
+	[
+		body('name').trim().notEmpty().withMessage('Nome da chave é obrigatório'),
+		body('scopes').isArray({ min: 1 }).withMessage('Informe ao menos um escopo'),
+		body('scopes.*').isIn(API_KEY_SCOPES).withMessage('Escopo inválido'),
+		body('expiresAt')
+			.optional()
+			.isISO8601()
+			.withMessage('Data de expiração inválida')
+			.custom((value) => new Date(value) > new Date())
+			.withMessage('Data de expiração deve estar no futuro'),
+	],
+	async (req, res) => {
+		try {
+			const errors = validationResult(req)
+			if (!errors.isEmpty()) {
+				return res.status(400).json({
+					message: 'Dados inválidos',
+					errors: errors.array(),
+				})
+			}
+
+			const { name, scopes, expiresAt } = req.body
+
+			const { apiKey, key } = await ApiKey.generate(req.user._id, {
+				name,
+				scopes: [...new Set(scopes)],
+				expiresAt: expiresAt ? new Date(expiresAt) : undefined,
+			})
+
+			res.status(201).json({
+				message: 'Chave criada. Guarde-a agora: ela não será exibida novamente.',
+				key,
+				apiKey,
+			})
+		} catch (error) {
+			console.error('Erro ao criar chave de API:', error)
+			res.status(500).json({
+				message: 'Erro interno do servidor',
+			})
+		}
+	},
+)
+
+/**
+ * @swagger
+ * /api/api-keys:
+ *   get:
+ *     summary: Listar chaves de API
+ *     description: Lista as chaves de API do usuário logado, incluindo as revogadas e expiradas
+ *     tags: [Chaves de API]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Lista de chaves (sem o valor da chave)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   _id:
+ *                     type: string
+ *                   name:
+ *                     type: string
+ *                   prefix:
+ *                     type: string
+ *                   scopes:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                   expiresAt:
+ *                     type: string
+ *                     format: date-time
+ *                   lastUsedAt:
+ *                     type: string
+ *                     format: date-time
+ *                   lastUsedIp:
+ *                     type: string
+ *                   revokedAt:
+ *                     type: string
+ *                     format: date-time
+ *       401:
+ *         description: Não autorizado
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.get('/', protect, async (req, res) => {
+	try {
+		const apiKeys = await ApiKey.find({ user: req.user._id }).sort({ createdAt: -1 })
+
+		res.json(apiKeys)
+	} catch (error) {
+		console.error('Erro ao listar chaves de API:', error)
+		res.status(500).json({
+			message: 'Erro interno do servidor',
+		})
+	}
+})
+
+/**
+ * @swagger
+ * /api/api-keys/{id}:
+ *   delete:
+ *     summary: Revogar chave de API
+ *     description: Revoga uma chave de API do usuário logado. A chave deixa de funcionar imediatamente.
+ *     tags: [Chaves de API]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Chave revogada
+ *       401:
+ *         description: Não autorizado
+ *       404:
+ *         description: Chave não encontrada
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.delete('/:id', protect, denyImpersonation, async (req, res) => {
+	try {
+		const apiKey = await ApiKey.findOne({ _id: req.params.id, user: req.user._id })
+
+		if (!apiKey) {
+			return res.status(404).json({
+				message: 'Chave não encontrada',
+			})
+		}
+
+		if (!apiKey.revokedAt) {
+			apiKey.revokedAt = new Date()
+			await apiKey.save()
+		}
+
+		res.json({
+			message: 'Chave revogada',
+		})
+	} catch (error) {
+		console.error('Erro ao revogar chave de API:', error)
+		res.status(500).json({
+			message: 'Erro interno do servidor',
+		})
+	}
+})
+
+export default router
@@ -0,0 +1,587 @@
+// routes/attachments.js
+import express from 'express'
+import { protect } from '../middleware/auth.js'
+import Attachment from '../models/Attachment.js'
+import Project from '../models/Project.js'
+import Proposal from '../models/Proposal.js'
+import {
+	AttachmentError,
+	canAccessAttachment,
+	createAttachments,
+	formatAttachment,
+	getDownloadPath,
+	receiveFiles,
+	removeAttachment,
+} from '../services/attachments.js'
+import { getStorage } from '../services/storage.js'
+import { verifySignedUrl } from '../utils/signedUrl.js'
+
+const router = express.Router()
+
+const respondAttachmentError = (res, error) =>
+	res.status(error.status).json({
+		message: error.message,
+		code: error.code,
+	})
+
+/**
+ * @swagger
+ * components:
+ *   requestBodies:
+ *     AttachmentUpload:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - files
+ *             properties:
+ *               files:
+ *                 type: array
+ *                 description: |
+ *                   Até ATTACHMENT_MAX_FILES arquivos (padrão 5) de até ATTACHMENT_MAX_SIZE_MB
+ *                   (padrão 10 MB) cada. Tipos aceitos: pdf, png, jpg, gif, webp, txt, csv, zip,
+ *                   doc, docx, xlsx e pptx.
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *   responses:
+ *     AttachmentsCreated:
+ *       description: Arquivos enviados
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: array
+ *             items:
+ *               $ref: '#/components/schemas/Attachment'
+ */
+
+/**
+ * @swagger
+ * /api/projects/{id}/attachments:
+ *   get:
+ *     summary: Listar anexos do projeto
+ *     description: Retorna os anexos do projeto que o usuário pode acessar, com links de download assinados
+ *     tags: [Anexos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: context
+ *         schema:
+ *           type: string
+ *           enum: [project, proposal, deliverable]
+ *       - in: query
+ *         name: proposal
+ *         schema:
+ *           type: string
+ *         description: Apenas anexos desta proposta
+ *     responses:
+ *       200:
+ *         description: Anexos acessíveis
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Attachment'
+ *       401:
+ *         description: Não autorizado
+ *       404:
+ *         description: Projeto não encontrado
+ *       500:
+ *         description: Erro interno do servidor
+ *   post:
+ *     summary: Enviar briefing do projeto
+ *     description: Cliente dono anexa arquivos ao projeto (briefing, referências)
+ *     tags: [Anexos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       $ref: '#/components/requestBodies/AttachmentUpload'
+ *     responses:
+ *       201:
+ *         $ref: '#/components/responses/AttachmentsCreated'
+ *       400:
+ *         description: Nenhum arquivo ou arquivos demais
+ *       401:
+ *         description: Não autorizado
+ *       403:
+ *         description: Apenas o cliente dono pode anexar arquivos ao projeto
+ *       404:
+ *         description: Projeto não encontrado
+ *       413:
+ *         description: Arquivo maior que o limite (LIMIT_FILE_SIZE)
+ *       415:
+ *         description: Tipo de arquivo não permitido (FILE_TYPE_NOT_ALLOWED)
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.get('/:id/attachments', protect, async (req, res) => {
+	try {
+		const project = await Project.findById(req.params.id).select('client assignedTo status')
+
+		if (!project) {
+			return res.status(404).json({
+				message: 'Projeto não encontrado',
+			})
+		}
+
+		const query = { project: project._id }
+		if (req.query.context) query.context = req.query.context
+		if (req.query.proposal) query.proposal = req.query.proposal
+
+		const attachments = await Attachment.find(query).sort({ createdAt: -1 })
+
+		res.json(
+			attachments
+				.filter((attachment) => canAccessAttachment(attachment, project, req.user))
+				.map(formatAttachment),
+		)
+	} catch (error) {
+		console.error('Erro ao buscar anexos:', error)
+		res.status(500).json({
+			message: 'Erro interno do servidor',
+		})
+	}
+})
+
+router.post('/:id/attachments', protect, async (req, res) => {
+	try {
+		const project = await Project.findById(req.params.id).select('client')
+
+		if (!project) {
+			return res.status(404).json({
+				message: 'Projeto não encontrado',
+			})
+		}
+
+		if (project.client.toString() !== req.user._id.toString()) {
+			return res.status(403).json({
+				message: 'Apenas o cliente dono do projeto pode anexar arquivos ao projeto',
+			})
+		}
+
+		const files = await receiveFiles(req, res)
+		const attachments = await createAttachments(files, {
+			project: project._id,
+			owner: req.user._id,
+			context: 'project',
+		})
+
+		res.status(201).json(attachments.map(formatAttachment))
+	} catch (error) {
+		if (error instanceof AttachmentError) {
+			return respondAttachmentError(res, error)
+		}
+
+		console.error('Erro ao enviar anexos do projeto:', error)
+		res.status(500).json({
+			message: 'Erro interno do servidor',
+		})
+	}
+})
+
+/**
+ * @swagger
+ * /api/projects/{id}/proposals/{proposalId}/attachments:
+ *   post:
+ *     summary: Enviar amostras da proposta
+ *     description: Freelancer autor anexa amostras de trabalho à proposta enquanto ela está pendente
+ *     tags: [Anexos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: proposalId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       $ref: '#/components/requestBodies/AttachmentUpload'
+ *     responses:
+ *       201:
+ *         $ref: '#/components/responses/AttachmentsCreated'
+ *       400:
+ *         description: Nenhum arquivo, arquivos demais ou proposta já respondida
+ *       401:
+ *         description: Não autorizado
+ *       403:
+ *         description: Apenas o autor da proposta pode anexar arquivos
+ *       404:
+ *         description: Proposta não encontrada
+ *       413:
+ *         description: Arquivo maior que o limite (LIMIT_FILE_SIZE)
+ *       415:
+ *         description: Tipo de arquivo não permitido (FILE_TYPE_NOT_ALLOWED)
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.post('/:id/proposals/:proposalId/attachments', protect, async (req, res) => {
+	try {
+		const proposal = await Proposal.findOne({
+			_id: req.params.proposalId,
+			project: req.params.id,
+		})
+
+		if (!proposal) {
+			return res.status(404).json({
+				message: 'Proposta não encontrada',
+			})
+		}
+
+		if (proposal.freelancer.toString() !== req.user._id.toString()) {
+			return res.status(403).json({
+				message: 'Apenas o autor da proposta pode anexar arquivos',
+			})
+		}
+
+		if (proposal.status !== 'pending') {
+			return res.status(400).json({
+				message: 'Só é possível anexar arquivos a propostas pendentes',
+			})
+		}
+
+		const files = await receiveFiles(req, res)
+		const attachments = await createAttachments(files, {
+			project: proposal.project,
+			owner: req.user._id,
+			context: 'proposal',
+			proposal: proposal._id,
+		})
+
+		res.status(201).json(attachments.map(formatAttachment))
+	} catch (error) {
+		if (error instanceof AttachmentError) {
+			return respondAttachmentError(res, error)
+		}
+
+		console.error('Erro ao enviar anexos da proposta:', error)
+		res.status(500).json({
+			message: 'Erro interno do servidor',
+		})
+	}
+})
+
+/**
+ * @swagger
+ * /api/projects/{id}/deliverables/attachments:
+ *   post:
+ *     summary: Enviar arquivos para a próxima entrega
+ *     description: |
+ *       Freelancer do projeto envia os arquivos da entrega. Os ids retornados são informados
+ *       em "attachments" ao enviar a entrega (POST /api/projects/{id}/deliverables); até lá,
+ *       os arquivos ficam visíveis apenas para o freelancer.
+ *     tags: [Anexos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       $ref: '#/components/requestBodies/AttachmentUpload'
+ *     responses:
+ *       201:
+ *         $ref: '#/components/responses/AttachmentsCreated'
+ *       400:
+ *         description: Nenhum arquivo, arquivos demais ou projeto não está em andamento
+ *       401:
+ *         description: Não autorizado
+ *       403:
+ *         description: Apenas o freelancer do projeto pode enviar arquivos de entrega
+ *       404:
+ *         description: Projeto não encontrado
+ *       413:
+ *         description: Arquivo maior que o limite (LIMIT_FILE_SIZE)
+ *       415:
+ *         description: Tipo de arquivo não permitido (FILE_TYPE_NOT_ALLOWED)
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.post('/:id/deliverables/attachments', protect, async (req, res) => {
+	try {
+		const project = await Project.findById(req.params.id).select('assignedTo status')
+
+		if (!project) {
+			return res.status(404).json({
+				message: 'Projeto não encontrado',
+			})
+		}
+
+		if (project.assignedTo?.toString() !== req.user._id.toString()) {
+			return res.status(403).json({
+				message: 'Apenas o freelancer do projeto pode enviar arquivos de entrega',
+			})
+		}
+
+		if (project.status !== 'in_progress') {
+			return res.status(400).json({
+				message: 'Só é possível enviar arquivos de entrega com o projeto em andamento',
+			})
+		}
+
+		const files = await receiveFiles(req, res)
+		const attachments = await createAttachments(files, {
+			project: project._id,
+			owner: req.user._id,
+			context: 'deliverable',
+		})
+
+		res.status(201).json(attachments.map(formatAttachment))
+	} catch (error) {
+		if (error instanceof AttachmentError) {
+			return respondAttachmentError(res, error)
+		}
+
+		console.error('Erro ao enviar arquivos da entrega:', error)
+		res.status(500).json({
+			message: 'Erro interno do servidor',
+		})
+	}
+})
+
+/**
+ * @swagger
+ * /api/projects/{id}/attachments/{attachmentId}:
+ *   get:
+ *     summary: Buscar anexo
+ *     description: Retorna os metadados do anexo e um novo link de download assinado
+ *     tags: [Anexos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: attachmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Anexo
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Attachment'
+ *       401:
+ *         description: Não autorizado
+ *       403:
+ *         description: Sem acesso ao anexo
+ *       404:
+ *         description: Anexo não encontrado
+ *       500:
+ *         description: Erro interno do servidor
+ *   delete:
+ *     summary: Excluir anexo
+ *     description: Autor remove o anexo. Arquivos já incluídos em uma entrega não podem ser excluídos.
+ *     tags: [Anexos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: attachmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Anexo excluído
+ *       400:
+ *         description: Arquivo faz parte de uma entrega
+ *       401:
+ *         description: Não autorizado
+ *       403:
+ *         description: Apenas o autor pode excluir o anexo
+ *       404:
+ *         description: Anexo não encontrado
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.get('/:id/attachments/:attachmentId', protect, async (req, res) => {
+	try {
+		const project = await Project.findById(req.params.id).select('client assignedTo status')
+		const attachment =
+			project && (await Attachment.findOne({ _id: req.params.attachmentId, project: project._id }))
+
+		if (!attachment) {
+			return res.status(404).json({
+				message: 'Anexo não encontrado',
+			})
+		}
+
+		if (!canAccessAttachment(attachment, project, req.user)) {
+			return res.status(403).json({
+				message: 'Você não tem acesso a este anexo',
+			})
+		}
+
+		res.json(formatAttachment(attachment))
+	} catch (error) {
+		console.error('Erro ao buscar anexo:', error)
+		res.status(500).json({
+			message: 'Erro interno do servidor',
+		})
+	}
+})
+
+router.delete('/:id/attachments/:attachmentId', protect, async (req, res) => {
+	try {
+		const attachment = await Attachment.findOne({
+			_id: req.params.attachmentId,
+			project: req.params.id,
+		})
+
+		if (!attachment) {
+			return res.status(404).json({
+				message: 'Anexo não encontrado',
+			})
+		}
+
+		if (attachment.owner.toString() !== req.user._id.toString()) {
+			return res.status(403).json({
+				message: 'Apenas o autor pode excluir o anexo',
+			})
+		}
+
+		if (attachment.deliverable) {
+			return res.status(400).json({
+				message: 'Arquivos incluídos em uma entrega não podem ser excluídos',
+			})
+		}
+
+		await removeAttachment(attachment)
+
+		res.json({
+			message: 'Anexo excluído com sucesso',
+		})
+	} catch (error) {
+		console.error('Erro ao excluir anexo:', error)
+		res.status(500).json({
+			message: 'Erro interno do servidor',
+		})
+	}
+})
+
+/**
+ * @swagger
+ * /api/projects/{id}/attachments/{attachmentId}/download:
+ *   get:
+ *     summary: Baixar anexo
+ *     description: Download do arquivo pelo link assinado retornado nos metadados do anexo
+ *     tags: [Anexos]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: attachmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: expires
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: signature
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Conteúdo do arquivo
+ *         content:
+ *           application/octet-stream:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       403:
+ *         description: Link inválido ou expirado
+ *       404:
+ *         description: Anexo não encontrado
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.get('/:id/attachments/:attachmentId/download', async (req, res) => {
+	try {
+		const downloadPath = getDownloadPath({ _id: req.params.attachmentId, project: req.params.id })
+
+		if (!verifySignedUrl(downloadPath, req.query)) {
+			return res.status(403).json({
+				message: 'Link de download inválido ou expirado',
+			})
+		}
+
+		const attachment = await Attachment.findOne({
+			_id: req.params.attachmentId,
+			project: req.params.id,
+		})
+
+		if (!attachment) {
+			return res.status(404).json({
+				message: 'Anexo não encontrado',
+			})
+		}
+
+		const stream = await getStorage(attachment.storageDriver).createReadStream(
+			attachment.storageKey,
+		)
+
+		res.attachment(attachment.name)
+		res.set({
+			'Content-Type': attachment.mimeType,
+			'Content-Length': attachment.size,
+		})
+		stream.on('error', (error) => {
+			console.error('Erro ao transmitir anexo:', error)
+			res.destroy(error)
+		})
+		stream.pipe(res)
+	} catch (error) {
+		if (error.code === 'ENOENT') {
+			return res.status(404).json({
+				message: 'Arquivo não encontrado no armazenamento',
+			})
+		}
+
+		console.error('Erro ao baixar anexo:', error)
+		res.status(500).json({
+			message: 'Erro interno do servidor',
+		})
+	}
+})
+
+export default router
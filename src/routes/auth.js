@@ -2,19 +2,58 @@
 import express from 'express'
 import { body, validationResult } from 'express-validator'
 import User from '../models/User.js'
-import { authenticateToken, generateToken } from '../middleware/auth.js'
-import { getMe, login, logout, refreshToken } from '../controllers/authController.js'
-
-import jwt from 'jsonwebtoken'
+import { denyImpersonation, protect } from '../middleware/auth.js'
+import { handleValidationErrors } from '../middleware/validate.js'
+import {
+	changePassword,
+	forgotPassword,
+	formatAuthUser,
+	getMe,
+	getSessions,
+	issueAuthTokens,
+	login,
+	logout,
+	refreshToken,
+	resendVerification,
+	resetPassword,
+	respondWithLogin,
+	revokeSession,
+	startEmailVerification,
+	switchActiveRole,
+	unlockAccountWithToken,
+	verifyEmail,
+} from '../controllers/authController.js'
+import {
+	confirmMfa,
+	disableMfa,
+	regenerateRecoveryCodes,
+	setupMfa,
+	stepUpMfa,
+	verifyMfaLogin,
+} from '../controllers/mfaController.js'
+import { GoogleAuthError, verifyGoogleIdToken } from '../services/googleAuth.js'
+import { getSignupConsents, recordConsents } from '../services/legal.js'
 
 const router = express.Router()
 
+// Contas novas precisam aceitar os documentos obrigatórios já publicados
+const hasAcceptedSignupTerms = (consents, acceptTerms) =>
+	acceptTerms === true ||
+	acceptTerms === 'true' ||
+	!consents.some((consent) => consent.document.type !== 'marketing')
+
+const respondTermsRequired = (res) =>
+	res.status(400).json({
+		message: 'É necessário aceitar os termos de uso e a política de privacidade',
+		code: 'CONSENT_REQUIRED',
+	})
+
 /**
  * @swagger
  * /api/auth/register:
  *   post:
  *     summary: Registrar novo usuário
- *     description: Cria uma nova conta de usuário na plataforma
+ *     description: Cria uma nova conta de usuário na plataforma e envia o link de verificação de email. Até a verificação, a conta não pode criar projetos, enviar propostas ou realizar pagamentos. O aceite dos documentos legais vigentes é registrado com IP e user agent.
  *     tags: [Autenticação]
  *     requestBody:
  *       required: true
@@ -44,6 +83,12 @@ const router = express.Router()
  *                 type: string
  *                 enum: [freelancer, client]
  *                 example: "freelancer"
+ *               acceptTerms:
+ *                 type: boolean
+ *                 description: Aceite da versão atual dos termos de uso e da política de privacidade (obrigatório quando publicados)
+ *               marketingOptIn:
+ *                 type: boolean
+ *                 description: Opt-in para comunicações de marketing
  *     responses:
  *       201:
  *         description: Usuário criado com sucesso
@@ -52,7 +97,7 @@ const router = express.Router()
  *             schema:
  *               $ref: '#/components/schemas/AuthResponse'
  *       400:
- *         description: Dados inválidos ou usuário já existe
+ *         description: Dados inválidos, usuário já existe ou termos não aceitos (CONSENT_REQUIRED)
  *         content:
  *           application/json:
  *             schema:
@@ -67,6 +112,8 @@ router.post(
 		body('email').isEmail().withMessage('Email inválido'),
 		body('password').isLength({ min: 6 }).withMessage('Senha deve ter no mínimo 6 caracteres'),
 		body('userType').isIn(['freelancer', 'client']).withMessage('Tipo de usuário inválido'),
+		body('acceptTerms').optional().isBoolean().withMessage('acceptTerms deve ser booleano'),
+		body('marketingOptIn').optional().isBoolean().withMessage('marketingOptIn deve ser booleano'),
 	],
 	async (req, res) => {
 		try {
@@ -78,7 +125,7 @@ router.post(
 				})
 			}
 
-			const { name, email, password, userType } = req.body
+			const { name, email, password, userType, acceptTerms, marketingOptIn } = req.body
 
 			const userExists = await User.findOne({ email })
 			if (userExists) {
@@ -87,6 +134,11 @@ router.post(
 				})
 			}
 
+			const consents = await getSignupConsents(marketingOptIn)
+			if (!hasAcceptedSignupTerms(consents, acceptTerms)) {
+				return respondTermsRequired(res)
+			}
+
 			const user = await User.create({
 				name,
 				email,
@@ -95,28 +147,22 @@ router.post(
 				loginType: 'email',
 			})
 
-			// Gera tokens
-			const { accessToken, refreshToken } = generateTokens(user._id)
+			await recordConsents(req, user._id, consents)
 
-			// Configura cookie do refresh token
-			res.cookie('refreshToken', refreshToken, {
-				httpOnly: true,
-				secure: process.env.NODE_ENV === 'production',
-				sameSite: 'strict',
-				maxAge: 7 * 24 * 60 * 60 * 1000, // 7 dias
-			})
+			// Envia o link de verificação (falha no envio não impede o cadastro)
+			try {
+				await startEmailVerification(user)
+			} catch (error) {
+				console.error('Erro ao enviar email de verificação:', error)
+			}
+
+			// Gera tokens e configura cookie do refresh token
+			const accessToken = await issueAuthTokens(req, res, user)
 
 			res.status(201).json({
 				message: 'Usuário criado com sucesso',
 				accessToken,
-				user: {
-					id: user._id,
-					name: user.name,
-					email: user.email,
-					userType: user.userType,
-					avatar: user.avatar,
-					profileComplete: user.profileComplete,
-				},
+				user: formatAuthUser(user),
 			})
 		} catch (error) {
 			console.error('Erro no registro:', error)
@@ -132,7 +178,7 @@ router.post(
  * /api/auth/login:
  *   post:
  *     summary: Login do usuário
- *     description: Autentica um usuário com email e senha
+ *     description: Autentica um usuário com email e senha. Contas com 2FA ativo recebem `mfaRequired` e um `mfaToken` de curta duração, que deve ser enviado para /api/auth/mfa/verify.
  *     tags: [Autenticação]
  *     requestBody:
  *       required: true
@@ -163,6 +209,10 @@ router.post(
  *         description: Credenciais inválidas
  *       400:
  *         description: Dados inválidos
+ *       423:
+ *         description: Conta bloqueada por excesso de tentativas (ACCOUNT_LOCKED). O header Retry-After indica a espera em segundos.
+ *       429:
+ *         description: Backoff entre tentativas (TOO_MANY_ATTEMPTS). O header Retry-After indica a espera em segundos.
  *       500:
  *         description: Erro interno do servidor
  */
@@ -180,7 +230,7 @@ router.post(
  * /api/auth/refresh-token:
  *   post:
  *     summary: Refresh access token
- *     description: Gera um novo access token usando o refresh token
+ *     description: Gera um novo access token e rotaciona o refresh token. Reutilizar um refresh token já rotacionado revoga a sessão inteira.
  *     tags: [Autenticação]
  *     responses:
  *       200:
@@ -221,7 +271,7 @@ router.post('/refresh-token', refreshToken)
  * /api/auth/logout:
  *   post:
  *     summary: Logout do usuário
- *     description: Remove o refresh token e faz logout
+ *     description: Revoga a sessão do dispositivo atual e remove o cookie do refresh token
  *     tags: [Autenticação]
  *     responses:
  *       200:
@@ -241,11 +291,12 @@ router.post('/logout', logout)
 
 /**
  * @swagger
- * /api/auth/google:
+ * /api/auth/verify-email:
  *   post:
- *     summary: Login com Google
- *     description: Autentica um usuário usando conta do Google (simulado)
+ *     summary: Verificar email
+ *     description: Confirma o email do usuário usando o token de uso único enviado por email
  *     tags: [Autenticação]
+ *     security: []
  *     requestBody:
  *       required: true
  *       content:
@@ -253,16 +304,314 @@ router.post('/logout', logout)
  *           schema:
  *             type: object
  *             required:
- *               - name
- *               - email
+ *               - token
  *             properties:
- *               name:
+ *               token:
  *                 type: string
- *                 example: "João Silva"
+ *     responses:
+ *       200:
+ *         description: Email verificado com sucesso
+ *       400:
+ *         description: Token inválido, expirado ou já utilizado
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.post(
+	'/verify-email',
+	[body('token').notEmpty().withMessage('Token é obrigatório')],
+	verifyEmail,
+)
+
+/**
+ * @swagger
+ * /api/auth/resend-verification:
+ *   post:
+ *     summary: Reenviar email de verificação
+ *     description: Gera um novo link de verificação (invalidando os anteriores) e envia para o email do usuário logado
+ *     tags: [Autenticação]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Email de verificação enviado
+ *       400:
+ *         description: Email já verificado
+ *       401:
+ *         description: Não autorizado
+ *       429:
+ *         description: Aguarde antes de solicitar um novo email
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.post('/resend-verification', protect, resendVerification)
+
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Esqueci minha senha
+ *     description: Envia um link de redefinição de senha com validade limitada. A resposta é a mesma exista ou não uma conta com o email informado.
+ *     tags: [Autenticação]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
  *               email:
  *                 type: string
  *                 format: email
- *                 example: "joao@gmail.com"
+ *                 example: "joao@email.com"
+ *     responses:
+ *       200:
+ *         description: Solicitação recebida
+ *       400:
+ *         description: Email inválido
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.post(
+	'/forgot-password',
+	[body('email').isEmail().withMessage('Email inválido')],
+	handleValidationErrors,
+	forgotPassword,
+)
+
+/**
+ * @swagger
+ * /api/auth/reset-password:
+ *   post:
+ *     summary: Redefinir senha
+ *     description: Define uma nova senha usando o token recebido por email e encerra todas as sessões do usuário
+ *     tags: [Autenticação]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 format: password
+ *                 minLength: 6
+ *     responses:
+ *       200:
+ *         description: Senha redefinida com sucesso
+ *       400:
+ *         description: Dados inválidos ou token inválido/expirado
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.post(
+	'/reset-password',
+	[
+		body('token').notEmpty().withMessage('Token é obrigatório'),
+		body('password').isLength({ min: 6 }).withMessage('Senha deve ter no mínimo 6 caracteres'),
+	],
+	handleValidationErrors,
+	resetPassword,
+)
+
+/**
+ * @swagger
+ * /api/auth/password:
+ *   put:
+ *     summary: Alterar senha
+ *     description: Altera a senha do usuário logado. Todas as outras sessões são encerradas e um novo access token é retornado.
+ *     tags: [Autenticação]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currentPassword
+ *               - newPassword
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *                 format: password
+ *               newPassword:
+ *                 type: string
+ *                 format: password
+ *                 minLength: 6
+ *     responses:
+ *       200:
+ *         description: Senha alterada com sucesso
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 accessToken:
+ *                   type: string
+ *       400:
+ *         description: Dados inválidos
+ *       401:
+ *         description: Não autorizado ou senha atual incorreta
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.put(
+	'/password',
+	protect,
+	denyImpersonation,
+	[
+		body('currentPassword').notEmpty().withMessage('Senha atual é obrigatória'),
+		body('newPassword')
+			.isLength({ min: 6 })
+			.withMessage('Nova senha deve ter no mínimo 6 caracteres'),
+	],
+	handleValidationErrors,
+	changePassword,
+)
+
+/**
+ * @swagger
+ * /api/auth/active-role:
+ *   put:
+ *     summary: Alternar papel ativo
+ *     description: |
+ *       Contas com os papéis de cliente e freelancer escolhem com qual deles estão atuando.
+ *       O papel é gravado na sessão atual e no claim "role" do novo access token retornado,
+ *       e passa a ser o padrão das próximas sessões.
+ *     tags: [Autenticação]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [freelancer, client]
+ *     responses:
+ *       200:
+ *         description: Papel alterado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 accessToken:
+ *                   type: string
+ *                 user:
+ *                   type: object
+ *       400:
+ *         description: Dados inválidos
+ *       401:
+ *         description: Não autorizado
+ *       403:
+ *         description: A conta não possui este papel (ROLE_NOT_AVAILABLE)
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.put(
+	'/active-role',
+	protect,
+	denyImpersonation,
+	[body('role').isIn(['freelancer', 'client']).withMessage('Papel inválido')],
+	handleValidationErrors,
+	switchActiveRole,
+)
+
+/**
+ * @swagger
+ * /api/auth/unlock-account:
+ *   post:
+ *     summary: Desbloquear conta
+ *     description: Remove o bloqueio por excesso de tentativas usando o token enviado por email
+ *     tags: [Autenticação]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Conta desbloqueada
+ *       400:
+ *         description: Token inválido ou expirado
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.post(
+	'/unlock-account',
+	[body('token').notEmpty().withMessage('Token é obrigatório')],
+	handleValidationErrors,
+	unlockAccountWithToken,
+)
+
+/**
+ * @swagger
+ * /api/auth/google:
+ *   post:
+ *     summary: Login com Google
+ *     description: |
+ *       Autentica um usuário com um ID token do Google. A assinatura é verificada contra o JWKS
+ *       do Google e os campos aud, iss, exp e email_verified são validados.
+ *       Se já existir uma conta com o mesmo email, a vinculação só acontece com `linkAccount: true`
+ *       (e a senha da conta, quando ela tiver uma). Novos usuários devem informar `userType`.
+ *     tags: [Autenticação]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - idToken
+ *             properties:
+ *               idToken:
+ *                 type: string
+ *                 description: ID token retornado pelo Google Sign-In
+ *               userType:
+ *                 type: string
+ *                 enum: [freelancer, client]
+ *                 description: Obrigatório ao criar uma nova conta
+ *               linkAccount:
+ *                 type: boolean
+ *                 description: Confirma a vinculação do Google a uma conta existente com o mesmo email
+ *               password:
+ *                 type: string
+ *                 format: password
+ *                 description: Senha da conta existente (obrigatória para vincular contas com senha)
+ *               acceptTerms:
+ *                 type: boolean
+ *                 description: Aceite da versão atual dos termos de uso e da política de privacidade (obrigatório ao criar conta quando publicados)
+ *               marketingOptIn:
+ *                 type: boolean
+ *                 description: Opt-in para comunicações de marketing
  *     responses:
  *       200:
  *         description: Login realizado com sucesso
@@ -270,16 +619,28 @@ router.post('/logout', logout)
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/AuthResponse'
+ *       201:
+ *         description: Conta criada com sucesso
  *       400:
- *         description: Dados inválidos
+ *         description: Dados inválidos, userType ausente (USER_TYPE_REQUIRED) ou termos não aceitos (CONSENT_REQUIRED) para nova conta
+ *       401:
+ *         description: ID token inválido, expirado ou email não verificado
+ *       409:
+ *         description: Já existe conta com este email e a vinculação não foi confirmada (ACCOUNT_LINK_REQUIRED)
  *       500:
  *         description: Erro interno do servidor
  */
 router.post(
 	'/google',
 	[
-		body('email').isEmail().withMessage('Email inválido'),
-		body('name').notEmpty().withMessage('Nome é obrigatório'),
+		body('idToken').notEmpty().withMessage('ID token é obrigatório'),
+		body('userType')
+			.optional()
+			.isIn(['freelancer', 'client'])
+			.withMessage('Tipo de usuário inválido'),
+		body('linkAccount').optional().isBoolean().withMessage('linkAccount deve ser booleano'),
+		body('acceptTerms').optional().isBoolean().withMessage('acceptTerms deve ser booleano'),
+		body('marketingOptIn').optional().isBoolean().withMessage('marketingOptIn deve ser booleano'),
 	],
 	async (req, res) => {
 		try {
@@ -291,42 +652,97 @@ router.post(
 				})
 			}
 
-			const { name, email } = req.body
+			const { idToken, userType, linkAccount, password, acceptTerms, marketingOptIn } = req.body
+
+			let identity
+			try {
+				identity = await verifyGoogleIdToken(idToken)
+			} catch (error) {
+				if (error instanceof GoogleAuthError) {
+					return res.status(401).json({
+						message: error.message,
+						code: error.code,
+					})
+				}
+				throw error
+			}
 
-			let user = await User.findOne({ email })
+			let user = await User.findOne({ googleId: identity.googleId })
+			let created = false
 
 			if (!user) {
-				user = await User.create({
-					name,
-					email,
-					userType: 'freelancer',
-					loginType: 'google',
-					profileComplete: false,
-				})
-			}
+				const existingUser = await User.findOne({ email: identity.email })
 
-			// Gera tokens para login com Google
-			const { accessToken, refreshToken } = generateTokens(user._id)
+				if (existingUser) {
+					// Vincula a identidade Google apenas com confirmação explícita
+					if (linkAccount !== true && linkAccount !== 'true') {
+						return res.status(409).json({
+							message:
+								'Já existe uma conta com este email. Confirme a vinculação com a conta Google.',
+							code: 'ACCOUNT_LINK_REQUIRED',
+						})
+					}
 
-			// Configura cookie do refresh token
-			res.cookie('refreshToken', refreshToken, {
-				httpOnly: true,
-				secure: process.env.NODE_ENV === 'production',
-				sameSite: 'strict',
-				maxAge: 7 * 24 * 60 * 60 * 1000,
-			})
+					if (existingUser.googleId) {
+						return res.status(409).json({
+							message: 'Esta conta já está vinculada a outra conta Google',
+							code: 'ACCOUNT_ALREADY_LINKED',
+						})
+					}
 
-			res.json({
-				message: 'Login com Google realizado com sucesso',
-				accessToken,
-				user: {
-					id: user._id,
-					name: user.name,
-					email: user.email,
-					userType: user.userType,
-					avatar: user.avatar,
-					profileComplete: user.profileComplete,
-				},
+					// Contas com senha precisam comprovar a posse antes da vinculação
+					if (
+						existingUser.password &&
+						!(password && (await existingUser.correctPassword(password, existingUser.password)))
+					) {
+						return res.status(401).json({
+							message: 'Senha inválida para vincular a conta',
+							code: 'INVALID_PASSWORD',
+						})
+					}
+
+					existingUser.googleId = identity.googleId
+					// O Google já confirmou a posse do email
+					if (!existingUser.emailVerified) {
+						existingUser.emailVerified = true
+						existingUser.emailVerifiedAt = new Date()
+					}
+					await existingUser.save()
+					user = existingUser
+				} else {
+					if (!userType) {
+						return res.status(400).json({
+							message: 'Informe o tipo de usuário para criar a conta',
+							code: 'USER_TYPE_REQUIRED',
+						})
+					}
+
+					const consents = await getSignupConsents(marketingOptIn)
+					if (!hasAcceptedSignupTerms(consents, acceptTerms)) {
+						return respondTermsRequired(res)
+					}
+
+					user = await User.create({
+						name: identity.name,
+						email: identity.email,
+						googleId: identity.googleId,
+						emailVerified: true,
+						emailVerifiedAt: new Date(),
+						userType,
+						loginType: 'google',
+						profileComplete: false,
+					})
+					await recordConsents(req, user._id, consents)
+					created = true
+				}
+			}
+
+			// Gera tokens (ou o desafio MFA) para login com Google
+			await respondWithLogin(req, res, user, {
+				message: created
+					? 'Conta criada com Google com sucesso'
+					: 'Login com Google realizado com sucesso',
+				status: created ? 201 : 200,
 			})
 		} catch (error) {
 			console.error('Erro no login com Google:', error)
@@ -358,19 +774,327 @@ router.post(
  *       500:
  *         description: Erro interno do servidor
  */
-router.get('/me', authenticateToken, getMe) // ← Agora protegida
+router.get('/me', protect, getMe)
 
-// Função auxiliar para gerar tokens (reutilizada)
-const generateTokens = (userId) => {
-	const accessToken = jwt.sign({ userId }, process.env.ACCESS_TOKEN_SECRET, {
-		expiresIn: process.env.ACCESS_TOKEN_EXPIRES_IN || '15m',
-	})
+/**
+ * @swagger
+ * /api/auth/mfa/verify:
+ *   post:
+ *     summary: Concluir login com 2FA
+ *     description: Troca o desafio MFA retornado pelo login e um código TOTP (ou de recuperação) pelos tokens de acesso
+ *     tags: [Autenticação]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - mfaToken
+ *             properties:
+ *               mfaToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *               recoveryCode:
+ *                 type: string
+ *                 example: "a1b2c-3d4e5"
+ *     responses:
+ *       200:
+ *         description: Login realizado com sucesso
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       401:
+ *         description: Desafio inválido/expirado ou código inválido
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.post(
+	'/mfa/verify',
+	[body('mfaToken').notEmpty().withMessage('Desafio MFA é obrigatório')],
+	handleValidationErrors,
+	verifyMfaLogin,
+)
 
-	const refreshToken = jwt.sign({ userId }, process.env.REFRESH_TOKEN_SECRET, {
-		expiresIn: process.env.REFRESH_TOKEN_EXPIRES_IN || '7d',
-	})
+/**
+ * @swagger
+ * /api/auth/mfa/setup:
+ *   post:
+ *     summary: Iniciar cadastro do 2FA
+ *     description: Gera um segredo TOTP e retorna a URI otpauth para o aplicativo autenticador. O 2FA só é ativado após a confirmação.
+ *     tags: [Autenticação]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Segredo gerado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 secret:
+ *                   type: string
+ *                 otpauthUri:
+ *                   type: string
+ *                   example: "otpauth://totp/FreelancerHub:joao%40email.com?secret=...&issuer=FreelancerHub"
+ *       400:
+ *         description: 2FA já está ativado
+ *       401:
+ *         description: Não autorizado
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.post('/mfa/setup', protect, denyImpersonation, setupMfa)
+
+/**
+ * @swagger
+ * /api/auth/mfa/confirm:
+ *   post:
+ *     summary: Confirmar cadastro do 2FA
+ *     description: Ativa o 2FA com o primeiro código do aplicativo e retorna os códigos de recuperação (exibidos uma única vez)
+ *     tags: [Autenticação]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *     responses:
+ *       200:
+ *         description: 2FA ativado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 recoveryCodes:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *       400:
+ *         description: Código inválido ou cadastro não iniciado
+ *       401:
+ *         description: Não autorizado
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.post(
+	'/mfa/confirm',
+	protect,
+	denyImpersonation,
+	[body('code').notEmpty().withMessage('Código é obrigatório')],
+	handleValidationErrors,
+	confirmMfa,
+)
+
+/**
+ * @swagger
+ * /api/auth/mfa/disable:
+ *   post:
+ *     summary: Desativar 2FA
+ *     description: Desativa o 2FA. Exige a senha da conta e um código TOTP ou de recuperação.
+ *     tags: [Autenticação]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 format: password
+ *               code:
+ *                 type: string
+ *               recoveryCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: 2FA desativado
+ *       400:
+ *         description: 2FA não está ativado
+ *       401:
+ *         description: Senha ou código inválido
+ *       423:
+ *         description: Conta bloqueada por excesso de códigos inválidos (ACCOUNT_LOCKED)
+ *       429:
+ *         description: Muitas tentativas (TOO_MANY_ATTEMPTS)
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.post('/mfa/disable', protect, denyImpersonation, disableMfa)
+
+/**
+ * @swagger
+ * /api/auth/mfa/recovery-codes:
+ *   post:
+ *     summary: Gerar novos códigos de recuperação
+ *     description: Invalida os códigos de recuperação anteriores e retorna novos (exibidos uma única vez)
+ *     tags: [Autenticação]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Novos códigos de recuperação
+ *       401:
+ *         description: Código inválido
+ *       423:
+ *         description: Conta bloqueada por excesso de códigos inválidos (ACCOUNT_LOCKED)
+ *       429:
+ *         description: Muitas tentativas (TOO_MANY_ATTEMPTS)
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.post(
+	'/mfa/recovery-codes',
+	protect,
+	denyImpersonation,
+	[body('code').notEmpty().withMessage('Código é obrigatório')],
+	handleValidationErrors,
+	regenerateRecoveryCodes,
+)
+
+/**
+ * @swagger
+ * /api/auth/mfa/step-up:
+ *   post:
+ *     summary: Reconfirmar segundo fator
+ *     description: Confirma o 2FA na sessão atual e retorna um novo access token, exigido por ações sensíveis como criar pagamentos e reembolsos
+ *     tags: [Autenticação]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               code:
+ *                 type: string
+ *               recoveryCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Segundo fator confirmado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 accessToken:
+ *                   type: string
+ *       401:
+ *         description: Código inválido ou sessão encerrada
+ *       423:
+ *         description: Conta bloqueada por excesso de códigos inválidos (ACCOUNT_LOCKED)
+ *       429:
+ *         description: Muitas tentativas (TOO_MANY_ATTEMPTS)
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.post('/mfa/step-up', protect, denyImpersonation, stepUpMfa)
 
-	return { accessToken, refreshToken }
-}
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: Listar sessões ativas
+ *     description: Retorna os dispositivos com sessão ativa do usuário logado
+ *     tags: [Autenticação]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Lista de sessões
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   id:
+ *                     type: string
+ *                   userAgent:
+ *                     type: string
+ *                   ip:
+ *                     type: string
+ *                   createdAt:
+ *                     type: string
+ *                     format: date-time
+ *                   lastUsedAt:
+ *                     type: string
+ *                     format: date-time
+ *                   expiresAt:
+ *                     type: string
+ *                     format: date-time
+ *                   current:
+ *                     type: boolean
+ *                     description: Indica a sessão usada nesta requisição
+ *       401:
+ *         description: Não autorizado
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.get('/sessions', protect, getSessions)
+
+/**
+ * @swagger
+ * /api/auth/sessions/{id}:
+ *   delete:
+ *     summary: Encerrar sessão
+ *     description: Revoga a sessão de um dispositivo e todos os seus refresh tokens
+ *     tags: [Autenticação]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID da sessão
+ *     responses:
+ *       200:
+ *         description: Sessão encerrada com sucesso
+ *       401:
+ *         description: Não autorizado
+ *       404:
+ *         description: Sessão não encontrada
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.delete('/sessions/:id', protect, denyImpersonation, revokeSession)
 
 export default router
@@ -1,7 +1,9 @@
 // routes/dashboard.js
 import express from 'express'
+import { getMarketplaceView } from '../config/permissions.js'
 import { protect } from '../middleware/auth.js'
 import Project from '../models/Project.js'
+import Proposal from '../models/Proposal.js'
 import Review from '../models/Review.js'
 
 const router = express.Router()
@@ -25,6 +27,7 @@ const router = express.Router()
  *               properties:
  *                 userType:
  *                   type: string
+ *                   description: Papel ativo usado no cálculo das estatísticas
  *                 stats:
  *                   type: object
  *                   properties:
@@ -50,7 +53,8 @@ const router = express.Router()
 router.get('/stats', protect, async (req, res) => {
 	try {
 		const userId = req.user._id
-		const userType = req.user.userType
+		// Contas com os dois papéis veem as estatísticas do papel ativo
+		const userType = getMarketplaceView(req)
 
 		let stats = {}
 
@@ -69,34 +73,16 @@ router.get('/stats', protect, async (req, res) => {
 				Project.countDocuments({ assignedTo: userId, status: 'in_progress' }),
 				Project.countDocuments({ assignedTo: userId, status: 'completed' }),
 				// Propostas pendentes
-				Project.countDocuments({
-					'proposals.freelancer': userId,
-					'proposals.status': 'pending',
-				}),
+				Proposal.countDocuments({ freelancer: userId, status: 'pending' }),
 				// Propostas aceitas
-				Project.countDocuments({
-					'proposals.freelancer': userId,
-					'proposals.status': 'accepted',
-				}),
+				Proposal.countDocuments({ freelancer: userId, status: 'accepted' }),
 				// Ganhos totais (simulado - baseado em propostas aceitas)
-				Project.aggregate([
-					{
-						$match: {
-							'proposals.freelancer': userId,
-							'proposals.status': 'accepted',
-						},
-					},
-					{ $unwind: '$proposals' },
-					{
-						$match: {
-							'proposals.freelancer': userId,
-							'proposals.status': 'accepted',
-						},
-					},
+				Proposal.aggregate([
+					{ $match: { freelancer: userId, status: 'accepted' } },
 					{
 						$group: {
 							_id: null,
-							totalEarnings: { $sum: '$proposals.bid' },
+							totalEarnings: { $sum: '$bid' },
 						},
 					},
 				]),
@@ -120,16 +106,9 @@ router.get('/stats', protect, async (req, res) => {
 					Project.countDocuments({ client: userId, status: 'in_progress' }),
 					Project.countDocuments({ client: userId, status: 'completed' }),
 					Project.countDocuments({ client: userId, status: 'open' }),
-					Project.aggregate([
-						{ $match: { client: userId } },
-						{ $unwind: '$proposals' },
-						{
-							$group: {
-								_id: null,
-								totalProposals: { $sum: 1 },
-							},
-						},
-					]),
+					Project.find({ client: userId })
+						.distinct('_id')
+						.then((projectIds) => Proposal.countDocuments({ project: { $in: projectIds } })),
 				])
 
 			stats = {
@@ -137,7 +116,7 @@ router.get('/stats', protect, async (req, res) => {
 				activeProjects,
 				completedProjects,
 				openProjects,
-				totalProposals: totalProposals[0]?.totalProposals || 0,
+				totalProposals,
 			}
 		}
 
@@ -174,10 +153,11 @@ router.get('/recent-activity', protect, async (req, res) => {
 
 		let activities = []
 
-		if (req.user.userType === 'freelancer') {
+		if (getMarketplaceView(req) === 'freelancer') {
 			// Atividade recente para freelancer
+			const proposalProjectIds = await Proposal.find({ freelancer: userId }).distinct('project')
 			const recentProjects = await Project.find({
-				$or: [{ assignedTo: userId }, { 'proposals.freelancer': userId }],
+				$or: [{ assignedTo: userId }, { _id: { $in: proposalProjectIds } }],
 			})
 				.populate('client', 'name avatar')
 				.sort({ updatedAt: -1 })
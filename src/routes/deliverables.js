@@ -0,0 +1,450 @@
+// routes/deliverables.js
+import express from 'express'
+import { body, validationResult } from 'express-validator'
+import { protect } from '../middleware/auth.js'
+import Attachment from '../models/Attachment.js'
+import Deliverable from '../models/Deliverable.js'
+import Project from '../models/Project.js'
+import { formatAttachment } from '../services/attachments.js'
+import { acceptDeliverable, getAutoAcceptMs, getMaxRevisions } from '../services/deliverables.js'
+import {
+	ProjectTransitionError,
+	respondTransitionError,
+	transitionProject,
+} from '../services/projectLifecycle.js'
+
+const router = express.Router()
+
+const isClient = (project, user) => project.client.toString() === user._id.toString()
+
+const isFreelancer = (project, user) => project.assignedTo?.toString() === user._id.toString()
+
+// Rodadas de revisão já usadas no projeto
+const countRevisions = (projectId) =>
+	Deliverable.countDocuments({ project: projectId, status: 'revision_requested' })
+
+// Entrega com os anexos populados e links de download assinados
+const formatDeliverable = async (deliverable) => {
+	await deliverable.populate('attachments')
+	return {
+		...deliverable.toObject(),
+		attachments: deliverable.attachments.map(formatAttachment),
+	}
+}
+
+/**
+ * @swagger
+ * /api/projects/{id}/deliverables:
+ *   get:
+ *     summary: Listar entregas do projeto
+ *     description: Retorna as entregas do projeto (mais recente primeiro) e as rodadas de revisão usadas
+ *     tags: [Entregas]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Entregas do projeto
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 deliverables:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Deliverable'
+ *                 revisions:
+ *                   type: object
+ *                   properties:
+ *                     used:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *       401:
+ *         description: Não autorizado
+ *       403:
+ *         description: Usuário não participa do projeto
+ *       404:
+ *         description: Projeto não encontrado
+ *       500:
+ *         description: Erro interno do servidor
+ *   post:
+ *     summary: Enviar entrega
+ *     description: |
+ *       Freelancer do projeto envia o trabalho para aprovação. O projeto passa para
+ *       "delivered" e, se o cliente não responder em DELIVERABLE_AUTO_ACCEPT_DAYS
+ *       (padrão 7 dias), a entrega é aceita automaticamente.
+ *     tags: [Entregas]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - message
+ *             properties:
+ *               message:
+ *                 type: string
+ *                 example: "Site publicado no ambiente de homologação, credenciais no documento anexo"
+ *               attachments:
+ *                 type: array
+ *                 description: Ids retornados por POST /api/projects/{id}/deliverables/attachments
+ *                 items:
+ *                   type: string
+ *               links:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["https://github.com/usuario/projeto"]
+ *     responses:
+ *       201:
+ *         description: Entrega enviada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Deliverable'
+ *       400:
+ *         description: Dados ou anexos inválidos
+ *       401:
+ *         description: Não autorizado
+ *       403:
+ *         description: Apenas o freelancer do projeto pode enviar entregas
+ *       404:
+ *         description: Projeto não encontrado
+ *       409:
+ *         description: Projeto não está em andamento (INVALID_TRANSITION)
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.get('/:id/deliverables', protect, async (req, res) => {
+	try {
+		const project = await Project.findById(req.params.id).select('client assignedTo')
+
+		if (!project) {
+			return res.status(404).json({
+				message: 'Projeto não encontrado',
+			})
+		}
+
+		if (!isClient(project, req.user) && !isFreelancer(project, req.user)) {
+			return res.status(403).json({
+				message: 'Apenas o cliente e o freelancer do projeto podem ver as entregas',
+			})
+		}
+
+		const deliverables = await Deliverable.find({ project: project._id }).sort({ createdAt: -1 })
+
+		res.json({
+			deliverables: await Promise.all(deliverables.map(formatDeliverable)),
+			revisions: {
+				used: deliverables.filter((deliverable) => deliverable.status === 'revision_requested')
+					.length,
+				limit: getMaxRevisions(),
+			},
+		})
+	} catch (error) {
+		console.error('Erro ao buscar entregas:', error)
+		res.status(500).json({
+			message: 'Erro interno do servidor',
+		})
+	}
+})
+
+router.post(
+	'/:id/deliverables',
+	protect,
+	[
+		body('message').trim().notEmpty().withMessage('Descreva a entrega'),
+		body('attachments').optional().isArray().withMessage('attachments deve ser uma lista'),
+		body('attachments.*').isMongoId().withMessage('Anexo inválido'),
+		body('links').optional().isArray().withMessage('links deve ser uma lista'),
+		body('links.*').isURL().withMessage('Link inválido'),
+	],
+	async (req, res) => {
+		try {
+			const errors = validationResult(req)
+			if (!errors.isEmpty()) {
+				return res.status(400).json({
+					message: 'Dados inválidos',
+					errors: errors.array(),
+				})
+			}
+
+			const project = await Project.findById(req.params.id)
+
+			if (!project) {
+				return res.status(404).json({
+					message: 'Projeto não encontrado',
+				})
+			}
+
+			if (!isFreelancer(project, req.user)) {
+				return res.status(403).json({
+					message: 'Apenas o freelancer do projeto pode enviar entregas',
+				})
+			}
+
+			const { message, attachments = [], links = [] } = req.body
+			const ids = [...new Set(attachments)]
+
+			// Apenas arquivos do freelancer, deste projeto e ainda não usados em outra entrega
+			const files = await Attachment.countDocuments({
+				_id: { $in: ids },
+				project: project._id,
+				owner: req.user._id,
+				context: 'deliverable',
+				deliverable: null,
+			})
+
+			if (files !== ids.length) {
+				return res.status(400).json({
+					message: 'Anexos inválidos. Envie os arquivos da entrega antes de enviá-la.',
+				})
+			}
+
+			const previous = await Deliverable.countDocuments({ project: project._id })
+
+			await transitionProject(project, 'deliver', { req })
+
+			const deliverable = await Deliverable.create({
+				project: project._id,
+				freelancer: req.user._id,
+				message,
+				attachments: ids,
+				links,
+				round: previous + 1,
+				autoAcceptAt: new Date(Date.now() + getAutoAcceptMs()),
+			})
+
+			await Attachment.updateMany({ _id: { $in: ids } }, { deliverable: deliverable._id })
+
+			res.status(201).json(await formatDeliverable(deliverable))
+		} catch (error) {
+			if (error instanceof ProjectTransitionError) {
+				return respondTransitionError(res, error)
+			}
+
+			console.error('Erro ao enviar entrega:', error)
+			res.status(500).json({
+				message: 'Erro interno do servidor',
+			})
+		}
+	},
+)
+
+/**
+ * @swagger
+ * /api/projects/{id}/deliverables/{deliverableId}/accept:
+ *   post:
+ *     summary: Aceitar entrega
+ *     description: Cliente dono aceita a entrega pendente e o projeto é concluído
+ *     tags: [Entregas]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: deliverableId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Entrega aceita e projeto concluído
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Deliverable'
+ *       400:
+ *         description: Marcos do projeto ainda não aprovados (TRANSITION_PRECONDITION_FAILED)
+ *       401:
+ *         description: Não autorizado
+ *       403:
+ *         description: Apenas o cliente dono pode aceitar entregas
+ *       404:
+ *         description: Entrega não encontrada
+ *       409:
+ *         description: Entrega já respondida ou projeto em outro status
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.post('/:id/deliverables/:deliverableId/accept', protect, async (req, res) => {
+	try {
+		const project = await Project.findById(req.params.id)
+		const deliverable =
+			project &&
+			(await Deliverable.findOne({ _id: req.params.deliverableId, project: project._id }))
+
+		if (!deliverable) {
+			return res.status(404).json({
+				message: 'Entrega não encontrada',
+			})
+		}
+
+		if (!isClient(project, req.user)) {
+			return res.status(403).json({
+				message: 'Apenas o cliente dono do projeto pode aceitar entregas',
+			})
+		}
+
+		if (deliverable.status !== 'pending') {
+			return res.status(409).json({
+				message: 'Esta entrega já foi respondida',
+			})
+		}
+
+		res.json(await formatDeliverable(await acceptDeliverable(deliverable, project, req)))
+	} catch (error) {
+		if (error instanceof ProjectTransitionError) {
+			return respondTransitionError(res, error)
+		}
+
+		console.error('Erro ao aceitar entrega:', error)
+		res.status(500).json({
+			message: 'Erro interno do servidor',
+		})
+	}
+})
+
+/**
+ * @swagger
+ * /api/projects/{id}/deliverables/{deliverableId}/request-revision:
+ *   post:
+ *     summary: Pedir revisão da entrega
+ *     description: |
+ *       Cliente dono devolve a entrega com comentários e o projeto volta para "in_progress".
+ *       Cada projeto permite DELIVERABLE_MAX_REVISIONS rodadas de revisão (padrão 3); depois
+ *       disso resta aceitar a entrega ou abrir uma disputa.
+ *     tags: [Entregas]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: deliverableId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - comment
+ *             properties:
+ *               comment:
+ *                 type: string
+ *                 example: "O formulário de contato não envia emails"
+ *     responses:
+ *       200:
+ *         description: Revisão solicitada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Deliverable'
+ *       400:
+ *         description: Dados inválidos ou limite de revisões atingido (REVISION_LIMIT_REACHED)
+ *       401:
+ *         description: Não autorizado
+ *       403:
+ *         description: Apenas o cliente dono pode pedir revisões
+ *       404:
+ *         description: Entrega não encontrada
+ *       409:
+ *         description: Entrega já respondida ou projeto em outro status
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.post(
+	'/:id/deliverables/:deliverableId/request-revision',
+	protect,
+	[body('comment').trim().notEmpty().withMessage('Descreva o que precisa ser revisado')],
+	async (req, res) => {
+		try {
+			const errors = validationResult(req)
+			if (!errors.isEmpty()) {
+				return res.status(400).json({
+					message: 'Dados inválidos',
+					errors: errors.array(),
+				})
+			}
+
+			const project = await Project.findById(req.params.id)
+			const deliverable =
+				project &&
+				(await Deliverable.findOne({ _id: req.params.deliverableId, project: project._id }))
+
+			if (!deliverable) {
+				return res.status(404).json({
+					message: 'Entrega não encontrada',
+				})
+			}
+
+			if (!isClient(project, req.user)) {
+				return res.status(403).json({
+					message: 'Apenas o cliente dono do projeto pode pedir revisões',
+				})
+			}
+
+			if (deliverable.status !== 'pending') {
+				return res.status(409).json({
+					message: 'Esta entrega já foi respondida',
+				})
+			}
+
+			const maxRevisions = getMaxRevisions()
+			if ((await countRevisions(project._id)) >= maxRevisions) {
+				return res.status(400).json({
+					message: `O limite de ${maxRevisions} revisões foi atingido. Aceite a entrega ou abra uma disputa.`,
+					code: 'REVISION_LIMIT_REACHED',
+				})
+			}
+
+			await transitionProject(project, 'request_revision', { req, reason: req.body.comment })
+
+			deliverable.status = 'revision_requested'
+			deliverable.revisionComment = req.body.comment
+			deliverable.reviewedAt = new Date()
+			deliverable.autoAcceptAt = undefined
+			await deliverable.save()
+
+			res.json(await formatDeliverable(deliverable))
+		} catch (error) {
+			if (error instanceof ProjectTransitionError) {
+				return respondTransitionError(res, error)
+			}
+
+			console.error('Erro ao pedir revisão:', error)
+			res.status(500).json({
+				message: 'Erro interno do servidor',
+			})
+		}
+	},
+)
+
+export default router
@@ -0,0 +1,413 @@
+// routes/legal.js
+import express from 'express'
+import { body, query, validationResult } from 'express-validator'
+import { denyImpersonation, protect } from '../middleware/auth.js'
+import { authorize } from '../middleware/authorize.js'
+import Consent from '../models/Consent.js'
+import LegalDocument from '../models/LegalDocument.js'
+import User from '../models/User.js'
+import { recordAuditEvent } from '../services/audit.js'
+import {
+	REQUIRED_DOCUMENT_TYPES,
+	clearLegalDocumentsCache,
+	getCurrentDocuments,
+	getPendingDocuments,
+	recordConsents,
+} from '../services/legal.js'
+
+const router = express.Router()
+
+const formatDocument = (document, { withContent = false } = {}) => ({
+	id: document._id,
+	type: document.type,
+	version: document.version,
+	title: document.title,
+	summary: document.summary,
+	publishedAt: document.createdAt,
+	...(withContent && { content: document.content }),
+})
+
+/**
+ * @swagger
+ * /api/legal/documents:
+ *   get:
+ *     summary: Documentos legais vigentes
+ *     description: Retorna a versão atual dos termos de uso (terms), da política de privacidade (privacy) e do opt-in de marketing (marketing)
+ *     tags: [Documentos Legais]
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: Lista de documentos vigentes
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/LegalDocument'
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.get('/documents', async (req, res) => {
+	try {
+		const current = await getCurrentDocuments()
+
+		res.json(Object.values(current).map((document) => formatDocument(document)))
+	} catch (error) {
+		console.error('Erro ao buscar documentos legais:', error)
+		res.status(500).json({
+			message: 'Erro interno do servidor',
+		})
+	}
+})
+
+/**
+ * @swagger
+ * /api/legal/documents/{type}:
+ *   get:
+ *     summary: Buscar documento legal
+ *     description: Retorna o conteúdo da versão atual do documento, ou de uma versão anterior com `version`
+ *     tags: [Documentos Legais]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [terms, privacy, marketing]
+ *       - in: query
+ *         name: version
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Documento
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/LegalDocument'
+ *       400:
+ *         description: Versão inválida
+ *       404:
+ *         description: Documento não encontrado
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.get(
+	'/documents/:type',
+	[query('version').optional().isInt({ min: 1 }).withMessage('Versão inválida').toInt()],
+	async (req, res) => {
+		try {
+			const errors = validationResult(req)
+			if (!errors.isEmpty()) {
+				return res.status(400).json({
+					message: 'Dados inválidos',
+					errors: errors.array(),
+				})
+			}
+
+			const { version } = req.query
+			const { type } = req.params
+
+			let document
+			if (version) {
+				document = await LegalDocument.findOne({ type, version })
+			} else {
+				// Object.hasOwn: "constructor", "__proto__" e afins não são documentos
+				const current = await getCurrentDocuments()
+				document = Object.hasOwn(current, type) ? current[type] : null
+			}
+
+			if (!document) {
+				return res.status(404).json({
+					message: 'Documento não encontrado',
+				})
+			}
+
+			res.json(formatDocument(document, { withContent: true }))
+		} catch (error) {
+			console.error('Erro ao buscar documento legal:', error)
+			res.status(500).json({
+				message: 'Erro interno do servidor',
+			})
+		}
+	},
+)
+
+/**
+ * @swagger
+ * /api/legal/documents:
+ *   post:
+ *     summary: Publicar nova versão de documento legal
+ *     description: |
+ *       Publica uma nova versão (número sequencial por tipo). Ao publicar termos ou política de
+ *       privacidade, os usuários passam a receber CONSENT_REQUIRED nas rotas protegidas até
+ *       aceitarem a nova versão.
+ *     tags: [Documentos Legais]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - type
+ *               - title
+ *               - content
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [terms, privacy, marketing]
+ *               title:
+ *                 type: string
+ *               content:
+ *                 type: string
+ *               summary:
+ *                 type: string
+ *                 description: Resumo das mudanças exibido ao pedir o novo aceite
+ *     responses:
+ *       201:
+ *         description: Versão publicada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/LegalDocument'
+ *       400:
+ *         description: Dados inválidos
+ *       401:
+ *         description: Não autorizado
+ *       403:
+ *         description: Sem a permissão legal:publish
+ *       409:
+ *         description: Outra versão foi publicada ao mesmo tempo
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.post(
+	'/documents',
+	protect,
+	denyImpersonation,
+	authorize('legal:publish'),
+	[
+		body('type').isIn(['terms', 'privacy', 'marketing']).withMessage('Tipo de documento inválido'),
+		body('title').trim().notEmpty().withMessage('Título é obrigatório'),
+		body('content').notEmpty().withMessage('Conteúdo é obrigatório'),
+		body('summary').optional().trim(),
+	],
+	async (req, res) => {
+		try {
+			const errors = validationResult(req)
+			if (!errors.isEmpty()) {
+				return res.status(400).json({
+					message: 'Dados inválidos',
+					errors: errors.array(),
+				})
+			}
+
+			const { type, title, content, summary } = req.body
+
+			const latest = await LegalDocument.findOne({ type }).sort({ version: -1 })
+
+			const document = await LegalDocument.create({
+				type,
+				version: (latest?.version || 0) + 1,
+				title,
+				content,
+				summary,
+				publishedBy: req.user._id,
+			})
+
+			clearLegalDocumentsCache()
+
+			await recordAuditEvent(req, {
+				action: 'legal.document_published',
+				target: { type: 'LegalDocument', id: document._id },
+				metadata: { documentType: type, version: document.version },
+			})
+
+			res.status(201).json(formatDocument(document, { withContent: true }))
+		} catch (error) {
+			if (error.code === 11000) {
+				return res.status(409).json({
+					message: 'Outra versão deste documento foi publicada ao mesmo tempo. Tente novamente.',
+				})
+			}
+
+			console.error('Erro ao publicar documento legal:', error)
+			res.status(500).json({
+				message: 'Erro interno do servidor',
+			})
+		}
+	},
+)
+
+/**
+ * @swagger
+ * /api/legal/consents:
+ *   get:
+ *     summary: Meus consentimentos
+ *     description: Retorna os documentos pendentes de aceite, a escolha de marketing e o histórico de consentimentos do usuário
+ *     tags: [Documentos Legais]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Situação dos consentimentos
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 pendingDocuments:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/LegalDocument'
+ *                 marketingOptIn:
+ *                   type: boolean
+ *                 history:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *       401:
+ *         description: Não autorizado
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.get('/consents', protect, async (req, res) => {
+	try {
+		const [pendingDocuments, history] = await Promise.all([
+			getPendingDocuments(req.user),
+			Consent.find({ user: req.user._id })
+				.select('documentType version accepted ip userAgent createdAt')
+				.sort({ createdAt: -1 }),
+		])
+
+		res.json({
+			pendingDocuments: pendingDocuments.map((document) => formatDocument(document)),
+			marketingOptIn: req.user.marketingOptIn,
+			history,
+		})
+	} catch (error) {
+		console.error('Erro ao buscar consentimentos:', error)
+		res.status(500).json({
+			message: 'Erro interno do servidor',
+		})
+	}
+})
+
+/**
+ * @swagger
+ * /api/legal/consents:
+ *   post:
+ *     summary: Registrar consentimentos
+ *     description: |
+ *       Registra o aceite das versões informadas dos documentos obrigatórios e/ou a escolha
+ *       sobre o opt-in de marketing. As versões devem ser as vigentes.
+ *     tags: [Documentos Legais]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               documents:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     type:
+ *                       type: string
+ *                       enum: [terms, privacy]
+ *                     version:
+ *                       type: integer
+ *               marketingOptIn:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Consentimentos registrados
+ *       400:
+ *         description: Dados inválidos
+ *       401:
+ *         description: Não autorizado
+ *       409:
+ *         description: Versão informada não é a vigente (VERSION_OUTDATED)
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.post(
+	'/consents',
+	protect,
+	denyImpersonation,
+	[
+		body('documents').optional().isArray().withMessage('documents deve ser uma lista'),
+		body('documents.*.type')
+			.isIn(REQUIRED_DOCUMENT_TYPES)
+			.withMessage('Tipo de documento inválido'),
+		body('documents.*.version').isInt({ min: 1 }).withMessage('Versão inválida'),
+		body('marketingOptIn').optional().isBoolean().withMessage('marketingOptIn deve ser booleano'),
+	],
+	async (req, res) => {
+		try {
+			const errors = validationResult(req)
+			if (!errors.isEmpty()) {
+				return res.status(400).json({
+					message: 'Dados inválidos',
+					errors: errors.array(),
+				})
+			}
+
+			const { documents = [], marketingOptIn } = req.body
+			const current = await getCurrentDocuments()
+			const entries = []
+
+			for (const { type, version } of documents) {
+				const document = current[type]
+				if (!document || document.version !== parseInt(version)) {
+					return res.status(409).json({
+						message: 'A versão informada não é a vigente. Leia a versão atual do documento.',
+						code: 'VERSION_OUTDATED',
+						currentVersion: document?.version,
+						type,
+					})
+				}
+				entries.push({ document, accepted: true })
+			}
+
+			if (marketingOptIn !== undefined && current.marketing) {
+				entries.push({
+					document: current.marketing,
+					accepted: marketingOptIn === true || marketingOptIn === 'true',
+				})
+			}
+
+			if (!entries.length) {
+				return res.status(400).json({
+					message: 'Nenhum consentimento informado',
+				})
+			}
+
+			await recordConsents(req, req.user._id, entries)
+
+			const user = await User.findById(req.user._id)
+			const pendingDocuments = await getPendingDocuments(user)
+
+			res.json({
+				message: 'Consentimentos registrados',
+				pendingDocuments: pendingDocuments.map((document) => formatDocument(document)),
+				marketingOptIn: user.marketingOptIn,
+			})
+		} catch (error) {
+			console.error('Erro ao registrar consentimentos:', error)
+			res.status(500).json({
+				message: 'Erro interno do servidor',
+			})
+		}
+	},
+)
+
+export default router
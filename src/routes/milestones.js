@@ -0,0 +1,637 @@
+// routes/milestones.js
+import express from 'express'
+import { body, validationResult } from 'express-validator'
+import { protect } from '../middleware/auth.js'
+import Project from '../models/Project.js'
+import { recordAuditEvent } from '../services/audit.js'
+import { MILESTONE_PLANNING_STATUSES, transitionProject } from '../services/projectLifecycle.js'
+
+const router = express.Router()
+
+// Ações do fluxo dos marcos: quem pode executar, de quais status e para qual status
+const MILESTONE_ACTIONS = {
+	start: { actor: 'freelancer', from: ['pending', 'rejected'], to: 'in_progress' },
+	submit: { actor: 'freelancer', from: ['in_progress', 'rejected'], to: 'submitted' },
+	approve: { actor: 'client', from: ['submitted'], to: 'approved' },
+	'request-changes': { actor: 'client', from: ['submitted'], to: 'rejected' },
+}
+
+const isClient = (project, user) => project.client.toString() === user._id.toString()
+
+const isFreelancer = (project, user) => project.assignedTo?.toString() === user._id.toString()
+
+// Resumo do andamento dos marcos do projeto
+const getMilestoneProgress = (project) => ({
+	total: project.milestones.length,
+	approved: project.milestones.filter((milestone) => milestone.status === 'approved').length,
+	totalAmount: project.milestones.reduce((sum, milestone) => sum + milestone.amount, 0),
+	approvedAmount: project.milestones
+		.filter((milestone) => milestone.status === 'approved')
+		.reduce((sum, milestone) => sum + milestone.amount, 0),
+})
+
+const milestoneValidation = (optional) => {
+	const field = (name) => (optional ? body(name).optional() : body(name))
+
+	return [
+		field('title').trim().notEmpty().withMessage('Título é obrigatório'),
+		body('description').optional().trim(),
+		field('amount').isFloat({ min: 1 }).withMessage('Valor deve ser maior que 0'),
+		body('dueDate').optional().isISO8601().withMessage('Data de entrega inválida'),
+	]
+}
+
+/**
+ * @swagger
+ * /api/projects/{id}/milestones:
+ *   get:
+ *     summary: Listar marcos do projeto
+ *     description: Retorna os marcos do projeto e o resumo do andamento (apenas cliente e freelancer do projeto)
+ *     tags: [Marcos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Marcos do projeto
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 milestones:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Milestone'
+ *                 progress:
+ *                   type: object
+ *                   properties:
+ *                     total:
+ *                       type: integer
+ *                     approved:
+ *                       type: integer
+ *                     totalAmount:
+ *                       type: number
+ *                     approvedAmount:
+ *                       type: number
+ *       401:
+ *         description: Não autorizado
+ *       403:
+ *         description: Usuário não participa do projeto
+ *       404:
+ *         description: Projeto não encontrado
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.get('/:id/milestones', protect, async (req, res) => {
+	try {
+		const project = await Project.findById(req.params.id)
+			.select('client assignedTo milestones')
+			.populate('milestones.payment', 'status amount paidAt')
+
+		if (!project) {
+			return res.status(404).json({
+				message: 'Projeto não encontrado',
+			})
+		}
+
+		if (!isClient(project, req.user) && !isFreelancer(project, req.user)) {
+			return res.status(403).json({
+				message: 'Apenas o cliente e o freelancer do projeto podem ver os marcos',
+			})
+		}
+
+		res.json({
+			milestones: project.milestones,
+			progress: getMilestoneProgress(project),
+		})
+	} catch (error) {
+		console.error('Erro ao buscar marcos:', error)
+		res.status(500).json({
+			message: 'Erro interno do servidor',
+		})
+	}
+})
+
+/**
+ * @swagger
+ * /api/projects/{id}/milestones:
+ *   post:
+ *     summary: Criar marco
+ *     description: Cliente dono adiciona um marco ao projeto aberto ou em andamento
+ *     tags: [Marcos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - title
+ *               - amount
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 example: "Layout da página inicial"
+ *               description:
+ *                 type: string
+ *               amount:
+ *                 type: number
+ *                 example: 1200
+ *               dueDate:
+ *                 type: string
+ *                 format: date
+ *                 example: "2024-12-15"
+ *     responses:
+ *       201:
+ *         description: Marco criado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Milestone'
+ *       400:
+ *         description: Dados inválidos ou projeto encerrado
+ *       401:
+ *         description: Não autorizado
+ *       403:
+ *         description: Apenas o cliente dono pode criar marcos
+ *       404:
+ *         description: Projeto não encontrado
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.post('/:id/milestones', protect, milestoneValidation(false), async (req, res) => {
+	try {
+		const errors = validationResult(req)
+		if (!errors.isEmpty()) {
+			return res.status(400).json({
+				message: 'Dados inválidos',
+				errors: errors.array(),
+			})
+		}
+
+		const project = await Project.findById(req.params.id)
+
+		if (!project) {
+			return res.status(404).json({
+				message: 'Projeto não encontrado',
+			})
+		}
+
+		if (!isClient(project, req.user)) {
+			return res.status(403).json({
+				message: 'Apenas o cliente dono do projeto pode criar marcos',
+			})
+		}
+
+		if (!MILESTONE_PLANNING_STATUSES.includes(project.status)) {
+			return res.status(400).json({
+				message: 'Não é possível adicionar marcos a um projeto encerrado',
+			})
+		}
+
+		const { title, description, amount, dueDate } = req.body
+		project.milestones.push({ title, description, amount, dueDate })
+		await project.save()
+
+		res.status(201).json(project.milestones[project.milestones.length - 1])
+	} catch (error) {
+		console.error('Erro ao criar marco:', error)
+		res.status(500).json({
+			message: 'Erro interno do servidor',
+		})
+	}
+})
+
+/**
+ * @swagger
+ * /api/projects/{id}/milestones/{milestoneId}:
+ *   put:
+ *     summary: Atualizar marco
+ *     description: Cliente dono altera um marco que ainda não foi iniciado
+ *     tags: [Marcos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: milestoneId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               amount:
+ *                 type: number
+ *               dueDate:
+ *                 type: string
+ *                 format: date
+ *     responses:
+ *       200:
+ *         description: Marco atualizado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Milestone'
+ *       400:
+ *         description: Dados inválidos ou marco já iniciado
+ *       401:
+ *         description: Não autorizado
+ *       403:
+ *         description: Apenas o cliente dono pode alterar marcos
+ *       404:
+ *         description: Projeto ou marco não encontrado
+ *       500:
+ *         description: Erro interno do servidor
+ *   delete:
+ *     summary: Excluir marco
+ *     description: Cliente dono exclui um marco que ainda não foi iniciado nem possui pagamento
+ *     tags: [Marcos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: milestoneId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Marco excluído
+ *       400:
+ *         description: Marco já iniciado ou com pagamento
+ *       401:
+ *         description: Não autorizado
+ *       403:
+ *         description: Apenas o cliente dono pode excluir marcos
+ *       404:
+ *         description: Projeto ou marco não encontrado
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.put('/:id/milestones/:milestoneId', protect, milestoneValidation(true), async (req, res) => {
+	try {
+		const errors = validationResult(req)
+		if (!errors.isEmpty()) {
+			return res.status(400).json({
+				message: 'Dados inválidos',
+				errors: errors.array(),
+			})
+		}
+
+		const project = await Project.findById(req.params.id)
+		const milestone = project?.milestones.id(req.params.milestoneId)
+
+		if (!milestone) {
+			return res.status(404).json({
+				message: 'Marco não encontrado',
+			})
+		}
+
+		if (!isClient(project, req.user)) {
+			return res.status(403).json({
+				message: 'Apenas o cliente dono do projeto pode alterar marcos',
+			})
+		}
+
+		if (milestone.status !== 'pending') {
+			return res.status(400).json({
+				message: 'Apenas marcos ainda não iniciados podem ser alterados',
+			})
+		}
+
+		for (const field of ['title', 'description', 'amount', 'dueDate']) {
+			if (req.body[field] !== undefined) {
+				milestone[field] = req.body[field]
+			}
+		}
+		await project.save()
+
+		res.json(milestone)
+	} catch (error) {
+		console.error('Erro ao atualizar marco:', error)
+		res.status(500).json({
+			message: 'Erro interno do servidor',
+		})
+	}
+})
+
+router.delete('/:id/milestones/:milestoneId', protect, async (req, res) => {
+	try {
+		const project = await Project.findById(req.params.id)
+		const milestone = project?.milestones.id(req.params.milestoneId)
+
+		if (!milestone) {
+			return res.status(404).json({
+				message: 'Marco não encontrado',
+			})
+		}
+
+		if (!isClient(project, req.user)) {
+			return res.status(403).json({
+				message: 'Apenas o cliente dono do projeto pode excluir marcos',
+			})
+		}
+
+		if (milestone.status !== 'pending' || milestone.payment) {
+			return res.status(400).json({
+				message: 'Apenas marcos não iniciados e sem pagamento podem ser excluídos',
+			})
+		}
+
+		milestone.deleteOne()
+		await project.save()
+
+		res.json({
+			message: 'Marco excluído com sucesso',
+		})
+	} catch (error) {
+		console.error('Erro ao excluir marco:', error)
+		res.status(500).json({
+			message: 'Erro interno do servidor',
+		})
+	}
+})
+
+// Executa uma ação do fluxo do marco. Quando todos os marcos são aprovados,
+// o projeto é concluído.
+const transitionMilestone = (action) => async (req, res) => {
+	try {
+		const errors = validationResult(req)
+		if (!errors.isEmpty()) {
+			return res.status(400).json({
+				message: 'Dados inválidos',
+				errors: errors.array(),
+			})
+		}
+
+		const { actor, from, to } = MILESTONE_ACTIONS[action]
+
+		const project = await Project.findById(req.params.id)
+		const milestone = project?.milestones.id(req.params.milestoneId)
+
+		if (!milestone) {
+			return res.status(404).json({
+				message: 'Marco não encontrado',
+			})
+		}
+
+		const allowed =
+			actor === 'client' ? isClient(project, req.user) : isFreelancer(project, req.user)
+		if (!allowed) {
+			return res.status(403).json({
+				message:
+					actor === 'client'
+						? 'Apenas o cliente dono do projeto pode realizar esta ação'
+						: 'Apenas o freelancer do projeto pode realizar esta ação',
+			})
+		}
+
+		if (project.status !== 'in_progress') {
+			return res.status(400).json({
+				message: 'O projeto não está em andamento',
+			})
+		}
+
+		if (!from.includes(milestone.status)) {
+			return res.status(400).json({
+				message: `Não é possível executar "${action}" em um marco com status "${milestone.status}"`,
+				code: 'INVALID_MILESTONE_STATUS',
+			})
+		}
+
+		const previousStatus = milestone.status
+		milestone.status = to
+
+		if (action === 'submit') {
+			milestone.submission = { message: req.body.message, submittedAt: new Date() }
+		}
+		if (action === 'request-changes') {
+			milestone.feedback = req.body.feedback
+		}
+		if (action === 'approve') {
+			milestone.approvedAt = new Date()
+			milestone.feedback = undefined
+		}
+
+		// A aprovação do último marco conclui o projeto
+		if (project.allMilestonesApproved()) {
+			await transitionProject(project, 'complete_milestones', { req, user: null })
+		} else {
+			await project.save()
+		}
+
+		await recordAuditEvent(req, {
+			action: `milestone.${to}`,
+			target: { type: 'Project', id: project._id },
+			changes: { before: { status: previousStatus }, after: { status: to } },
+			metadata: { milestone: milestone._id },
+		})
+
+		res.json({
+			milestone,
+			projectStatus: project.status,
+			progress: getMilestoneProgress(project),
+		})
+	} catch (error) {
+		console.error('Erro ao atualizar marco:', error)
+		res.status(500).json({
+			message: 'Erro interno do servidor',
+		})
+	}
+}
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     ProjectId:
+ *       in: path
+ *       name: id
+ *       required: true
+ *       schema:
+ *         type: string
+ *     MilestoneId:
+ *       in: path
+ *       name: milestoneId
+ *       required: true
+ *       schema:
+ *         type: string
+ *   responses:
+ *     MilestoneTransition:
+ *       description: Marco atualizado
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               milestone:
+ *                 $ref: '#/components/schemas/Milestone'
+ *               projectStatus:
+ *                 type: string
+ *               progress:
+ *                 type: object
+ */
+
+/**
+ * @swagger
+ * /api/projects/{id}/milestones/{milestoneId}/start:
+ *   post:
+ *     summary: Iniciar marco
+ *     description: Freelancer do projeto inicia o trabalho no marco (pending ou rejected → in_progress)
+ *     tags: [Marcos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ProjectId'
+ *       - $ref: '#/components/parameters/MilestoneId'
+ *     responses:
+ *       200:
+ *         $ref: '#/components/responses/MilestoneTransition'
+ *       400:
+ *         description: Projeto não está em andamento ou status do marco não permite a ação (INVALID_MILESTONE_STATUS)
+ *       403:
+ *         description: Apenas o freelancer do projeto
+ *       404:
+ *         description: Marco não encontrado
+ */
+router.post('/:id/milestones/:milestoneId/start', protect, transitionMilestone('start'))
+
+/**
+ * @swagger
+ * /api/projects/{id}/milestones/{milestoneId}/submit:
+ *   post:
+ *     summary: Entregar marco
+ *     description: Freelancer do projeto envia o marco para aprovação do cliente (in_progress ou rejected → submitted)
+ *     tags: [Marcos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ProjectId'
+ *       - $ref: '#/components/parameters/MilestoneId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - message
+ *             properties:
+ *               message:
+ *                 type: string
+ *                 example: "Layout finalizado, link do protótipo no Figma: ..."
+ *     responses:
+ *       200:
+ *         $ref: '#/components/responses/MilestoneTransition'
+ *       400:
+ *         description: Dados inválidos ou status do marco não permite a ação (INVALID_MILESTONE_STATUS)
+ *       403:
+ *         description: Apenas o freelancer do projeto
+ *       404:
+ *         description: Marco não encontrado
+ */
+router.post(
+	'/:id/milestones/:milestoneId/submit',
+	protect,
+	[body('message').trim().notEmpty().withMessage('Descreva a entrega')],
+	transitionMilestone('submit'),
+)
+
+/**
+ * @swagger
+ * /api/projects/{id}/milestones/{milestoneId}/approve:
+ *   post:
+ *     summary: Aprovar marco
+ *     description: Cliente dono aprova a entrega (submitted → approved). Quando todos os marcos são aprovados, o projeto é concluído.
+ *     tags: [Marcos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ProjectId'
+ *       - $ref: '#/components/parameters/MilestoneId'
+ *     responses:
+ *       200:
+ *         $ref: '#/components/responses/MilestoneTransition'
+ *       400:
+ *         description: Status do marco não permite a ação (INVALID_MILESTONE_STATUS)
+ *       403:
+ *         description: Apenas o cliente dono do projeto
+ *       404:
+ *         description: Marco não encontrado
+ */
+router.post('/:id/milestones/:milestoneId/approve', protect, transitionMilestone('approve'))
+
+/**
+ * @swagger
+ * /api/projects/{id}/milestones/{milestoneId}/request-changes:
+ *   post:
+ *     summary: Solicitar alterações no marco
+ *     description: Cliente dono recusa a entrega com comentários (submitted → rejected); o freelancer pode retomar e reenviar
+ *     tags: [Marcos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ProjectId'
+ *       - $ref: '#/components/parameters/MilestoneId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - feedback
+ *             properties:
+ *               feedback:
+ *                 type: string
+ *                 example: "Ajustar as cores conforme o manual da marca"
+ *     responses:
+ *       200:
+ *         $ref: '#/components/responses/MilestoneTransition'
+ *       400:
+ *         description: Dados inválidos ou status do marco não permite a ação (INVALID_MILESTONE_STATUS)
+ *       403:
+ *         description: Apenas o cliente dono do projeto
+ *       404:
+ *         description: Marco não encontrado
+ */
+router.post(
+	'/:id/milestones/:milestoneId/request-changes',
+	protect,
+	[body('feedback').trim().notEmpty().withMessage('Descreva as alterações necessárias')],
+	transitionMilestone('request-changes'),
+)
+
+export default router
@@ -0,0 +1,416 @@
+// routes/negotiations.js
+import express from 'express'
+import { body, validationResult } from 'express-validator'
+import { protect } from '../middleware/auth.js'
+import CounterOffer from '../models/CounterOffer.js'
+import Proposal from '../models/Proposal.js'
+import { recordAuditEvent } from '../services/audit.js'
+import { getNegotiationSide, getOfferTtlMs } from '../services/negotiation.js'
+import { HIRING_STATUSES } from '../services/projectLifecycle.js'
+
+const router = express.Router()
+
+const otherSide = (side) => (side === 'client' ? 'freelancer' : 'client')
+
+// Motivo pelo qual a proposta não aceita mais negociação (ou null)
+const getNegotiationBlocker = (proposal) => {
+	if (proposal.status !== 'pending') return 'Apenas propostas pendentes podem ser negociadas'
+	if (!HIRING_STATUSES.includes(proposal.project.status)) {
+		return 'O projeto não está mais recebendo propostas'
+	}
+	if (proposal.agreedAt) return 'Os termos desta proposta já foram acordados'
+	return null
+}
+
+// Carrega a proposta com o projeto; responde 404/403 e retorna null se não houver acesso
+const loadNegotiation = async (req, res, select = '') => {
+	const proposal = await Proposal.findById(req.params.proposalId)
+		.select(select)
+		.populate('project', 'client status')
+
+	if (!proposal?.project) {
+		res.status(404).json({
+			message: 'Proposta não encontrada',
+		})
+		return null
+	}
+
+	const side = getNegotiationSide(proposal, proposal.project, req.user)
+	if (!side) {
+		res.status(403).json({
+			message: 'Apenas o cliente do projeto e o autor da proposta participam da negociação',
+		})
+		return null
+	}
+
+	return { proposal, side }
+}
+
+/**
+ * @swagger
+ * /api/proposals/{proposalId}/offers:
+ *   get:
+ *     summary: Negociação da proposta
+ *     description: Termos atuais da proposta e as contrapropostas trocadas (mais antiga primeiro)
+ *     tags: [Negociação]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: proposalId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Negociação
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 terms:
+ *                   type: object
+ *                   properties:
+ *                     bid:
+ *                       type: number
+ *                     timeline:
+ *                       type: string
+ *                     agreedAt:
+ *                       type: string
+ *                       format: date-time
+ *                 offers:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CounterOffer'
+ *       401:
+ *         description: Não autorizado
+ *       403:
+ *         description: Usuário não participa da negociação
+ *       404:
+ *         description: Proposta não encontrada
+ *       500:
+ *         description: Erro interno do servidor
+ *   post:
+ *     summary: Enviar contraproposta
+ *     description: |
+ *       Cliente ou freelancer propõe novos termos. Se houver uma oferta do outro lado
+ *       aguardando resposta, ela é encerrada como "countered". A oferta expira se não for
+ *       respondida em COUNTER_OFFER_TTL_HOURS (padrão 72h).
+ *     tags: [Negociação]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: proposalId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 example: 2800
+ *               timeline:
+ *                 type: string
+ *                 example: "3 semanas"
+ *               note:
+ *                 type: string
+ *                 example: "Consigo fechar por esse valor sem a integração com o ERP"
+ *     responses:
+ *       201:
+ *         description: Contraproposta enviada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CounterOffer'
+ *       400:
+ *         description: Dados inválidos ou proposta não pode mais ser negociada
+ *       401:
+ *         description: Não autorizado
+ *       403:
+ *         description: Usuário não participa da negociação
+ *       404:
+ *         description: Proposta não encontrada
+ *       409:
+ *         description: Sua última oferta ainda aguarda resposta (OFFER_PENDING)
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.get('/:proposalId/offers', protect, async (req, res) => {
+	try {
+		const negotiation = await loadNegotiation(req, res)
+		if (!negotiation) return
+
+		const { proposal } = negotiation
+		const offers = await CounterOffer.find({ proposal: proposal._id })
+			.populate('author', 'name avatar')
+			.sort({ createdAt: 1 })
+
+		res.json({
+			terms: { bid: proposal.bid, timeline: proposal.timeline, agreedAt: proposal.agreedAt },
+			offers,
+		})
+	} catch (error) {
+		console.error('Erro ao buscar negociação:', error)
+		res.status(500).json({
+			message: 'Erro interno do servidor',
+		})
+	}
+})
+
+router.post(
+	'/:proposalId/offers',
+	protect,
+	[
+		body('amount').isFloat({ gt: 0 }).withMessage('Valor deve ser maior que zero').toFloat(),
+		body('timeline').optional().trim().notEmpty().withMessage('Prazo não pode estar vazio'),
+		body('note')
+			.optional()
+			.trim()
+			.isLength({ max: 1000 })
+			.withMessage('Observação deve ter no máximo 1000 caracteres'),
+	],
+	async (req, res) => {
+		try {
+			const errors = validationResult(req)
+			if (!errors.isEmpty()) {
+				return res.status(400).json({
+					message: 'Dados inválidos',
+					errors: errors.array(),
+				})
+			}
+
+			const negotiation = await loadNegotiation(req, res)
+			if (!negotiation) return
+
+			const { proposal, side } = negotiation
+			const blocker = getNegotiationBlocker(proposal)
+			if (blocker) {
+				return res.status(400).json({
+					message: blocker,
+				})
+			}
+
+			const openOffer = await CounterOffer.findOne({
+				proposal: proposal._id,
+				status: 'open',
+				expiresAt: { $gt: new Date() },
+			})
+
+			if (openOffer?.from === side) {
+				return res.status(409).json({
+					message: 'Sua última oferta ainda aguarda resposta',
+					code: 'OFFER_PENDING',
+				})
+			}
+
+			// Contraproposta em resposta à oferta do outro lado
+			if (openOffer) {
+				openOffer.status = 'countered'
+				openOffer.respondedAt = new Date()
+				openOffer.respondedBy = req.user._id
+				await openOffer.save()
+			}
+
+			const { amount, timeline, note } = req.body
+			const offer = await CounterOffer.create({
+				proposal: proposal._id,
+				project: proposal.project._id,
+				from: side,
+				author: req.user._id,
+				amount,
+				timeline: timeline ?? proposal.timeline,
+				note,
+				expiresAt: new Date(Date.now() + getOfferTtlMs()),
+			})
+
+			res.status(201).json(offer)
+		} catch (error) {
+			console.error('Erro ao enviar contraproposta:', error)
+			res.status(500).json({
+				message: 'Erro interno do servidor',
+			})
+		}
+	},
+)
+
+// Resposta do outro lado a uma oferta em aberto (accept | decline)
+const respondToOffer = (response) => async (req, res) => {
+	try {
+		const negotiation = await loadNegotiation(req, res, '+revisions')
+		if (!negotiation) return
+
+		const { proposal, side } = negotiation
+		const offer = await CounterOffer.findOne({
+			_id: req.params.offerId,
+			proposal: proposal._id,
+		})
+
+		if (!offer) {
+			return res.status(404).json({
+				message: 'Oferta não encontrada',
+			})
+		}
+
+		if (offer.from !== otherSide(side)) {
+			return res.status(403).json({
+				message: 'Apenas o outro lado da negociação pode responder a esta oferta',
+			})
+		}
+
+		if (!offer.isOpen()) {
+			return res.status(409).json({
+				message: 'Esta oferta não está mais aguardando resposta',
+				code: 'OFFER_CLOSED',
+			})
+		}
+
+		const blocker = getNegotiationBlocker(proposal)
+		if (blocker) {
+			return res.status(400).json({
+				message: blocker,
+			})
+		}
+
+		offer.status = response === 'accept' ? 'accepted' : 'declined'
+		offer.respondedAt = new Date()
+		offer.respondedBy = req.user._id
+
+		// Os termos acordados passam a valer na proposta (a versão anterior fica no histórico)
+		if (response === 'accept') {
+			const before = { bid: proposal.bid, timeline: proposal.timeline }
+
+			proposal.revise({ bid: offer.amount, timeline: offer.timeline })
+			proposal.agreedOffer = offer._id
+			proposal.agreedAt = offer.respondedAt
+			await proposal.save()
+
+			await recordAuditEvent(req, {
+				action: 'proposal.terms_agreed',
+				target: { type: 'Proposal', id: proposal._id },
+				changes: { before, after: { bid: proposal.bid, timeline: proposal.timeline } },
+				metadata: { offer: offer._id, project: proposal.project._id },
+			})
+		}
+
+		await offer.save()
+
+		const { revisions, ...current } = proposal.toObject()
+		res.json({
+			offer,
+			proposal: { ...current, project: proposal.project._id },
+		})
+	} catch (error) {
+		console.error('Erro ao responder contraproposta:', error)
+		res.status(500).json({
+			message: 'Erro interno do servidor',
+		})
+	}
+}
+
+/**
+ * @swagger
+ * /api/proposals/{proposalId}/offers/{offerId}/accept:
+ *   post:
+ *     summary: Aceitar contraproposta
+ *     description: |
+ *       O outro lado aceita a oferta e o valor e o prazo passam a ser os termos da proposta.
+ *       Depois disso a proposta não pode mais ser editada nem negociada; o cliente conclui a
+ *       contratação aceitando a proposta.
+ *     tags: [Negociação]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: proposalId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: offerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Oferta respondida e a proposta com os termos atuais
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 offer:
+ *                   $ref: '#/components/schemas/CounterOffer'
+ *                 proposal:
+ *                   $ref: '#/components/schemas/Proposal'
+ *       400:
+ *         description: Proposta não pode mais ser negociada
+ *       401:
+ *         description: Não autorizado
+ *       403:
+ *         description: Apenas o outro lado pode responder à oferta
+ *       404:
+ *         description: Proposta ou oferta não encontrada
+ *       409:
+ *         description: Oferta já respondida ou expirada (OFFER_CLOSED)
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.post('/:proposalId/offers/:offerId/accept', protect, respondToOffer('accept'))
+
+/**
+ * @swagger
+ * /api/proposals/{proposalId}/offers/{offerId}/decline:
+ *   post:
+ *     summary: Recusar contraproposta
+ *     description: O outro lado recusa a oferta; os termos da proposta continuam os mesmos
+ *     tags: [Negociação]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: proposalId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: offerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Oferta respondida e a proposta com os termos atuais
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 offer:
+ *                   $ref: '#/components/schemas/CounterOffer'
+ *                 proposal:
+ *                   $ref: '#/components/schemas/Proposal'
+ *       400:
+ *         description: Proposta não pode mais ser negociada
+ *       401:
+ *         description: Não autorizado
+ *       403:
+ *         description: Apenas o outro lado pode responder à oferta
+ *       404:
+ *         description: Proposta ou oferta não encontrada
+ *       409:
+ *         description: Oferta já respondida ou expirada (OFFER_CLOSED)
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.post('/:proposalId/offers/:offerId/decline', protect, respondToOffer('decline'))
+
+export default router
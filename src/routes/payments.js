@@ -1,7 +1,15 @@
 // routes/payments.js
 import express from 'express'
 import { body, validationResult } from 'express-validator'
-import { protect } from '../middleware/auth.js'
+import {
+	denyImpersonation,
+	protect,
+	requireRecentMfa,
+	requireVerifiedEmail,
+} from '../middleware/auth.js'
+import { authorize } from '../middleware/authorize.js'
+import { getMarketplaceView, hasPermission } from '../config/permissions.js'
+import { recordAuditEvent } from '../services/audit.js'
 import Payment from '../models/Payment.js'
 import Project from '../models/Project.js'
 import User from '../models/User.js'
@@ -13,7 +21,9 @@ const router = express.Router()
  * /api/payments:
  *   post:
  *     summary: Criar novo pagamento
- *     description: Cliente cria um pagamento para um projeto (apenas clientes)
+ *     description: |
+ *       Cliente cria um pagamento para um projeto (apenas clientes). Com `milestoneId` o
+ *       pagamento fica vinculado ao marco; valor e descrição, se omitidos, vêm do marco.
  *     tags: [Pagamentos]
  *     security:
  *       - bearerAuth: []
@@ -32,6 +42,9 @@ const router = express.Router()
  *               projectId:
  *                 type: string
  *                 example: "507f1f77bcf86cd799439011"
+ *               milestoneId:
+ *                 type: string
+ *                 description: Marco do projeto pago por este pagamento
  *               amount:
  *                 type: number
  *                 example: 3500
@@ -65,18 +78,26 @@ const router = express.Router()
  *       400:
  *         description: Dados inválidos
  *       403:
- *         description: Apenas clientes podem criar pagamentos
+ *         description: Sem a permissão payment:create (PERMISSION_DENIED), email não verificado (EMAIL_NOT_VERIFIED), segundo fator recente necessário (MFA_STEP_UP_REQUIRED) ou token de personificação (IMPERSONATION_FORBIDDEN)
  *       404:
- *         description: Projeto não encontrado
+ *         description: Projeto ou marco não encontrado
+ *       409:
+ *         description: O marco já possui um pagamento ativo
  *       500:
  *         description: Erro interno do servidor
  */
 router.post(
 	'/',
 	protect,
+	denyImpersonation,
+	authorize('payment:create'),
+	requireVerifiedEmail,
+	requireRecentMfa,
 	[
 		body('projectId').notEmpty().withMessage('ID do projeto é obrigatório'),
+		body('milestoneId').optional().isMongoId().withMessage('ID do marco inválido'),
 		body('amount')
+			.if((value, { req }) => value !== undefined || !req.body.milestoneId)
 			.isNumeric()
 			.withMessage('Valor deve ser um número')
 			.isFloat({ min: 1 })
@@ -84,7 +105,10 @@ router.post(
 		body('paymentMethod')
 			.isIn(['credit_card', 'debit_card', 'pix', 'bank_transfer', 'paypal'])
 			.withMessage('Método de pagamento inválido'),
-		body('description').notEmpty().withMessage('Descrição é obrigatória'),
+		body('description')
+			.if((value, { req }) => value !== undefined || !req.body.milestoneId)
+			.notEmpty()
+			.withMessage('Descrição é obrigatória'),
 		body('dueDate').optional().isISO8601().withMessage('Data de vencimento inválida'),
 	],
 	async (req, res) => {
@@ -97,14 +121,8 @@ router.post(
 				})
 			}
 
-			// Verificar se é cliente
-			if (req.user.userType !== 'client') {
-				return res.status(403).json({
-					message: 'Apenas clientes podem criar pagamentos',
-				})
-			}
-
-			const { projectId, amount, paymentMethod, description, dueDate, installment } = req.body
+			const { projectId, milestoneId, amount, paymentMethod, description, dueDate, installment } =
+				req.body
 
 			// Buscar projeto
 			const project = await Project.findById(projectId).populate('assignedTo', 'name email')
@@ -129,18 +147,47 @@ router.post(
 				})
 			}
 
+			// Pagamento de um marco: um pagamento ativo por marco
+			const milestone = milestoneId && project.milestones.id(milestoneId)
+			if (milestoneId && !milestone) {
+				return res.status(404).json({
+					message: 'Marco não encontrado',
+				})
+			}
+
+			if (milestone?.payment) {
+				const activePayment = await Payment.findOne({
+					_id: milestone.payment,
+					status: { $nin: ['failed', 'refunded', 'cancelled'] },
+				})
+				if (activePayment) {
+					return res.status(409).json({
+						message: 'Este marco já possui um pagamento',
+						payment: activePayment._id,
+					})
+				}
+			}
+
 			// Criar pagamento
 			const payment = await Payment.create({
 				project: projectId,
+				milestone: milestone?._id,
 				client: req.user._id,
 				freelancer: project.assignedTo._id,
-				amount,
+				amount: amount ?? milestone.amount,
 				paymentMethod,
-				description,
+				description: description || `Marco: ${milestone.title}`,
 				dueDate: dueDate ? new Date(dueDate) : new Date(Date.now() + 7 * 24 * 60 * 60 * 1000), // 7 dias padrão
 				installment: installment || { current: 1, total: 1 },
 			})
 
+			if (milestone) {
+				await Project.updateOne(
+					{ _id: project._id, 'milestones._id': milestone._id },
+					{ $set: { 'milestones.$.payment': payment._id } },
+				)
+			}
+
 			// Popular dados para resposta
 			const populatedPayment = await Payment.findById(payment._id)
 				.populate('project', 'title')
@@ -210,7 +257,8 @@ router.get('/', protect, async (req, res) => {
 		let query = {}
 
 		// Filtrar por usuário (cliente ou freelancer)
-		if (req.user.userType === 'client') {
+		const view = getMarketplaceView(req)
+		if (view === 'client') {
 			query.client = req.user._id
 		} else {
 			query.freelancer = req.user._id
@@ -223,7 +271,7 @@ router.get('/', protect, async (req, res) => {
 
 		const payments = await Payment.find(query)
 			.populate('project', 'title')
-			.populate(req.user.userType === 'client' ? 'freelancer' : 'client', 'name email avatar')
+			.populate(view === 'client' ? 'freelancer' : 'client', 'name email avatar')
 			.sort({ createdAt: -1 })
 			.limit(limit * 1)
 			.skip((page - 1) * limit)
@@ -289,7 +337,8 @@ router.get('/:id', protect, async (req, res) => {
 		// Verificar se usuário tem acesso ao pagamento
 		const hasAccess =
 			payment.client._id.toString() === req.user._id.toString() ||
-			payment.freelancer._id.toString() === req.user._id.toString()
+			payment.freelancer._id.toString() === req.user._id.toString() ||
+			hasPermission(req.user, 'payment:read:any', req.activeRole)
 
 		if (!hasAccess) {
 			return res.status(403).json({
@@ -340,78 +389,78 @@ router.get('/:id', protect, async (req, res) => {
  *       400:
  *         description: Pagamento não pode ser processado
  *       403:
- *         description: Apenas clientes podem processar pagamentos
+ *         description: Sem a permissão payment:process (PERMISSION_DENIED), email não verificado (EMAIL_NOT_VERIFIED) ou token de personificação (IMPERSONATION_FORBIDDEN)
  *       404:
  *         description: Pagamento não encontrado
  *       500:
  *         description: Erro interno do servidor
  */
-router.post('/:id/process', protect, async (req, res) => {
-	try {
-		const { transactionId } = req.body
-
-		// Verificar se é cliente
-		if (req.user.userType !== 'client') {
-			return res.status(403).json({
-				message: 'Apenas clientes podem processar pagamentos',
-			})
-		}
+router.post(
+	'/:id/process',
+	protect,
+	denyImpersonation,
+	authorize('payment:process'),
+	requireVerifiedEmail,
+	async (req, res) => {
+		try {
+			const { transactionId } = req.body
 
-		const payment = await Payment.findById(req.params.id)
+			const payment = await Payment.findById(req.params.id)
 
-		if (!payment) {
-			return res.status(404).json({
-				message: 'Pagamento não encontrado',
-			})
-		}
+			if (!payment) {
+				return res.status(404).json({
+					message: 'Pagamento não encontrado',
+				})
+			}
 
-		// Verificar se o cliente é dono do pagamento
-		if (payment.client.toString() !== req.user._id.toString()) {
-			return res.status(403).json({
-				message: 'Apenas o cliente dono pode processar este pagamento',
-			})
-		}
+			// Verificar se o cliente é dono do pagamento
+			if (payment.client.toString() !== req.user._id.toString()) {
+				return res.status(403).json({
+					message: 'Apenas o cliente dono pode processar este pagamento',
+				})
+			}
 
-		// Verificar se pode ser processado
-		if (payment.status !== 'pending') {
-			return res.status(400).json({
-				message: `Pagamento não pode ser processado. Status atual: ${payment.status}`,
-			})
-		}
+			// Verificar se pode ser processado
+			if (payment.status !== 'pending') {
+				return res.status(400).json({
+					message: `Pagamento não pode ser processado. Status atual: ${payment.status}`,
+				})
+			}
 
-		// Simular processamento
-		payment.status = 'processing'
-		await payment.save()
-
-		// Simular delay de processamento
-		setTimeout(async () => {
-			try {
-				const updatedPayment = await Payment.findById(payment._id)
-				if (updatedPayment.status === 'processing') {
-					// 90% de chance de sucesso, 10% de falha
-					if (Math.random() > 0.1) {
-						await updatedPayment.markAsPaid(transactionId || `txn_${Date.now()}`)
-					} else {
-						updatedPayment.status = 'failed'
-						await updatedPayment.save()
+			// Simular processamento
+			payment.status = 'processing'
+			await payment.save()
+
+			// Simular delay de processamento
+			setTimeout(async () => {
+				try {
+					const updatedPayment = await Payment.findById(payment._id)
+					if (updatedPayment.status === 'processing') {
+						// 90% de chance de sucesso, 10% de falha
+						if (Math.random() > 0.1) {
+							await updatedPayment.markAsPaid(transactionId || `txn_${Date.now()}`)
+						} else {
+							updatedPayment.status = 'failed'
+							await updatedPayment.save()
+						}
 					}
+				} catch (error) {
+					console.error('Erro no processamento assíncrono:', error)
 				}
-			} catch (error) {
-				console.error('Erro no processamento assíncrono:', error)
-			}
-		}, 2000)
+			}, 2000)
 
-		res.json({
-			message: 'Pagamento em processamento...',
-			payment,
-		})
-	} catch (error) {
-		console.error('Erro ao processar pagamento:', error)
-		res.status(500).json({
-			message: 'Erro interno do servidor',
-		})
-	}
-})
+			res.json({
+				message: 'Pagamento em processamento...',
+				payment,
+			})
+		} catch (error) {
+			console.error('Erro ao processar pagamento:', error)
+			res.status(500).json({
+				message: 'Erro interno do servidor',
+			})
+		}
+	},
+)
 
 /**
  * @swagger
@@ -446,7 +495,7 @@ router.post('/:id/process', protect, async (req, res) => {
  *       400:
  *         description: Reembolso não pode ser processado
  *       403:
- *         description: Apenas clientes podem solicitar reembolsos
+ *         description: Sem a permissão payment:refund (PERMISSION_DENIED), segundo fator recente necessário (MFA_STEP_UP_REQUIRED) ou token de personificação (IMPERSONATION_FORBIDDEN)
  *       404:
  *         description: Pagamento não encontrado
  *       500:
@@ -455,6 +504,9 @@ router.post('/:id/process', protect, async (req, res) => {
 router.post(
 	'/:id/refund',
 	protect,
+	denyImpersonation,
+	authorize('payment:refund'),
+	requireRecentMfa,
 	[body('reason').notEmpty().withMessage('Motivo do reembolso é obrigatório')],
 	async (req, res) => {
 		try {
@@ -468,13 +520,6 @@ router.post(
 
 			const { reason } = req.body
 
-			// Verificar se é cliente
-			if (req.user.userType !== 'client') {
-				return res.status(403).json({
-					message: 'Apenas clientes podem solicitar reembolsos',
-				})
-			}
-
 			const payment = await Payment.findById(req.params.id)
 
 			if (!payment) {
@@ -483,8 +528,11 @@ router.post(
 				})
 			}
 
-			// Verificar se o cliente é dono do pagamento
-			if (payment.client.toString() !== req.user._id.toString()) {
+			// Verificar se o cliente é dono do pagamento (financeiro pode reembolsar qualquer pagamento)
+			if (
+				payment.client.toString() !== req.user._id.toString() &&
+				!hasPermission(req.user, 'payment:refund:any', req.activeRole)
+			) {
 				return res.status(403).json({
 					message: 'Apenas o cliente dono pode solicitar reembolso',
 				})
@@ -506,8 +554,19 @@ router.post(
 			}
 
 			// Processar reembolso
+			const previousStatus = payment.status
 			await payment.processRefund(reason)
 
+			await recordAuditEvent(req, {
+				action: 'payment.refunded',
+				target: { type: 'Payment', id: payment._id },
+				changes: {
+					before: { status: previousStatus },
+					after: { status: payment.status, refundedAt: payment.refundedAt },
+				},
+				metadata: { reason, amount: payment.amount, project: payment.project },
+			})
+
 			res.json({
 				message: 'Reembolso processado com sucesso',
 				payment,
@@ -558,7 +617,7 @@ router.get('/stats', protect, async (req, res) => {
 	try {
 		let stats = {}
 
-		if (req.user.userType === 'freelancer') {
+		if (getMarketplaceView(req) === 'freelancer') {
 			// Estatísticas para freelancer
 			const [totalEarnings, pendingPayments, completedPayments, overduePayments, recentPayments] =
 				await Promise.all([
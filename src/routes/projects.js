@@ -1,9 +1,43 @@
 // routes/projects.js
 import express from 'express'
-import { body, validationResult } from 'express-validator'
-import { protect } from '../middleware/auth.js'
+import mongoose from 'mongoose'
+import { body, query, validationResult } from 'express-validator'
+import { optionalAuth, protect, requireVerifiedEmail } from '../middleware/auth.js'
+import { authorize } from '../middleware/authorize.js'
 import Project from '../models/Project.js'
+import Proposal from '../models/Proposal.js'
 import User from '../models/User.js'
+import { getMarketplaceView, hasPermission } from '../config/permissions.js'
+import { removeProjectAttachments } from '../services/attachments.js'
+import {
+	CreditError,
+	chargeProposal,
+	refundCharge,
+	respondCreditError,
+} from '../services/credits.js'
+import {
+	MAX_COMPARE,
+	MAX_TAGS,
+	MAX_TAG_LENGTH,
+	PROPOSAL_SORT_FIELDS,
+	TRIAGE_STATES,
+	buildProposalComparePipeline,
+	buildProposalListPipeline,
+	buildProposalMatch,
+	normalizeTags,
+} from '../services/proposalTriage.js'
+import { recordAuditEvent } from '../services/audit.js'
+import {
+	HIRING_STATUSES,
+	PROJECT_STATUSES,
+	PROJECT_TRANSITIONS,
+	ProjectTransitionError,
+	findActionForStatus,
+	getAvailableActions,
+	respondTransitionError,
+	transitionProject,
+} from '../services/projectLifecycle.js'
+import { getSuspendedUserIds, hideSuspendedProposals } from '../services/suspension.js'
 
 const router = express.Router()
 
@@ -12,7 +46,7 @@ const router = express.Router()
  * /api/projects:
  *   get:
  *     summary: Buscar todos os projetos
- *     description: Retorna uma lista paginada de projetos com filtros
+ *     description: Retorna uma lista paginada de projetos com filtros. Projetos abertos e propostas pendentes de contas suspensas não são exibidos.
  *     tags: [Projetos]
  *     parameters:
  *       - in: query
@@ -47,7 +81,7 @@ const router = express.Router()
  *         name: status
  *         schema:
  *           type: string
- *           enum: [open, in_progress, completed, cancelled]
+ *           enum: [open, in_review, in_progress, delivered, completed, cancelled, disputed]
  *           default: open
  *         description: Status do projeto
  *     responses:
@@ -75,7 +109,8 @@ router.get('/', async (req, res) => {
 	try {
 		const { search, category, skills, page = 1, limit = 10, status = 'open' } = req.query
 
-		let query = { status }
+		// Rascunhos são visíveis apenas para o próprio cliente
+		let query = { status: status === 'draft' ? 'open' : status }
 
 		// Filtros
 		if (search) {
@@ -91,8 +126,15 @@ router.get('/', async (req, res) => {
 			query.skills = { $in: skillsArray }
 		}
 
+		// Projetos em contratação e propostas pendentes de contas suspensas ficam ocultos
+		const suspendedIds = await getSuspendedUserIds()
+		if (suspendedIds.length) {
+			query.$nor = [{ status: { $in: HIRING_STATUSES }, client: { $in: suspendedIds } }]
+		}
+
 		const projects = await Project.find(query)
 			.populate('client', 'name avatar')
+			.populate('proposals')
 			.sort({ createdAt: -1 })
 			.limit(limit * 1)
 			.skip((page - 1) * limit)
@@ -100,7 +142,7 @@ router.get('/', async (req, res) => {
 		const total = await Project.countDocuments(query)
 
 		res.json({
-			projects,
+			projects: projects.map((project) => hideSuspendedProposals(project.toJSON(), suspendedIds)),
 			totalPages: Math.ceil(total / limit),
 			currentPage: page,
 			total,
@@ -169,6 +211,11 @@ router.get('/', async (req, res) => {
  *                 items:
  *                   type: string
  *                 example: ["React", "Node.js", "MongoDB"]
+ *               status:
+ *                 type: string
+ *                 enum: [draft, open]
+ *                 default: open
+ *                 description: Crie como rascunho para publicar depois (ação "publish")
  *     responses:
  *       201:
  *         description: Projeto criado com sucesso
@@ -179,7 +226,7 @@ router.get('/', async (req, res) => {
  *       400:
  *         description: Dados inválidos
  *       403:
- *         description: Apenas clientes podem criar projetos
+ *         description: Sem a permissão project:create (PERMISSION_DENIED) ou email não verificado (EMAIL_NOT_VERIFIED)
  *       401:
  *         description: Não autorizado
  *       500:
@@ -188,6 +235,8 @@ router.get('/', async (req, res) => {
 router.post(
 	'/',
 	protect,
+	authorize('project:create'),
+	requireVerifiedEmail,
 	[
 		body('title').notEmpty().withMessage('Título é obrigatório'),
 		body('description').notEmpty().withMessage('Descrição é obrigatória'),
@@ -206,6 +255,7 @@ router.post(
 			.withMessage('Categoria inválida'),
 		body('timeline').notEmpty().withMessage('Prazo é obrigatório'),
 		body('skills').isArray().withMessage('Habilidades devem ser um array'),
+		body('status').optional().isIn(['draft', 'open']).withMessage('Status inicial inválido'),
 	],
 	async (req, res) => {
 		try {
@@ -217,19 +267,17 @@ router.post(
 				})
 			}
 
-			// Verificar se usuário é cliente
-			if (req.user.userType !== 'client') {
-				return res.status(403).json({
-					message: 'Apenas clientes podem criar projetos',
-				})
-			}
+			// Propostas, marcos, contratação e histórico não são definidos na criação
+			const { proposals, milestones, assignedTo, statusHistory, ...data } = req.body
 
 			const project = await Project.create({
-				...req.body,
+				...data,
 				client: req.user._id,
 			})
 
-			const populatedProject = await Project.findById(project._id).populate('client', 'name avatar')
+			const populatedProject = await Project.findById(project._id)
+				.populate('client', 'name avatar')
+				.populate('proposals')
 
 			res.status(201).json(populatedProject)
 		} catch (error) {
@@ -244,9 +292,114 @@ router.post(
 /**
  * @swagger
  * /api/projects/{id}/proposals:
+ *   get:
+ *     summary: Listar propostas do projeto
+ *     description: |
+ *       Propostas recebidas pelo cliente dono, com a versão atual de cada uma, o número da
+ *       revisão, a data da última edição (editedAt), a triagem privada do cliente e os dados
+ *       do freelancer usados na comparação. Propostas arquivadas só aparecem com
+ *       triage=archived ou triage=all. Propostas pendentes de contas suspensas não são exibidas.
+ *     tags: [Projetos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, accepted, rejected, withdrawn]
+ *       - in: query
+ *         name: triage
+ *         schema:
+ *           type: string
+ *           enum: [shortlisted, archived, none, all]
+ *         description: Estado da triagem (none = sem triagem). Padrão, todas menos as arquivadas
+ *       - in: query
+ *         name: tags
+ *         schema:
+ *           type: string
+ *         description: Etiquetas separadas por vírgula; a proposta precisa ter todas
+ *         example: "favorito,entrevistar"
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [createdAt, -createdAt, bid, -bid, rating, -rating, completedProjects, -completedProjects, hourlyRate, -hourlyRate]
+ *           default: -createdAt
+ *         description: Campo de ordenação; "-" para decrescente
+ *       - in: query
+ *         name: minBid
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: maxBid
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: minRating
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: minCompletedProjects
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: minHourlyRate
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: maxHourlyRate
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Propostas do projeto
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 proposals:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Proposal'
+ *                 totalPages:
+ *                   type: integer
+ *                 currentPage:
+ *                   type: integer
+ *                 total:
+ *                   type: integer
+ *       400:
+ *         description: Filtro, ordenação ou paginação inválidos
+ *       401:
+ *         description: Não autorizado
+ *       403:
+ *         description: Apenas o cliente dono pode ver as propostas
+ *       404:
+ *         description: Projeto não encontrado
+ *       500:
+ *         description: Erro interno do servidor
  *   post:
  *     summary: Enviar proposta para projeto
- *     description: Envia uma proposta para um projeto aberto (apenas freelancers)
+ *     description: |
+ *       Envia uma proposta para um projeto aberto (apenas freelancers). Cada proposta custa
+ *       créditos conforme a faixa de orçamento máximo do projeto (PROPOSAL_CREDIT_TIERS); os
+ *       créditos são devolvidos se o projeto for cancelado sem contratação.
  *     tags: [Projetos]
  *     security:
  *       - bearerAuth: []
@@ -288,10 +441,20 @@ router.post(
  *                 message:
  *                   type: string
  *                   example: "Proposta enviada com sucesso!"
+ *                 credits:
+ *                   type: object
+ *                   description: Créditos debitados e saldo restante (ausente em faixas sem custo)
+ *                   properties:
+ *                     charged:
+ *                       type: integer
+ *                     balance:
+ *                       type: integer
  *       400:
  *         description: Dados inválidos ou projeto não aceita propostas
+ *       402:
+ *         description: Créditos insuficientes (INSUFFICIENT_CREDITS); a resposta traz cost, balance e renewsAt
  *       403:
- *         description: Apenas freelancers podem enviar propostas
+ *         description: Sem a permissão proposal:create (PERMISSION_DENIED) ou email não verificado (EMAIL_NOT_VERIFIED)
  *       404:
  *         description: Projeto não encontrado
  *       401:
@@ -299,13 +462,43 @@ router.post(
  *       500:
  *         description: Erro interno do servidor
  */
-router.post(
+router.get(
 	'/:id/proposals',
 	protect,
+	authorize('proposal:manage'),
 	[
-		body('proposal').notEmpty().withMessage('Proposta é obrigatória'),
-		body('bid').isNumeric().withMessage('Lance deve ser um número'),
-		body('timeline').notEmpty().withMessage('Prazo é obrigatório'),
+		query('status')
+			.optional()
+			.isString()
+			.isIn(['pending', 'accepted', 'rejected', 'withdrawn'])
+			.withMessage('Status inválido'),
+		query('triage')
+			.optional()
+			.isString()
+			.isIn([...TRIAGE_STATES, 'none', 'all'])
+			.withMessage('Triagem inválida'),
+		query('tags').optional().isString().withMessage('Etiquetas devem ser separadas por vírgula'),
+		query('sort')
+			.optional()
+			.isString()
+			.isIn(Object.keys(PROPOSAL_SORT_FIELDS).flatMap((field) => [field, `-${field}`]))
+			.withMessage('Ordenação inválida'),
+		query(['minBid', 'maxBid', 'minRating', 'minHourlyRate', 'maxHourlyRate'])
+			.optional()
+			.isFloat({ min: 0 })
+			.withMessage('Deve ser um número maior ou igual a zero')
+			.toFloat(),
+		query('minCompletedProjects')
+			.optional()
+			.isInt({ min: 0 })
+			.withMessage('Deve ser um inteiro maior ou igual a zero')
+			.toInt(),
+		query('page').optional().isInt({ min: 1 }).withMessage('Página inválida').toInt(),
+		query('limit')
+			.optional()
+			.isInt({ min: 1, max: 100 })
+			.withMessage('Limite deve estar entre 1 e 100')
+			.toInt(),
 	],
 	async (req, res) => {
 		try {
@@ -317,10 +510,70 @@ router.post(
 				})
 			}
 
-			// Verificar se usuário é freelancer
-			if (req.user.userType !== 'freelancer') {
+			const { sort = '-createdAt', tags, page = 1, limit = 20, ...filters } = req.query
+
+			const project = await Project.findById(req.params.id).select('client')
+
+			if (!project) {
+				return res.status(404).json({
+					message: 'Projeto não encontrado',
+				})
+			}
+
+			if (!project.client.equals(req.user._id)) {
 				return res.status(403).json({
-					message: 'Apenas freelancers podem enviar propostas',
+					message: 'Apenas o cliente dono do projeto pode ver as propostas',
+				})
+			}
+
+			const match = buildProposalMatch(project._id, {
+				...filters,
+				tags: tags && normalizeTags(tags.split(',')),
+			})
+
+			// Propostas pendentes de contas suspensas ficam ocultas
+			const suspendedIds = await getSuspendedUserIds()
+			if (suspendedIds.length) {
+				match.$nor = [{ status: 'pending', freelancer: { $in: suspendedIds } }]
+			}
+
+			const [result] = await Proposal.aggregate(
+				buildProposalListPipeline({ match, filters, sort, page, limit }),
+			)
+			const total = result.total[0]?.count || 0
+
+			res.json({
+				proposals: result.proposals,
+				totalPages: Math.ceil(total / limit),
+				currentPage: page,
+				total,
+			})
+		} catch (error) {
+			console.error('Erro ao buscar propostas do projeto:', error)
+			res.status(500).json({
+				message: 'Erro interno do servidor',
+			})
+		}
+	},
+)
+
+router.post(
+	'/:id/proposals',
+	protect,
+	authorize('proposal:create'),
+	requireVerifiedEmail,
+	[
+		body('proposal').notEmpty().withMessage('Proposta é obrigatória'),
+		body('bid').isNumeric().withMessage('Lance deve ser um número'),
+		body('timeline').notEmpty().withMessage('Prazo é obrigatório'),
+	],
+	async (req, res) => {
+		try {
+			const errors = validationResult(req)
+			if (!errors.isEmpty()) {
+				return res.status(400).json({
+					message: 'Dados inválidos',
+					errors: errors.array(),
 				})
 			}
 
@@ -338,26 +591,53 @@ router.post(
 				})
 			}
 
-			// Verificar se já enviou proposta
-			const existingProposal = project.proposals.find(
-				(p) => p.freelancer.toString() === req.user._id.toString(),
-			)
-
-			if (existingProposal) {
+			// Contas com os dois papéis não podem concorrer nos próprios projetos
+			if (project.client.toString() === req.user._id.toString()) {
 				return res.status(400).json({
-					message: 'Você já enviou uma proposta para este projeto',
+					message: 'Você não pode enviar proposta para seu próprio projeto',
+					code: 'OWN_PROJECT',
 				})
 			}
 
-			project.proposals.push({
-				freelancer: req.user._id,
-				...req.body,
-			})
+			const { proposal, bid, timeline } = req.body
+			const duplicateResponse = {
+				message: 'Você já enviou uma proposta para este projeto',
+			}
+
+			// Verificado antes do débito para não cobrar créditos de uma proposta repetida
+			if (await Proposal.exists({ project: project._id, freelancer: req.user._id })) {
+				return res.status(400).json(duplicateResponse)
+			}
+
+			const proposalId = new mongoose.Types.ObjectId()
+			let charge
+			try {
+				charge = await chargeProposal(req.user._id, project, proposalId)
+			} catch (error) {
+				if (error instanceof CreditError) return respondCreditError(res, error)
+				throw error
+			}
+
+			// Uma proposta por freelancer: o índice único de Proposal recusa a segunda
+			try {
+				await Proposal.create({
+					_id: proposalId,
+					project: project._id,
+					freelancer: req.user._id,
+					proposal,
+					bid,
+					timeline,
+				})
+			} catch (error) {
+				if (charge) await refundCharge(charge, 'Proposta não enviada')
+				if (error.code !== 11000) throw error
 
-			await project.save()
+				return res.status(400).json(duplicateResponse)
+			}
 
 			res.status(201).json({
 				message: 'Proposta enviada com sucesso!',
+				...(charge && { credits: { charged: -charge.amount, balance: charge.balanceAfter } }),
 			})
 		} catch (error) {
 			console.error('Erro ao enviar proposta:', error)
@@ -368,6 +648,244 @@ router.post(
 	},
 )
 
+/**
+ * @swagger
+ * /api/projects/{id}/proposals/compare:
+ *   get:
+ *     summary: Comparar propostas
+ *     description: |
+ *       Propostas escolhidas lado a lado, na ordem dos IDs informados, com avaliação, projetos
+ *       concluídos e valor por hora do freelancer, lance e prazo. Apenas o cliente dono.
+ *     tags: [Projetos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: ids
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: De 2 a 10 IDs de propostas separados por vírgula
+ *     responses:
+ *       200:
+ *         description: Propostas comparadas
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 proposals:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ProposalComparison'
+ *       400:
+ *         description: IDs inválidos
+ *       401:
+ *         description: Não autorizado
+ *       403:
+ *         description: Apenas o cliente dono pode comparar as propostas
+ *       404:
+ *         description: Projeto ou alguma das propostas não encontrada
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.get(
+	'/:id/proposals/compare',
+	protect,
+	authorize('proposal:manage'),
+	[
+		query('ids')
+			.customSanitizer((value) => [
+				...new Set(
+					String(value ?? '')
+						.split(',')
+						.filter(Boolean),
+				),
+			])
+			.isArray({ min: 2, max: MAX_COMPARE })
+			.withMessage(`Informe de 2 a ${MAX_COMPARE} propostas`),
+		query('ids.*').isMongoId().withMessage('ID de proposta inválido'),
+	],
+	async (req, res) => {
+		try {
+			const errors = validationResult(req)
+			if (!errors.isEmpty()) {
+				return res.status(400).json({
+					message: 'Dados inválidos',
+					errors: errors.array(),
+				})
+			}
+
+			const project = await Project.findById(req.params.id).select('client')
+
+			if (!project) {
+				return res.status(404).json({
+					message: 'Projeto não encontrado',
+				})
+			}
+
+			if (!project.client.equals(req.user._id)) {
+				return res.status(403).json({
+					message: 'Apenas o cliente dono do projeto pode comparar as propostas',
+				})
+			}
+
+			const { ids } = req.query
+			const proposals = await Proposal.aggregate(buildProposalComparePipeline(project._id, ids))
+
+			const found = new Map(proposals.map((proposal) => [proposal._id.toString(), proposal]))
+			const missing = ids.filter((id) => !found.has(id))
+			if (missing.length) {
+				return res.status(404).json({
+					message: 'Propostas não encontradas neste projeto',
+					missing,
+				})
+			}
+
+			res.json({
+				proposals: ids.map((id) => found.get(id)),
+			})
+		} catch (error) {
+			console.error('Erro ao comparar propostas:', error)
+			res.status(500).json({
+				message: 'Erro interno do servidor',
+			})
+		}
+	},
+)
+
+/**
+ * @swagger
+ * /api/projects/{id}/proposals/{proposalId}/triage:
+ *   put:
+ *     summary: Triagem privada da proposta
+ *     description: |
+ *       O cliente dono marca a proposta como pré-selecionada ou arquivada (null remove a
+ *       marcação), escreve notas e define etiquetas. Apenas os campos enviados são alterados.
+ *       O freelancer nunca vê a triagem.
+ *     tags: [Projetos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: proposalId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ProposalTriage'
+ *     responses:
+ *       200:
+ *         description: Triagem atualizada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ProposalTriage'
+ *       400:
+ *         description: Dados inválidos
+ *       401:
+ *         description: Não autorizado
+ *       403:
+ *         description: Apenas o cliente dono pode fazer a triagem
+ *       404:
+ *         description: Projeto ou proposta não encontrada
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.put(
+	'/:id/proposals/:proposalId/triage',
+	protect,
+	authorize('proposal:manage'),
+	[
+		body('state')
+			.optional()
+			.custom((value) => value === null || TRIAGE_STATES.includes(value))
+			.withMessage('Estado de triagem inválido'),
+		body('note')
+			.optional()
+			.isString()
+			.trim()
+			.isLength({ max: 2000 })
+			.withMessage('Notas devem ter no máximo 2000 caracteres'),
+		body('tags')
+			.optional()
+			.isArray({ max: MAX_TAGS })
+			.withMessage(`Informe no máximo ${MAX_TAGS} etiquetas`),
+		body('tags.*')
+			.isString()
+			.trim()
+			.isLength({ min: 1, max: MAX_TAG_LENGTH })
+			.withMessage(`Etiquetas devem ter entre 1 e ${MAX_TAG_LENGTH} caracteres`),
+	],
+	async (req, res) => {
+		try {
+			const errors = validationResult(req)
+			if (!errors.isEmpty()) {
+				return res.status(400).json({
+					message: 'Dados inválidos',
+					errors: errors.array(),
+				})
+			}
+
+			const project = await Project.findById(req.params.id).select('client')
+
+			if (!project) {
+				return res.status(404).json({
+					message: 'Projeto não encontrado',
+				})
+			}
+
+			if (!project.client.equals(req.user._id)) {
+				return res.status(403).json({
+					message: 'Apenas o cliente dono do projeto pode fazer a triagem das propostas',
+				})
+			}
+
+			const proposal = await Proposal.findOne({
+				_id: req.params.proposalId,
+				project: project._id,
+			}).select('+triage')
+
+			if (!proposal) {
+				return res.status(404).json({
+					message: 'Proposta não encontrada',
+				})
+			}
+
+			const { state, note, tags } = req.body
+			const triage = proposal.triage?.toObject() || {}
+			if (state !== undefined) triage.state = state
+			if (note !== undefined) triage.note = note
+			if (tags !== undefined) triage.tags = normalizeTags(tags)
+			triage.updatedAt = new Date()
+
+			proposal.triage = triage
+			await proposal.save()
+
+			res.json(proposal.triage)
+		} catch (error) {
+			console.error('Erro ao atualizar triagem da proposta:', error)
+			res.status(500).json({
+				message: 'Erro interno do servidor',
+			})
+		}
+	},
+)
+
 /**
  * @swagger
  * /api/projects/my-projects:
@@ -395,7 +913,7 @@ router.get('/my-projects', protect, async (req, res) => {
 	try {
 		let query = {}
 
-		if (req.user.userType === 'client') {
+		if (getMarketplaceView(req) === 'client') {
 			query.client = req.user._id
 		} else {
 			query.assignedTo = req.user._id
@@ -404,6 +922,7 @@ router.get('/my-projects', protect, async (req, res) => {
 		const projects = await Project.find(query)
 			.populate('client', 'name avatar')
 			.populate('assignedTo', 'name avatar')
+			.populate('proposals')
 			.sort({ createdAt: -1 })
 
 		res.json(projects)
@@ -420,7 +939,7 @@ router.get('/my-projects', protect, async (req, res) => {
  * /api/projects/{id}:
  *   get:
  *     summary: Buscar projeto por ID
- *     description: Retorna os detalhes completos de um projeto específico
+ *     description: Retorna os detalhes completos de um projeto específico (rascunhos apenas para o cliente dono)
  *     tags: [Projetos]
  *     parameters:
  *       - in: path
@@ -441,14 +960,17 @@ router.get('/my-projects', protect, async (req, res) => {
  *       500:
  *         description: Erro interno do servidor
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', optionalAuth, async (req, res) => {
 	try {
 		const project = await Project.findById(req.params.id)
 			.populate('client', 'name avatar email')
-			.populate('proposals.freelancer', 'name avatar title rating')
+			.populate({
+				path: 'proposals',
+				populate: { path: 'freelancer', select: 'name avatar title rating' },
+			})
 			.populate('assignedTo', 'name avatar title')
 
-		if (!project) {
+		if (!project || (project.status === 'draft' && !project.client._id.equals(req.user?._id))) {
 			return res.status(404).json({
 				message: 'Projeto não encontrado',
 			})
@@ -507,7 +1029,12 @@ router.get('/:id', async (req, res) => {
  *                   type: string
  *               status:
  *                 type: string
- *                 enum: [open, in_progress, completed, cancelled]
+ *                 enum: [draft, open, in_review, in_progress, delivered, completed, cancelled, disputed]
+ *                 description: |
+ *                   Aplica a transição que leva ao status informado, se permitida
+ *                   (prefira POST /api/projects/{id}/status)
+ *               statusReason:
+ *                 type: string
  *     responses:
  *       200:
  *         description: Projeto atualizado com sucesso
@@ -516,13 +1043,15 @@ router.get('/:id', async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Project'
  *       400:
- *         description: Dados inválidos
+ *         description: Dados inválidos ou pré-condição da transição não atendida (TRANSITION_PRECONDITION_FAILED)
  *       403:
  *         description: Apenas o cliente dono pode atualizar o projeto
  *       404:
  *         description: Projeto não encontrado
  *       401:
  *         description: Não autorizado
+ *       409:
+ *         description: Transição de status não permitida (INVALID_TRANSITION)
  *       500:
  *         description: Erro interno do servidor
  */
@@ -546,10 +1075,8 @@ router.put(
 				'Outro',
 			])
 			.withMessage('Categoria inválida'),
-		body('status')
-			.optional()
-			.isIn(['open', 'in_progress', 'completed', 'cancelled'])
-			.withMessage('Status inválido'),
+		body('status').optional().isIn(PROJECT_STATUSES).withMessage('Status inválido'),
+		body('statusReason').optional().trim(),
 	],
 	async (req, res) => {
 		try {
@@ -576,14 +1103,43 @@ router.put(
 				})
 			}
 
+			// Status muda apenas por transições; marcos, propostas e contratação têm rotas próprias
+			const {
+				status,
+				statusReason,
+				statusHistory,
+				milestones,
+				proposals,
+				assignedTo,
+				client,
+				...updates
+			} = req.body
+
+			if (status && status !== project.status) {
+				const action = findActionForStatus(project, req.user, status)
+				if (!action) {
+					return res.status(409).json({
+						message: `Não é possível alterar o status de "${project.status}" para "${status}"`,
+						code: 'INVALID_TRANSITION',
+					})
+				}
+				await transitionProject(project, action, { req, reason: statusReason })
+			}
+
 			const updatedProject = await Project.findByIdAndUpdate(
 				req.params.id,
-				{ $set: req.body },
+				{ $set: updates },
 				{ new: true, runValidators: true },
-			).populate('client', 'name avatar')
+			)
+				.populate('client', 'name avatar')
+				.populate('proposals')
 
 			res.json(updatedProject)
 		} catch (error) {
+			if (error instanceof ProjectTransitionError) {
+				return respondTransitionError(res, error)
+			}
+
 			console.error('Erro ao atualizar projeto:', error)
 			res.status(500).json({
 				message: 'Erro interno do servidor',
@@ -632,11 +1188,11 @@ router.put(
  *             schema:
  *               $ref: '#/components/schemas/Project'
  *       400:
- *         description: Dados inválidos
+ *         description: Dados inválidos, proposta de outro freelancer ou não pendente, ou atribuição ao próprio cliente (OWN_PROJECT)
  *       403:
  *         description: Apenas o cliente dono pode atribuir o projeto
  *       404:
- *         description: Projeto ou freelancer não encontrado
+ *         description: Projeto, freelancer ou proposta não encontrado
  *       401:
  *         description: Não autorizado
  *       500:
@@ -646,8 +1202,8 @@ router.patch(
 	'/:id/assign',
 	protect,
 	[
-		body('freelancerId').notEmpty().withMessage('ID do freelancer é obrigatório'),
-		body('proposalId').notEmpty().withMessage('ID da proposta é obrigatório'),
+		body('freelancerId').isMongoId().withMessage('ID do freelancer inválido'),
+		body('proposalId').isMongoId().withMessage('ID da proposta inválido'),
 	],
 	async (req, res) => {
 		try {
@@ -676,10 +1232,18 @@ router.patch(
 				})
 			}
 
+			// Contas com os dois papéis não podem ser contratadas nos próprios projetos
+			if (project.client.equals(freelancerId)) {
+				return res.status(400).json({
+					message: 'Você não pode atribuir o projeto a si mesmo',
+					code: 'OWN_PROJECT',
+				})
+			}
+
 			// Verificar se o freelancer existe
 			const freelancer = await User.findOne({
 				_id: freelancerId,
-				userType: 'freelancer',
+				...User.withRole('freelancer'),
 			})
 
 			if (!freelancer) {
@@ -688,25 +1252,70 @@ router.patch(
 				})
 			}
 
-			// Atualizar status da proposta e atribuir projeto
+			const proposal = await Proposal.findOne({ _id: proposalId, project: project._id })
+
+			if (!proposal) {
+				return res.status(404).json({
+					message: 'Proposta não encontrada',
+				})
+			}
+
+			if (!proposal.freelancer.equals(freelancerId)) {
+				return res.status(400).json({
+					message: 'A proposta não pertence ao freelancer informado',
+				})
+			}
+
+			if (proposal.status !== 'pending') {
+				return res.status(400).json({
+					message: 'Apenas propostas pendentes podem ser aceitas',
+				})
+			}
+
+			const before = { assignedTo: project.assignedTo, status: project.status }
+
+			// Atribuir projeto e aceitar a proposta
 			project.assignedTo = freelancerId
-			project.status = 'in_progress'
 
-			// Atualizar status da proposta aceita
-			const proposal = project.proposals.id(proposalId)
-			if (proposal) {
-				proposal.status = 'accepted'
+			// Na primeira contratação o projeto passa para "em andamento"; reatribuições
+			// de um projeto em andamento mantêm o status e recusam a proposta aceita antes
+			if (project.status === 'in_progress') {
+				await project.save()
+				await Proposal.updateMany(
+					{ project: project._id, status: 'accepted', _id: { $ne: proposal._id } },
+					{ status: 'rejected' },
+				)
+			} else {
+				await transitionProject(project, 'assign', { req, proposalId })
 			}
 
-			await project.save()
+			proposal.status = 'accepted'
+			await proposal.save()
+
+			await recordAuditEvent(req, {
+				action: before.assignedTo ? 'project.reassigned' : 'project.assigned',
+				target: { type: 'Project', id: project._id },
+				changes: {
+					before,
+					after: { assignedTo: project.assignedTo, status: project.status },
+				},
+				metadata: { proposalId },
+			})
 
 			const updatedProject = await Project.findById(project._id)
 				.populate('client', 'name avatar')
 				.populate('assignedTo', 'name avatar title')
-				.populate('proposals.freelancer', 'name avatar title')
+				.populate({
+					path: 'proposals',
+					populate: { path: 'freelancer', select: 'name avatar title' },
+				})
 
 			res.json(updatedProject)
 		} catch (error) {
+			if (error instanceof ProjectTransitionError) {
+				return respondTransitionError(res, error)
+			}
+
 			console.error('Erro ao atribuir projeto:', error)
 			res.status(500).json({
 				message: 'Erro interno do servidor',
@@ -715,6 +1324,193 @@ router.patch(
 	},
 )
 
+/**
+ * @swagger
+ * /api/projects/{id}/status:
+ *   get:
+ *     summary: Status e histórico do projeto
+ *     description: Retorna o status atual, o histórico de transições e as ações que o usuário logado pode executar
+ *     tags: [Projetos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Status do projeto
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                 history:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ProjectStatusChange'
+ *                 availableActions:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       action:
+ *                         type: string
+ *                       to:
+ *                         type: string
+ *       401:
+ *         description: Não autorizado
+ *       403:
+ *         description: Usuário não participa do projeto
+ *       404:
+ *         description: Projeto não encontrado
+ *       500:
+ *         description: Erro interno do servidor
+ *   post:
+ *     summary: Alterar status do projeto
+ *     description: |
+ *       Executa uma transição do ciclo de vida do projeto:
+ *       - publish (draft → open), review (open → in_review), reopen (in_review → open): cliente
+ *       - cancel (draft, open ou in_review → cancelled): cliente ou equipe
+ *       - dispute (in_progress ou delivered → disputed): cliente ou freelancer, com motivo
+ *       - resolve_continue, resolve_complete, resolve_cancel: equipe (project:moderate), com motivo
+ *
+ *       A contratação (assign) acontece ao aceitar uma proposta; entrega, revisão e conclusão
+ *       (deliver, request_revision, complete) pelas rotas de entregas; e a conclusão de projetos
+ *       com marcos, na aprovação do último marco.
+ *     tags: [Projetos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - action
+ *             properties:
+ *               action:
+ *                 type: string
+ *                 enum: [publish, review, reopen, cancel, dispute, resolve_continue, resolve_complete, resolve_cancel]
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Status alterado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Project'
+ *       400:
+ *         description: Ação inválida (INVALID_ACTION), motivo obrigatório (REASON_REQUIRED) ou pré-condição não atendida (TRANSITION_PRECONDITION_FAILED)
+ *       401:
+ *         description: Não autorizado
+ *       403:
+ *         description: Usuário não pode executar a ação (TRANSITION_FORBIDDEN)
+ *       404:
+ *         description: Projeto não encontrado
+ *       409:
+ *         description: Ação não permitida no status atual (INVALID_TRANSITION)
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.get('/:id/status', protect, async (req, res) => {
+	try {
+		const project = await Project.findById(req.params.id)
+			.select('client assignedTo status statusHistory')
+			.populate('statusHistory.actor', 'name')
+
+		if (!project) {
+			return res.status(404).json({
+				message: 'Projeto não encontrado',
+			})
+		}
+
+		const isParticipant =
+			project.client.equals(req.user._id) || project.assignedTo?.equals(req.user._id)
+
+		if (!isParticipant && !hasPermission(req.user, 'project:moderate')) {
+			return res.status(403).json({
+				message: 'Apenas os participantes do projeto podem ver o histórico',
+			})
+		}
+
+		res.json({
+			status: project.status,
+			history: project.statusHistory,
+			availableActions: getAvailableActions(project, req.user),
+		})
+	} catch (error) {
+		console.error('Erro ao buscar status do projeto:', error)
+		res.status(500).json({
+			message: 'Erro interno do servidor',
+		})
+	}
+})
+
+router.post(
+	'/:id/status',
+	protect,
+	[body('action').notEmpty().withMessage('Ação é obrigatória'), body('reason').optional().trim()],
+	async (req, res) => {
+		try {
+			const errors = validationResult(req)
+			if (!errors.isEmpty()) {
+				return res.status(400).json({
+					message: 'Dados inválidos',
+					errors: errors.array(),
+				})
+			}
+
+			const project = await Project.findById(req.params.id)
+
+			if (!project) {
+				return res.status(404).json({
+					message: 'Projeto não encontrado',
+				})
+			}
+
+			const { action, reason } = req.body
+
+			// Contratação, entregas e conclusão por marcos têm fluxos próprios
+			if (PROJECT_TRANSITIONS[action]?.internal) {
+				return res.status(400).json({
+					message: 'Esta ação é executada pelos fluxos de propostas, entregas e marcos',
+					code: 'INVALID_ACTION',
+				})
+			}
+
+			await transitionProject(project, action, { req, reason })
+
+			const updatedProject = await Project.findById(project._id)
+				.populate('client', 'name avatar')
+				.populate('assignedTo', 'name avatar title')
+
+			res.json(updatedProject)
+		} catch (error) {
+			if (error instanceof ProjectTransitionError) {
+				return respondTransitionError(res, error)
+			}
+
+			console.error('Erro ao alterar status do projeto:', error)
+			res.status(500).json({
+				message: 'Erro interno do servidor',
+			})
+		}
+	},
+)
+
 /**
  * @swagger
  * /api/projects/{id}:
@@ -768,19 +1564,20 @@ router.delete('/:id', protect, async (req, res) => {
 		}
 
 		// Verificar se tem propostas
-		if (project.proposals.length > 0) {
+		if (await Proposal.exists({ project: project._id })) {
 			return res.status(400).json({
 				message: 'Não é possível excluir projeto com propostas. Cancele o projeto primeiro.',
 			})
 		}
 
 		// Verificar se está em andamento
-		if (project.status === 'in_progress') {
+		if (['in_progress', 'delivered', 'disputed'].includes(project.status)) {
 			return res.status(400).json({
 				message: 'Não é possível excluir projeto em andamento. Cancele o projeto primeiro.',
 			})
 		}
 
+		await removeProjectAttachments(project._id)
 		await Project.findByIdAndDelete(req.params.id)
 
 		res.json({
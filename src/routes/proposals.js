@@ -1,7 +1,16 @@
 // routes/proposals.js
 import express from 'express'
+import { body, validationResult } from 'express-validator'
 import { protect } from '../middleware/auth.js'
+import { authorize } from '../middleware/authorize.js'
 import Project from '../models/Project.js'
+import Proposal from '../models/Proposal.js'
+import {
+	ProjectTransitionError,
+	respondTransitionError,
+	transitionProject,
+} from '../services/projectLifecycle.js'
+import { cancelOpenOffers } from '../services/negotiation.js'
 
 const router = express.Router()
 
@@ -19,7 +28,7 @@ const router = express.Router()
  *         name: status
  *         schema:
  *           type: string
- *           enum: [pending, accepted, rejected]
+ *           enum: [pending, accepted, rejected, withdrawn]
  *         description: Filtrar por status da proposta
  *       - in: query
  *         name: page
@@ -67,83 +76,39 @@ const router = express.Router()
  *                   type: integer
  *       401:
  *         description: Não autorizado
+ *       403:
+ *         description: Sem a permissão proposal:read:own (PERMISSION_DENIED)
  *       500:
  *         description: Erro interno do servidor
  */
-router.get('/my-proposals', protect, async (req, res) => {
+router.get('/my-proposals', protect, authorize('proposal:read:own'), async (req, res) => {
 	try {
 		const { status, page = 1, limit = 10 } = req.query
 
-		// Verificar se é freelancer
-		if (req.user.userType !== 'freelancer') {
-			return res.status(403).json({
-				message: 'Apenas freelancers podem acessar esta rota',
-			})
-		}
-
-		let matchQuery = {
-			'proposals.freelancer': req.user._id,
+		let query = {
+			freelancer: req.user._id,
 		}
 
 		if (status) {
-			matchQuery['proposals.status'] = status
+			query.status = status
 		}
 
-		const projects = await Project.aggregate([
-			{ $match: matchQuery },
-			{ $unwind: '$proposals' },
-			{ $match: { 'proposals.freelancer': req.user._id } },
-			{ $sort: { 'proposals.createdAt': -1 } },
-			{ $skip: (page - 1) * limit },
-			{ $limit: parseInt(limit) },
-			{
-				$lookup: {
-					from: 'users',
-					localField: 'client',
-					foreignField: '_id',
-					as: 'clientInfo',
-				},
-			},
-			{
-				$project: {
-					_id: '$proposals._id',
-					project: {
-						_id: '$_id',
-						title: '$title',
-						description: '$description',
-						budget: '$budget',
-						category: '$category',
-						status: '$status',
-						client: { $arrayElemAt: ['$clientInfo', 0] },
-					},
-					proposal: '$proposals.proposal',
-					bid: '$proposals.bid',
-					timeline: '$proposals.timeline',
-					status: '$proposals.status',
-					createdAt: '$proposals.createdAt',
-				},
-			},
-		])
+		const proposals = await Proposal.find(query)
+			.select('project proposal bid timeline status revision editedAt createdAt')
+			.populate({
+				path: 'project',
+				select: 'title description budget category status client',
+				populate: { path: 'client', select: 'name avatar' },
+			})
+			.sort({ createdAt: -1 })
+			.limit(limit * 1)
+			.skip((page - 1) * limit)
 
 		// Contar total
-		const totalMatchQuery = {
-			'proposals.freelancer': req.user._id,
-		}
-		if (status) {
-			totalMatchQuery['proposals.status'] = status
-		}
-
-		const totalProjects = await Project.aggregate([
-			{ $match: totalMatchQuery },
-			{ $unwind: '$proposals' },
-			{ $match: { 'proposals.freelancer': req.user._id } },
-			{ $count: 'total' },
-		])
-
-		const total = totalProjects[0]?.total || 0
+		const total = await Proposal.countDocuments(query)
 
 		res.json({
-			proposals: projects,
+			proposals,
 			totalPages: Math.ceil(total / limit),
 			currentPage: parseInt(page),
 			total,
@@ -193,71 +158,332 @@ router.get('/my-proposals', protect, async (req, res) => {
  *       200:
  *         description: Proposta atualizada com sucesso
  *       400:
- *         description: Ação inválida ou proposta não encontrada
+ *         description: Ação inválida ou proposta não está mais pendente
  *       403:
  *         description: Apenas o cliente dono pode gerenciar propostas
  *       404:
  *         description: Projeto não encontrado
+ *       409:
+ *         description: Projeto não está mais aceitando contratações (INVALID_TRANSITION)
  *       500:
  *         description: Erro interno do servidor
  */
-router.put('/projects/:id/proposals/:proposalId', protect, async (req, res) => {
-	try {
-		const { action } = req.body
-		const { id: projectId, proposalId } = req.params
+router.put(
+	'/projects/:id/proposals/:proposalId',
+	protect,
+	authorize('proposal:manage'),
+	async (req, res) => {
+		try {
+			const { action } = req.body
+			const { id: projectId, proposalId } = req.params
 
-		if (!['accept', 'reject'].includes(action)) {
-			return res.status(400).json({
-				message: 'Ação inválida. Use "accept" ou "reject"',
+			if (!['accept', 'reject'].includes(action)) {
+				return res.status(400).json({
+					message: 'Ação inválida. Use "accept" ou "reject"',
+				})
+			}
+
+			const project = await Project.findById(projectId)
+
+			if (!project) {
+				return res.status(404).json({
+					message: 'Projeto não encontrado',
+				})
+			}
+
+			// Verificar se é o cliente dono
+			if (project.client.toString() !== req.user._id.toString()) {
+				return res.status(403).json({
+					message: 'Apenas o cliente dono do projeto pode gerenciar propostas',
+				})
+			}
+
+			// Encontrar a proposta
+			const proposal = await Proposal.findOne({ _id: proposalId, project: project._id })
+			if (!proposal) {
+				return res.status(404).json({
+					message: 'Proposta não encontrada',
+				})
+			}
+
+			if (proposal.status !== 'pending') {
+				return res.status(400).json({
+					message: 'Esta proposta não está mais pendente',
+				})
+			}
+
+			// Se aceitou, atribuir projeto ao freelancer (as demais propostas são recusadas na transição)
+			if (action === 'accept') {
+				project.assignedTo = proposal.freelancer
+				await transitionProject(project, 'assign', { req, proposalId: proposal._id })
+			}
+
+			// Atualizar status da proposta
+			proposal.status = action === 'accept' ? 'accepted' : 'rejected'
+			await proposal.save()
+			await cancelOpenOffers({ proposal: proposal._id })
+
+			res.json({
+				message: `Proposta ${action === 'accept' ? 'aceita' : 'recusada'} com sucesso`,
+			})
+		} catch (error) {
+			if (error instanceof ProjectTransitionError) {
+				return respondTransitionError(res, error)
+			}
+
+			console.error('Erro ao atualizar proposta:', error)
+			res.status(500).json({
+				message: 'Erro interno do servidor',
+			})
+		}
+	},
+)
+
+/**
+ * @swagger
+ * /api/proposals/{proposalId}:
+ *   put:
+ *     summary: Editar proposta
+ *     description: |
+ *       Freelancer autor altera texto, lance ou prazo enquanto a proposta está pendente.
+ *       A versão anterior fica no histórico de revisões, visível para o cliente.
+ *     tags: [Propostas]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: proposalId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               proposal:
+ *                 type: string
+ *               bid:
+ *                 type: number
+ *                 example: 3200
+ *               timeline:
+ *                 type: string
+ *                 example: "2 semanas"
+ *     responses:
+ *       200:
+ *         description: Proposta atualizada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Proposal'
+ *       400:
+ *         description: Dados inválidos, nenhuma alteração, proposta não está mais pendente ou termos já acordados
+ *       401:
+ *         description: Não autorizado
+ *       403:
+ *         description: Apenas o autor pode editar a proposta
+ *       404:
+ *         description: Proposta não encontrada
+ *       500:
+ *         description: Erro interno do servidor
+ *   delete:
+ *     summary: Retirar proposta
+ *     description: Freelancer autor retira a proposta enquanto ela está pendente (status "withdrawn")
+ *     tags: [Propostas]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: proposalId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Proposta retirada
+ *       400:
+ *         description: Proposta não está mais pendente
+ *       401:
+ *         description: Não autorizado
+ *       403:
+ *         description: Apenas o autor pode retirar a proposta
+ *       404:
+ *         description: Proposta não encontrada
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.put(
+	'/:proposalId',
+	protect,
+	authorize('proposal:create'),
+	[
+		body('proposal').optional().trim().notEmpty().withMessage('Proposta não pode estar vazia'),
+		body('bid').optional().isNumeric().withMessage('Lance deve ser um número').toFloat(),
+		body('timeline').optional().trim().notEmpty().withMessage('Prazo não pode estar vazio'),
+	],
+	async (req, res) => {
+		try {
+			const errors = validationResult(req)
+			if (!errors.isEmpty()) {
+				return res.status(400).json({
+					message: 'Dados inválidos',
+					errors: errors.array(),
+				})
+			}
+
+			const proposal = await Proposal.findById(req.params.proposalId).select('+revisions')
+
+			if (!proposal) {
+				return res.status(404).json({
+					message: 'Proposta não encontrada',
+				})
+			}
+
+			if (!proposal.freelancer.equals(req.user._id)) {
+				return res.status(403).json({
+					message: 'Apenas o autor pode editar a proposta',
+				})
+			}
+
+			if (proposal.status !== 'pending') {
+				return res.status(400).json({
+					message: 'Apenas propostas pendentes podem ser editadas',
+				})
+			}
+
+			if (proposal.agreedAt) {
+				return res.status(400).json({
+					message: 'Os termos desta proposta já foram acordados na negociação',
+				})
+			}
+
+			const { proposal: text, bid, timeline } = req.body
+			if (!proposal.revise({ proposal: text, bid, timeline })) {
+				return res.status(400).json({
+					message: 'Nenhuma alteração informada',
+				})
+			}
+
+			await proposal.save()
+
+			const { revisions, ...updated } = proposal.toObject()
+			res.json(updated)
+		} catch (error) {
+			console.error('Erro ao editar proposta:', error)
+			res.status(500).json({
+				message: 'Erro interno do servidor',
 			})
 		}
+	},
+)
 
-		const project = await Project.findById(projectId)
+router.delete('/:proposalId', protect, authorize('proposal:create'), async (req, res) => {
+	try {
+		const proposal = await Proposal.findById(req.params.proposalId)
 
-		if (!project) {
+		if (!proposal) {
 			return res.status(404).json({
-				message: 'Projeto não encontrado',
+				message: 'Proposta não encontrada',
 			})
 		}
 
-		// Verificar se é o cliente dono
-		if (project.client.toString() !== req.user._id.toString()) {
+		if (!proposal.freelancer.equals(req.user._id)) {
 			return res.status(403).json({
-				message: 'Apenas o cliente dono do projeto pode gerenciar propostas',
+				message: 'Apenas o autor pode retirar a proposta',
 			})
 		}
 
-		// Encontrar a proposta
-		const proposal = project.proposals.id(proposalId)
+		if (proposal.status !== 'pending') {
+			return res.status(400).json({
+				message: 'Apenas propostas pendentes podem ser retiradas',
+			})
+		}
+
+		proposal.status = 'withdrawn'
+		proposal.withdrawnAt = new Date()
+		await proposal.save()
+		await cancelOpenOffers({ proposal: proposal._id })
+
+		res.json({
+			message: 'Proposta retirada com sucesso',
+		})
+	} catch (error) {
+		console.error('Erro ao retirar proposta:', error)
+		res.status(500).json({
+			message: 'Erro interno do servidor',
+		})
+	}
+})
+
+/**
+ * @swagger
+ * /api/proposals/{proposalId}/revisions:
+ *   get:
+ *     summary: Histórico de revisões da proposta
+ *     description: Versão atual e versões anteriores da proposta (mais recente primeiro), para o cliente do projeto e o autor
+ *     tags: [Propostas]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: proposalId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Revisões da proposta
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 current:
+ *                   $ref: '#/components/schemas/Proposal'
+ *                 revisions:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ProposalRevision'
+ *       401:
+ *         description: Não autorizado
+ *       403:
+ *         description: Apenas o cliente do projeto e o autor podem ver o histórico
+ *       404:
+ *         description: Proposta não encontrada
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.get('/:proposalId/revisions', protect, async (req, res) => {
+	try {
+		const proposal = await Proposal.findById(req.params.proposalId)
+			.select('+revisions')
+			.populate('project', 'client')
+
 		if (!proposal) {
 			return res.status(404).json({
 				message: 'Proposta não encontrada',
 			})
 		}
 
-		// Atualizar status da proposta
-		proposal.status = action === 'accept' ? 'accepted' : 'rejected'
-
-		// Se aceitou, atribuir projeto ao freelancer
-		if (action === 'accept') {
-			project.assignedTo = proposal.freelancer
-			project.status = 'in_progress'
-
-			// Rejeitar outras propostas
-			project.proposals.forEach((p) => {
-				if (p._id.toString() !== proposalId && p.status === 'pending') {
-					p.status = 'rejected'
-				}
+		if (
+			!proposal.freelancer.equals(req.user._id) &&
+			!proposal.project?.client.equals(req.user._id)
+		) {
+			return res.status(403).json({
+				message: 'Apenas o cliente do projeto e o autor podem ver o histórico',
 			})
 		}
 
-		await project.save()
+		const { revisions, ...current } = proposal.toObject()
 
 		res.json({
-			message: `Proposta ${action === 'accept' ? 'aceita' : 'recusada'} com sucesso`,
+			current: { ...current, project: proposal.project._id },
+			revisions: revisions.reverse(),
 		})
 	} catch (error) {
-		console.error('Erro ao atualizar proposta:', error)
+		console.error('Erro ao buscar revisões da proposta:', error)
 		res.status(500).json({
 			message: 'Erro interno do servidor',
 		})
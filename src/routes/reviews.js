@@ -2,6 +2,7 @@
 import express from 'express'
 import { body, validationResult } from 'express-validator'
 import { protect } from '../middleware/auth.js'
+import { authorize } from '../middleware/authorize.js'
 import Review from '../models/Review.js'
 import Project from '../models/Project.js'
 import User from '../models/User.js'
@@ -54,6 +55,7 @@ const router = express.Router()
 router.post(
 	'/project/:projectId',
 	protect,
+	authorize('review:create'),
 	[
 		body('rating').isInt({ min: 1, max: 5 }).withMessage('Avaliação deve ser entre 1 e 5'),
 		body('comment').notEmpty().withMessage('Comentário é obrigatório'),
@@ -49,7 +49,7 @@ router.get('/', async (req, res) => {
 		const { search, limit = 20 } = req.query
 
 		const aggregation = [
-			{ $match: { userType: 'freelancer', skills: { $exists: true, $ne: [] } } },
+			{ $match: { ...User.withRole('freelancer'), skills: { $exists: true, $ne: [] } } },
 			{ $unwind: '$skills' },
 			{
 				$group: {
@@ -72,7 +72,7 @@ router.get('/', async (req, res) => {
 		if (search) {
 			aggregation.unshift({
 				$match: {
-					userType: 'freelancer',
+					...User.withRole('freelancer'),
 					skills: { $regex: search, $options: 'i' },
 				},
 			})
@@ -113,7 +113,7 @@ router.get('/popular', async (req, res) => {
 		const { limit = 10 } = req.query
 
 		const popularSkills = await User.aggregate([
-			{ $match: { userType: 'freelancer', skills: { $exists: true, $ne: [] } } },
+			{ $match: { ...User.withRole('freelancer'), skills: { $exists: true, $ne: [] } } },
 			{ $unwind: '$skills' },
 			{
 				$group: {
@@ -1,11 +1,36 @@
 // routes/users.js
 import express from 'express'
 import { body, validationResult } from 'express-validator'
-import { protect } from '../middleware/auth.js'
+import { denyImpersonation, protect } from '../middleware/auth.js'
+import CreditTransaction from '../models/CreditTransaction.js'
+import DataExport from '../models/DataExport.js'
+import Suspension from '../models/Suspension.js'
 import User from '../models/User.js'
+import { getDeletionCoolingOffMs } from '../services/accountDeletion.js'
+import { diffChanges, recordAuditEvent } from '../services/audit.js'
+import {
+	ensureMonthlyCredits,
+	getCostTiers,
+	getMonthlyAllowance,
+	getNextRenewal,
+} from '../services/credits.js'
+import {
+	formatDataExport,
+	getDownloadPath,
+	getExportFilePath,
+	runDataExport,
+} from '../services/dataExport.js'
+import { sendAccountDeletionScheduledEmail } from '../services/emails.js'
+import { formatSuspension } from '../services/suspension.js'
+import { verifySignedUrl } from '../utils/signedUrl.js'
 
 const router = express.Router()
 
+// Campos exibidos nos perfis públicos (busca e detalhe)
+const FREELANCER_PUBLIC_FIELDS =
+	'name avatar title bio hourlyRate skills portfolio experience rating completedProjects location createdAt'
+const CLIENT_PUBLIC_FIELDS = 'name email avatar company website location createdAt'
+
 /**
  * @swagger
  * /api/users/profile:
@@ -131,6 +156,15 @@ router.put(
 				{ new: true, runValidators: true },
 			)
 
+			const changes = diffChanges(req.user, user, Object.keys(updateData))
+			if (changes) {
+				await recordAuditEvent(req, {
+					action: 'user.profile_updated',
+					target: { type: 'User', id: user._id },
+					changes,
+				})
+			}
+
 			res.json(user)
 		} catch (error) {
 			console.error('Erro ao atualizar perfil:', error)
@@ -141,12 +175,706 @@ router.put(
 	},
 )
 
+/**
+ * @swagger
+ * /api/users/me/roles:
+ *   post:
+ *     summary: Habilitar papel na conta
+ *     description: |
+ *       Adiciona o papel de cliente ou freelancer à conta logada, permitindo atuar
+ *       nos dois lados do marketplace com o mesmo email. Use PUT /api/auth/active-role
+ *       para alternar entre os papéis.
+ *     tags: [Usuários]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [freelancer, client]
+ *     responses:
+ *       200:
+ *         description: Papel habilitado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 roles:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 activeRole:
+ *                   type: string
+ *       400:
+ *         description: Dados inválidos ou papel já habilitado
+ *       401:
+ *         description: Não autorizado
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.post(
+	'/me/roles',
+	protect,
+	denyImpersonation,
+	[body('role').isIn(['freelancer', 'client']).withMessage('Papel inválido')],
+	async (req, res) => {
+		try {
+			const errors = validationResult(req)
+			if (!errors.isEmpty()) {
+				return res.status(400).json({
+					message: 'Dados inválidos',
+					errors: errors.array(),
+				})
+			}
+
+			const { role } = req.body
+			const user = req.user
+
+			if (user.hasRole(role)) {
+				return res.status(400).json({
+					message: 'Sua conta já possui este papel',
+				})
+			}
+
+			user.roles.push(role)
+			if (!user.activeRole) {
+				user.activeRole = role
+			}
+			await user.save()
+
+			res.json({
+				message: 'Papel habilitado. Alterne o papel ativo para utilizá-lo.',
+				roles: user.roles,
+				activeRole: req.activeRole,
+			})
+		} catch (error) {
+			console.error('Erro ao habilitar papel:', error)
+			res.status(500).json({
+				message: 'Erro interno do servidor',
+			})
+		}
+	},
+)
+
+/**
+ * @swagger
+ * /api/users/me:
+ *   delete:
+ *     summary: Solicitar exclusão da conta
+ *     description: |
+ *       Agenda a exclusão da conta após o período de carência (ACCOUNT_DELETION_COOLING_OFF_DAYS,
+ *       padrão 7 dias), que pode ser cancelada até lá. Na exclusão, nome, email, telefone, bio,
+ *       avatar e demais dados pessoais são anonimizados; pagamentos e avaliações são mantidos
+ *       apontando para um "usuário excluído"; projetos abertos são cancelados e propostas
+ *       pendentes são recusadas.
+ *     tags: [Usuários]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 format: password
+ *                 description: Obrigatória para contas com senha
+ *     responses:
+ *       202:
+ *         description: Exclusão agendada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 scheduledFor:
+ *                   type: string
+ *                   format: date-time
+ *       401:
+ *         description: Não autorizado ou senha incorreta (INVALID_PASSWORD)
+ *       409:
+ *         description: Exclusão já agendada
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.delete('/me', protect, denyImpersonation, async (req, res) => {
+	try {
+		const user = req.user
+
+		if (user.password && !(await user.correctPassword(req.body?.password || '', user.password))) {
+			return res.status(401).json({
+				message: 'Senha incorreta',
+				code: 'INVALID_PASSWORD',
+			})
+		}
+
+		if (user.deletion?.scheduledFor) {
+			return res.status(409).json({
+				message: 'A exclusão da conta já está agendada',
+				scheduledFor: user.deletion.scheduledFor,
+			})
+		}
+
+		const scheduledFor = new Date(Date.now() + getDeletionCoolingOffMs())
+		user.deletion = { requestedAt: new Date(), scheduledFor }
+		await user.save()
+
+		await recordAuditEvent(req, {
+			action: 'account.deletion_requested',
+			target: { type: 'User', id: user._id },
+			metadata: { scheduledFor },
+		})
+
+		try {
+			await sendAccountDeletionScheduledEmail(user, scheduledFor)
+		} catch (error) {
+			console.error('Erro ao enviar email de exclusão agendada:', error)
+		}
+
+		res.status(202).json({
+			message: 'Exclusão da conta agendada. Você pode cancelá-la até a data prevista.',
+			scheduledFor,
+		})
+	} catch (error) {
+		console.error('Erro ao agendar exclusão da conta:', error)
+		res.status(500).json({
+			message: 'Erro interno do servidor',
+		})
+	}
+})
+
+/**
+ * @swagger
+ * /api/users/me/deletion/cancel:
+ *   post:
+ *     summary: Cancelar exclusão da conta
+ *     description: Cancela a exclusão agendada enquanto o período de carência não terminou
+ *     tags: [Usuários]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Exclusão cancelada
+ *       400:
+ *         description: Nenhuma exclusão agendada
+ *       401:
+ *         description: Não autorizado
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.post('/me/deletion/cancel', protect, denyImpersonation, async (req, res) => {
+	try {
+		const user = req.user
+
+		if (!user.deletion?.scheduledFor) {
+			return res.status(400).json({
+				message: 'Nenhuma exclusão de conta agendada',
+			})
+		}
+
+		user.deletion = undefined
+		await user.save()
+
+		await recordAuditEvent(req, {
+			action: 'account.deletion_cancelled',
+			target: { type: 'User', id: user._id },
+		})
+
+		res.json({
+			message: 'Exclusão da conta cancelada',
+		})
+	} catch (error) {
+		console.error('Erro ao cancelar exclusão da conta:', error)
+		res.status(500).json({
+			message: 'Erro interno do servidor',
+		})
+	}
+})
+
+/**
+ * @swagger
+ * /api/users/me/credits:
+ *   get:
+ *     summary: Créditos de proposta
+ *     description: |
+ *       Saldo de créditos do mês, cota mensal, data da próxima renovação, custo por faixa de
+ *       orçamento do projeto e o extrato de movimentações (mais recente primeiro). O saldo não
+ *       utilizado expira na renovação.
+ *     tags: [Usuários]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Saldo e extrato
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 balance:
+ *                   type: integer
+ *                 period:
+ *                   type: string
+ *                   example: "2026-10"
+ *                 monthlyAllowance:
+ *                   type: integer
+ *                 renewsAt:
+ *                   type: string
+ *                   format: date-time
+ *                 costTiers:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       minBudget:
+ *                         type: number
+ *                       cost:
+ *                         type: integer
+ *                 transactions:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CreditTransaction'
+ *                 totalPages:
+ *                   type: integer
+ *                 currentPage:
+ *                   type: integer
+ *                 total:
+ *                   type: integer
+ *       401:
+ *         description: Não autorizado
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.get('/me/credits', protect, async (req, res) => {
+	try {
+		const { page = 1, limit = 20 } = req.query
+
+		await ensureMonthlyCredits(req.user._id)
+
+		const [user, transactions, total] = await Promise.all([
+			User.findById(req.user._id).select('credits'),
+			CreditTransaction.find({ user: req.user._id })
+				.select('-user')
+				.populate('project', 'title')
+				.sort({ createdAt: -1 })
+				.limit(limit * 1)
+				.skip((page - 1) * limit),
+			CreditTransaction.countDocuments({ user: req.user._id }),
+		])
+
+		res.json({
+			balance: user.credits.balance,
+			period: user.credits.period,
+			monthlyAllowance: getMonthlyAllowance(),
+			renewsAt: getNextRenewal(),
+			costTiers: getCostTiers(),
+			transactions,
+			totalPages: Math.ceil(total / limit),
+			currentPage: parseInt(page),
+			total,
+		})
+	} catch (error) {
+		console.error('Erro ao buscar créditos:', error)
+		res.status(500).json({
+			message: 'Erro interno do servidor',
+		})
+	}
+})
+
+/**
+ * @swagger
+ * /api/users/me/suspension:
+ *   get:
+ *     summary: Minha suspensão
+ *     description: |
+ *       Retorna a suspensão vigente (motivo, prazo e situação do recurso) e o histórico de
+ *       suspensões da conta. Disponível mesmo com a conta suspensa.
+ *     tags: [Usuários]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Situação da conta
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 suspended:
+ *                   type: boolean
+ *                 current:
+ *                   $ref: '#/components/schemas/Suspension'
+ *                 history:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Suspension'
+ *       401:
+ *         description: Não autorizado
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.get('/me/suspension', protect, async (req, res) => {
+	try {
+		const suspensions = await Suspension.find({ user: req.user._id }).sort({ createdAt: -1 })
+		const current = req.user.isSuspended()
+			? suspensions.find((suspension) => suspension._id.equals(req.user.suspension.record))
+			: null
+
+		res.json({
+			suspended: Boolean(current),
+			current: current ? formatSuspension(current) : null,
+			history: suspensions.map(formatSuspension),
+		})
+	} catch (error) {
+		console.error('Erro ao buscar suspensão:', error)
+		res.status(500).json({
+			message: 'Erro interno do servidor',
+		})
+	}
+})
+
+/**
+ * @swagger
+ * /api/users/me/suspension/appeal:
+ *   post:
+ *     summary: Recorrer da suspensão
+ *     description: Envia um recurso contra a suspensão vigente para análise da equipe (um recurso por suspensão)
+ *     tags: [Usuários]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - message
+ *             properties:
+ *               message:
+ *                 type: string
+ *                 example: "O pagamento foi feito fora da plataforma a pedido do cliente..."
+ *     responses:
+ *       201:
+ *         description: Recurso enviado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Suspension'
+ *       400:
+ *         description: Dados inválidos ou conta não suspensa
+ *       401:
+ *         description: Não autorizado
+ *       409:
+ *         description: Já existe um recurso para esta suspensão
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.post(
+	'/me/suspension/appeal',
+	protect,
+	denyImpersonation,
+	[
+		body('message')
+			.trim()
+			.isLength({ min: 20, max: 2000 })
+			.withMessage('O recurso deve ter entre 20 e 2000 caracteres'),
+	],
+	async (req, res) => {
+		try {
+			const errors = validationResult(req)
+			if (!errors.isEmpty()) {
+				return res.status(400).json({
+					message: 'Dados inválidos',
+					errors: errors.array(),
+				})
+			}
+
+			if (!req.user.isSuspended()) {
+				return res.status(400).json({
+					message: 'Sua conta não está suspensa',
+				})
+			}
+
+			const suspension = await Suspension.findById(req.user.suspension.record)
+
+			if (suspension.appeal?.status) {
+				return res.status(409).json({
+					message: 'Você já enviou um recurso para esta suspensão',
+					appeal: formatSuspension(suspension).appeal,
+				})
+			}
+
+			suspension.appeal = {
+				message: req.body.message,
+				submittedAt: new Date(),
+				status: 'pending',
+			}
+			await suspension.save()
+
+			await recordAuditEvent(req, {
+				action: 'user.suspension_appealed',
+				target: { type: 'User', id: req.user._id },
+				metadata: { suspension: suspension._id },
+			})
+
+			res.status(201).json(formatSuspension(suspension))
+		} catch (error) {
+			console.error('Erro ao enviar recurso:', error)
+			res.status(500).json({
+				message: 'Erro interno do servidor',
+			})
+		}
+	},
+)
+
+/**
+ * @swagger
+ * /api/users/me/export:
+ *   post:
+ *     summary: Solicitar exportação dos dados pessoais
+ *     description: |
+ *       Inicia em segundo plano a geração de um arquivo .zip com perfil, projetos, propostas
+ *       enviadas, avaliações feitas e recebidas e pagamentos, em JSON e CSV. Acompanhe o
+ *       status em GET /api/users/me/export/{id}; quando concluído, a resposta traz um link
+ *       de download com validade limitada.
+ *     tags: [Usuários]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       202:
+ *         description: Exportação iniciada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/DataExport'
+ *       401:
+ *         description: Não autorizado
+ *       409:
+ *         description: Já existe uma exportação em andamento
+ *       500:
+ *         description: Erro interno do servidor
+ *   get:
+ *     summary: Listar exportações de dados
+ *     description: Lista as últimas exportações solicitadas pelo usuário logado
+ *     tags: [Usuários]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Lista de exportações
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/DataExport'
+ *       401:
+ *         description: Não autorizado
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.post('/me/export', protect, denyImpersonation, async (req, res) => {
+	try {
+		const inProgress = await DataExport.findOne({
+			user: req.user._id,
+			status: { $in: ['pending', 'processing'] },
+		})
+
+		if (inProgress) {
+			return res.status(409).json({
+				message: 'Já existe uma exportação em andamento',
+				export: formatDataExport(inProgress),
+			})
+		}
+
+		const dataExport = await DataExport.create({ user: req.user._id })
+
+		// Gera o arquivo em segundo plano; pedidos interrompidos voltam para a fila da tarefa
+		// agendada depois de DATA_EXPORT_PROCESSING_TIMEOUT_MINUTES
+		runDataExport(dataExport._id).catch((error) =>
+			console.error('Erro ao gerar exportação:', error),
+		)
+
+		res.status(202).json(formatDataExport(dataExport))
+	} catch (error) {
+		console.error('Erro ao solicitar exportação:', error)
+		res.status(500).json({
+			message: 'Erro interno do servidor',
+		})
+	}
+})
+
+router.get('/me/export', protect, async (req, res) => {
+	try {
+		const exports = await DataExport.find({ user: req.user._id }).sort({ createdAt: -1 }).limit(10)
+
+		res.json(exports.map(formatDataExport))
+	} catch (error) {
+		console.error('Erro ao listar exportações:', error)
+		res.status(500).json({
+			message: 'Erro interno do servidor',
+		})
+	}
+})
+
+/**
+ * @swagger
+ * /api/users/me/export/{id}:
+ *   get:
+ *     summary: Status da exportação de dados
+ *     description: Retorna o status da exportação e, quando concluída, o link de download assinado
+ *     tags: [Usuários]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Status da exportação
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/DataExport'
+ *       401:
+ *         description: Não autorizado
+ *       404:
+ *         description: Exportação não encontrada
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.get('/me/export/:id', protect, async (req, res) => {
+	try {
+		const dataExport = await DataExport.findOne({ _id: req.params.id, user: req.user._id })
+
+		if (!dataExport) {
+			return res.status(404).json({
+				message: 'Exportação não encontrada',
+			})
+		}
+
+		res.json(formatDataExport(dataExport))
+	} catch (error) {
+		console.error('Erro ao buscar exportação:', error)
+		res.status(500).json({
+			message: 'Erro interno do servidor',
+		})
+	}
+})
+
+/**
+ * @swagger
+ * /api/users/exports/{id}/download:
+ *   get:
+ *     summary: Baixar exportação de dados
+ *     description: Download do arquivo .zip pelo link assinado retornado no status da exportação
+ *     tags: [Usuários]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: expires
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: signature
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Arquivo .zip
+ *         content:
+ *           application/zip:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       403:
+ *         description: Link inválido ou expirado
+ *       410:
+ *         description: Exportação expirada
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.get('/exports/:id/download', async (req, res) => {
+	try {
+		if (!verifySignedUrl(getDownloadPath(req.params.id), req.query)) {
+			return res.status(403).json({
+				message: 'Link de download inválido ou expirado',
+			})
+		}
+
+		const dataExport = await DataExport.findById(req.params.id)
+
+		if (!dataExport || dataExport.status !== 'completed' || dataExport.expiresAt <= new Date()) {
+			return res.status(410).json({
+				message: 'Exportação expirada. Solicite uma nova exportação.',
+			})
+		}
+
+		const date = dataExport.completedAt.toISOString().slice(0, 10)
+		res.download(getExportFilePath(dataExport), `meus-dados-${date}.zip`, (error) => {
+			if (!error) return
+
+			console.error('Erro ao enviar exportação:', error)
+			if (res.headersSent) return
+
+			if (error.code === 'ENOENT') {
+				return res.status(410).json({
+					message: 'Arquivo da exportação não encontrado. Solicite uma nova exportação.',
+				})
+			}
+			res.status(500).json({
+				message: 'Erro interno do servidor',
+			})
+		})
+	} catch (error) {
+		console.error('Erro ao baixar exportação:', error)
+		res.status(500).json({
+			message: 'Erro interno do servidor',
+		})
+	}
+})
+
 /**
  * @swagger
  * /api/users/freelancers:
  *   get:
  *     summary: Buscar todos os freelancers
- *     description: Retorna uma lista paginada de freelancers com filtros opcionais
+ *     description: Retorna uma lista paginada de freelancers com filtros opcionais (contas suspensas não são exibidas)
  *     tags: [Usuários]
  *     parameters:
  *       - in: query
@@ -196,7 +924,11 @@ router.get('/freelancers', async (req, res) => {
 	try {
 		const { search, skills, page = 1, limit = 10 } = req.query
 
-		let query = { userType: 'freelancer', profileComplete: true }
+		// Contas suspensas não aparecem na busca
+		let query = {
+			$and: [User.withRole('freelancer'), User.notSuspended()],
+			profileComplete: true,
+		}
 
 		if (search) {
 			query.$or = [
@@ -212,7 +944,7 @@ router.get('/freelancers', async (req, res) => {
 		}
 
 		const freelancers = await User.find(query)
-			.select('name avatar title bio hourlyRate skills rating completedProjects location')
+			.select(FREELANCER_PUBLIC_FIELDS)
 			.limit(limit * 1)
 			.skip((page - 1) * limit)
 			.sort({ rating: -1, completedProjects: -1 })
@@ -261,10 +993,12 @@ router.get('/freelancers', async (req, res) => {
  */
 router.get('/freelancers/:id', async (req, res) => {
 	try {
+		// Contas suspensas ou excluídas não têm perfil público
 		const freelancer = await User.findOne({
 			_id: req.params.id,
-			userType: 'freelancer',
-		}).select('-password')
+			$and: [User.withRole('freelancer'), User.notSuspended()],
+			deletedAt: null,
+		}).select(FREELANCER_PUBLIC_FIELDS)
 
 		if (!freelancer) {
 			return res.status(404).json({
@@ -345,7 +1079,7 @@ router.get('/clients', async (req, res) => {
 	try {
 		const { search, page = 1, limit = 10 } = req.query
 
-		let query = { userType: 'client' }
+		let query = { $and: [User.withRole('client')], deletedAt: null }
 
 		if (search) {
 			query.$or = [
@@ -355,7 +1089,7 @@ router.get('/clients', async (req, res) => {
 		}
 
 		const clients = await User.find(query)
-			.select('name email avatar company website createdAt')
+			.select(CLIENT_PUBLIC_FIELDS)
 			.limit(limit * 1)
 			.skip((page - 1) * limit)
 			.sort({ createdAt: -1 })
@@ -405,8 +1139,9 @@ router.get('/clients/:id', async (req, res) => {
 	try {
 		const client = await User.findOne({
 			_id: req.params.id,
-			userType: 'client',
-		}).select('-password')
+			$and: [User.withRole('client'), User.notSuspended()],
+			deletedAt: null,
+		}).select(CLIENT_PUBLIC_FIELDS)
 
 		if (!client) {
 			return res.status(404).json({
@@ -64,6 +64,7 @@ class TestDataGenerator {
 				email: `freelancer.${skills.join('.').toLowerCase()}${i + 1}@email.com`,
 				password: '123456',
 				userType: 'freelancer',
+				emailVerified: true,
 				title: `Especialista em ${skills.join(', ')}`,
 				bio: `Freelancer especializado em ${skills.join(', ')} com ampla experiência no mercado.`,
 				hourlyRate: 60 + i * 10,
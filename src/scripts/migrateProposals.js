@@ -0,0 +1,155 @@
+// scripts/migrateProposals.js
+// Move as propostas embutidas em Project.proposals para a coleção Proposal, mantendo os
+// mesmos _id (referências em auditoria e anexos continuam válidas). Propostas que não
+// entram na coleção (sem freelancer ou repetidas) são copiadas para
+// proposals_migration_skipped. Pode ser executado novamente: projetos já migrados não
+// têm mais o campo "proposals".
+import mongoose from 'mongoose'
+import dotenv from 'dotenv'
+import Project from '../models/Project.js'
+import Proposal from '../models/Proposal.js'
+
+dotenv.config()
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/freelancer-platform'
+
+const BACKUP_COLLECTION = 'proposals_migration_skipped'
+
+const createdAtOf = (proposal) => proposal.createdAt || proposal._id.getTimestamp()
+
+const toProposalDocument = (project, proposal) => {
+	const createdAt = createdAtOf(proposal)
+
+	return {
+		project: project._id,
+		freelancer: proposal.freelancer,
+		proposal: proposal.proposal,
+		bid: proposal.bid,
+		timeline: proposal.timeline,
+		status: proposal.status || 'pending',
+		createdAt,
+		updatedAt: createdAt,
+	}
+}
+
+// Entre propostas repetidas do mesmo freelancer fica a aceita; depois, a mais recente
+const isPreferred = (candidate, current) => {
+	if ((candidate.status === 'accepted') !== (current.status === 'accepted')) {
+		return candidate.status === 'accepted'
+	}
+	return createdAtOf(candidate) > createdAtOf(current)
+}
+
+// Propostas que não entram na coleção são copiadas para cá antes de o campo embutido
+// ser removido, para conferência manual
+const backupSkipped = async (project, skipped) => {
+	if (!skipped.length) return
+
+	await mongoose.connection.collection(BACKUP_COLLECTION).bulkWrite(
+		skipped.map(({ proposal, reason }) => ({
+			updateOne: {
+				filter: { _id: proposal._id },
+				update: { $setOnInsert: { ...proposal, project: project._id, reason } },
+				upsert: true,
+			},
+		})),
+		{ ordered: false },
+	)
+}
+
+// Insere as propostas do projeto; as que já existem (mesmo _id) são mantidas
+const migrateProject = async (project) => {
+	const selected = new Map()
+	const skipped = []
+
+	for (const proposal of project.proposals) {
+		const freelancer = proposal.freelancer?.toString()
+
+		// Propostas sem freelancer ou repetidas não passam no índice único
+		if (!freelancer) {
+			skipped.push({ proposal, reason: 'missing_freelancer' })
+			continue
+		}
+
+		const current = selected.get(freelancer)
+		if (!current) {
+			selected.set(freelancer, proposal)
+		} else if (isPreferred(proposal, current)) {
+			skipped.push({ proposal: current, reason: 'duplicate' })
+			selected.set(freelancer, proposal)
+		} else {
+			skipped.push({ proposal, reason: 'duplicate' })
+		}
+	}
+
+	const proposals = [...selected.values()]
+	const operations = proposals.map((proposal) => ({
+		updateOne: {
+			filter: { _id: proposal._id },
+			update: { $setOnInsert: toProposalDocument(project, proposal) },
+			upsert: true,
+		},
+	}))
+
+	let migrated = 0
+	if (operations.length) {
+		try {
+			const result = await Proposal.collection.bulkWrite(operations, { ordered: false })
+			migrated = result.upsertedCount
+		} catch (error) {
+			// Freelancer que já tem proposta na coleção para este projeto
+			if (!error.writeErrors?.every((writeError) => writeError.code === 11000)) throw error
+			migrated = error.result.upsertedCount
+			error.writeErrors.forEach((writeError) => {
+				skipped.push({ proposal: proposals[writeError.index], reason: 'already_in_collection' })
+			})
+		}
+	}
+
+	await backupSkipped(project, skipped)
+	await Project.collection.updateOne({ _id: project._id }, { $unset: { proposals: '' } })
+
+	return { migrated, skipped: skipped.length }
+}
+
+async function migrateProposals() {
+	await mongoose.connect(MONGODB_URI)
+	console.log('✅ Conectado ao MongoDB')
+
+	try {
+		await Proposal.createIndexes()
+
+		// O campo não existe mais no schema de Project: lê os documentos diretamente
+		const cursor = Project.collection.find(
+			{ proposals: { $exists: true } },
+			{ projection: { proposals: 1 } },
+		)
+
+		const totals = { projects: 0, migrated: 0, skipped: 0 }
+		for await (const project of cursor) {
+			const { migrated, skipped } = await migrateProject({
+				...project,
+				proposals: project.proposals || [],
+			})
+			totals.projects++
+			totals.migrated += migrated
+			totals.skipped += skipped
+		}
+
+		console.log(`✅ ${totals.projects} projetos processados`)
+		console.log(`   📨 Propostas migradas: ${totals.migrated}`)
+		if (totals.skipped) {
+			console.log(
+				`   ⚠️  Propostas ignoradas (sem freelancer ou duplicadas): ${totals.skipped}, copiadas para ${BACKUP_COLLECTION}`,
+			)
+		}
+	} finally {
+		await mongoose.disconnect()
+		console.log('✅ Conexão fechada')
+	}
+}
+
+migrateProposals().catch((error) => {
+	console.error('❌ Erro durante a migração:', error)
+	process.exit(1)
+})
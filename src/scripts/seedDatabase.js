@@ -3,6 +3,7 @@ import mongoose from 'mongoose'
 import dotenv from 'dotenv'
 import User from '../models/User.js'
 import Project from '../models/Project.js'
+import Proposal from '../models/Proposal.js'
 import Review from '../models/Review.js'
 import Payment from '../models/Payment.js'
 import bcrypt from 'bcryptjs'
@@ -105,6 +106,7 @@ class DatabaseSeeder {
 	constructor() {
 		this.users = []
 		this.projects = []
+		this.proposals = []
 		this.reviews = []
 		this.payments = []
 	}
@@ -128,6 +130,7 @@ class DatabaseSeeder {
 		console.log('🧹 Limpando banco de dados...')
 		await User.deleteMany({})
 		await Project.deleteMany({})
+		await Proposal.deleteMany({})
 		await Review.deleteMany({})
 		await Payment.deleteMany({})
 		console.log('✅ Banco de dados limpo')
@@ -312,6 +315,15 @@ class DatabaseSeeder {
 				website: 'https://agenciacriativa.com',
 				profileComplete: true,
 			},
+
+			// Equipe da plataforma
+			{
+				name: 'Administrador',
+				email: 'admin@freelancerhub.com',
+				password: '123456',
+				userType: 'admin',
+				profileComplete: true,
+			},
 		]
 
 		// Criar usuários com password hasheado
@@ -320,6 +332,7 @@ class DatabaseSeeder {
 			const user = new User({
 				...userData,
 				password: hashedPassword,
+				emailVerified: true,
 				avatar: userData.userType === 'freelancer' ? '👨‍💻' : '🏢',
 			})
 			await user.save()
@@ -370,13 +383,15 @@ class DatabaseSeeder {
 			})
 
 			// Adicionar propostas para alguns projetos
+			const proposals = []
 			if (Math.random() > 0.3) {
 				// 70% dos projetos têm propostas
 				const numProposals = Math.floor(Math.random() * 5) + 1
 				const proposalFreelancers = this.getRandomItems(freelancers, numProposals)
 
 				for (const freelancer of proposalFreelancers) {
-					project.proposals.push({
+					proposals.push({
+						project: project._id,
 						freelancer: freelancer._id,
 						proposal: `Tenho experiência com projetos similares e posso entregar um trabalho de qualidade dentro do prazo. Minha abordagem inclui ${this.getRandomItems(
 							['design responsivo', 'código limpo', 'otimização SEO', 'testes automatizados'],
@@ -389,7 +404,7 @@ class DatabaseSeeder {
 				}
 
 				// Se há propostas aceitas, atribuir projeto
-				const acceptedProposal = project.proposals.find((p) => p.status === 'accepted')
+				const acceptedProposal = proposals.find((p) => p.status === 'accepted')
 				if (acceptedProposal) {
 					project.assignedTo = acceptedProposal.freelancer
 					project.status = 'in_progress'
@@ -398,6 +413,7 @@ class DatabaseSeeder {
 
 			await project.save()
 			projectsData.push(project)
+			this.proposals.push(...(await Proposal.insertMany(proposals)))
 		}
 
 		this.projects = projectsData
@@ -469,7 +485,9 @@ class DatabaseSeeder {
 		const assignedProjects = this.projects.filter((p) => p.assignedTo)
 
 		for (const project of assignedProjects) {
-			const acceptedProposal = project.proposals.find((p) => p.status === 'accepted')
+			const acceptedProposal = this.proposals.find(
+				(p) => p.project.equals(project._id) && p.status === 'accepted',
+			)
 
 			if (acceptedProposal) {
 				const payment = new Payment({
@@ -532,6 +550,7 @@ class DatabaseSeeder {
 			console.log('📊 RESUMO:')
 			console.log(`   👥 Usuários: ${this.users.length}`)
 			console.log(`   📋 Projetos: ${this.projects.length}`)
+			console.log(`   📨 Propostas: ${this.proposals.length}`)
 			console.log(`   ⭐ Avaliações: ${this.reviews.length}`)
 			console.log(`   💰 Pagamentos: ${this.payments.length}`)
 			console.log('\n🔗 URLs para teste:')
@@ -9,13 +9,22 @@ import cookieParser from 'cookie-parser'
 import authRoutes from './routes/auth.js'
 import userRoutes from './routes/users.js'
 import projectRoutes from './routes/projects.js'
+import milestoneRoutes from './routes/milestones.js'
+import deliverableRoutes from './routes/deliverables.js'
+import attachmentRoutes from './routes/attachments.js'
 import proposalRoutes from './routes/proposals.js'
+import negotiationRoutes from './routes/negotiations.js'
 import reviewRoutes from './routes/reviews.js'
 import dashboardRoutes from './routes/dashboard.js'
 import skillRoutes from './routes/skills.js'
 import paymentRoutes from './routes/payments.js'
+import apiKeyRoutes from './routes/apiKeys.js'
+import adminRoutes from './routes/admin.js'
+import legalRoutes from './routes/legal.js'
 
 import swaggerDocs from './config/swagger.js'
+import { startJobs } from './jobs/index.js'
+import { requestId } from './middleware/requestId.js'
 
 dotenv.config()
 
@@ -42,10 +51,12 @@ app.use(
 		},
 		credentials: true,
 		methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-		allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+		allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Request-Id'],
+		exposedHeaders: ['X-Request-Id'],
 	}),
 )
 
+app.use(requestId)
 app.use(express.json())
 app.use(express.urlencoded({ extended: true }))
 app.use(cookieParser())
@@ -56,18 +67,28 @@ mongoose
 		useNewUrlParser: true,
 		useUnifiedTopology: true,
 	})
-	.then(() => console.log('✅ Conectado ao MongoDB Atlas'))
+	.then(() => {
+		console.log('✅ Conectado ao MongoDB Atlas')
+		startJobs()
+	})
 	.catch((err) => console.error('❌ Erro ao conectar com MongoDB:', err))
 
 // Rotas
 app.use('/api/auth', authRoutes)
 app.use('/api/users', userRoutes)
 app.use('/api/projects', projectRoutes)
+app.use('/api/projects', milestoneRoutes)
+app.use('/api/projects', deliverableRoutes)
+app.use('/api/projects', attachmentRoutes)
 app.use('/api/proposals', proposalRoutes)
+app.use('/api/proposals', negotiationRoutes)
 app.use('/api/reviews', reviewRoutes)
 app.use('/api/dashboard', dashboardRoutes)
 app.use('/api/skills', skillRoutes)
 app.use('/api/payments', paymentRoutes)
+app.use('/api/api-keys', apiKeyRoutes)
+app.use('/api/admin', adminRoutes)
+app.use('/api/legal', legalRoutes)
 
 // Rota de health check
 app.get('/api/health', (req, res) => {
@@ -0,0 +1,90 @@
+// services/accountDeletion.js
+import ApiKey from '../models/ApiKey.js'
+import Project from '../models/Project.js'
+import Proposal from '../models/Proposal.js'
+import Session from '../models/Session.js'
+import User from '../models/User.js'
+import UserToken from '../models/UserToken.js'
+import { recordAuditEvent } from './audit.js'
+import { PROJECT_TRANSITIONS, transitionProject } from './projectLifecycle.js'
+
+export const DELETED_USER_NAME = 'Usuário excluído'
+
+// Período de carência antes da exclusão definitiva (padrão: 7 dias)
+export const getDeletionCoolingOffMs = () =>
+	parseInt(process.env.ACCOUNT_DELETION_COOLING_OFF_DAYS || '7', 10) * 24 * 60 * 60 * 1000
+
+// Cancela os projetos ainda sem contratação do usuário e recusa as propostas pendentes dele
+const closeOpenActivity = async (userId) => {
+	const openProjects = await Project.find({
+		client: userId,
+		status: { $in: PROJECT_TRANSITIONS.cancel.from },
+	})
+	for (const project of openProjects) {
+		await transitionProject(project, 'cancel', { user: null, reason: 'Conta excluída' })
+	}
+
+	await Proposal.updateMany({ freelancer: userId, status: 'pending' }, { status: 'rejected' })
+}
+
+// Anonimiza os dados pessoais mantendo o documento, para que pagamentos, avaliações
+// e projetos continuem apontando para um "usuário excluído"
+export const anonymizeUser = async (user) => {
+	await closeOpenActivity(user._id)
+	await Session.revokeAllForUser(user._id, 'account_deleted')
+	await ApiKey.updateMany({ user: user._id, revokedAt: null }, { revokedAt: new Date() })
+	await UserToken.deleteMany({ user: user._id })
+
+	// updateOne ignora as validações e o hash de senha do pre-save
+	await User.updateOne(
+		{ _id: user._id },
+		{
+			$set: {
+				name: DELETED_USER_NAME,
+				email: `deleted-${user._id}@deleted.invalid`,
+				avatar: '👤',
+				emailVerified: false,
+				profileComplete: false,
+				mfa: { enabled: false, recoveryCodes: [] },
+				deletedAt: new Date(),
+			},
+			$unset: {
+				password: 1,
+				googleId: 1,
+				emailVerifiedAt: 1,
+				phone: 1,
+				bio: 1,
+				title: 1,
+				portfolio: 1,
+				location: 1,
+				company: 1,
+				website: 1,
+				skills: 1,
+				hourlyRate: 1,
+				deletion: 1,
+			},
+		},
+	)
+
+	await recordAuditEvent(null, {
+		action: 'account.deleted',
+		actor: user._id,
+		target: { type: 'User', id: user._id },
+	})
+}
+
+// Executa as exclusões cujo período de carência terminou
+export const processScheduledDeletions = async () => {
+	const users = await User.find({
+		'deletion.scheduledFor': { $lte: new Date() },
+		deletedAt: null,
+	}).limit(50)
+
+	for (const user of users) {
+		try {
+			await anonymizeUser(user)
+		} catch (error) {
+			console.error(`Erro ao excluir conta ${user._id}:`, error)
+		}
+	}
+}
@@ -0,0 +1,233 @@
+// services/attachments.js
+import crypto from 'crypto'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { Transform } from 'stream'
+import { pipeline } from 'stream/promises'
+import multer from 'multer'
+import { hasPermission } from '../config/permissions.js'
+import Attachment from '../models/Attachment.js'
+import { createSignedUrl } from '../utils/signedUrl.js'
+import { HIRING_STATUSES } from './projectLifecycle.js'
+import { getStorage } from './storage.js'
+
+// Tipos aceitos: MIME informado pelo cliente → extensões compatíveis
+export const ALLOWED_TYPES = {
+	'application/pdf': ['.pdf'],
+	'image/png': ['.png'],
+	'image/jpeg': ['.jpg', '.jpeg'],
+	'image/gif': ['.gif'],
+	'image/webp': ['.webp'],
+	'text/plain': ['.txt'],
+	'text/csv': ['.csv'],
+	'application/zip': ['.zip'],
+	'application/x-zip-compressed': ['.zip'],
+	'application/msword': ['.doc'],
+	'application/vnd.openxmlformats-officedocument.wordprocessingml.document': ['.docx'],
+	'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': ['.xlsx'],
+	'application/vnd.openxmlformats-officedocument.presentationml.presentation': ['.pptx'],
+}
+
+// Erro de upload, com o status HTTP e o código retornados pela API
+export class AttachmentError extends Error {
+	constructor(message, { status = 400, code = 'INVALID_ATTACHMENT' } = {}) {
+		super(message)
+		this.name = 'AttachmentError'
+		this.status = status
+		this.code = code
+	}
+}
+
+// Tamanho máximo por arquivo (padrão: 10 MB)
+const getMaxFileSize = () => parseInt(process.env.ATTACHMENT_MAX_SIZE_MB || '10', 10) * 1024 * 1024
+
+// Arquivos por requisição (padrão: 5)
+const getMaxFiles = () => parseInt(process.env.ATTACHMENT_MAX_FILES || '5', 10)
+
+// Validade de cada link de download gerado (padrão: 15 min)
+const getLinkTtlMs = () => parseInt(process.env.ATTACHMENT_LINK_TTL_MINUTES || '15', 10) * 60 * 1000
+
+// Storage engine do multer: grava o upload em um arquivo temporário calculando hash e
+// tamanho durante o stream e depois entrega o arquivo ao driver de armazenamento.
+// Nenhum arquivo é mantido inteiro em memória.
+const storageEngine = {
+	_handleFile(req, file, cb) {
+		const storage = getStorage()
+		const extension = path.extname(file.originalname).toLowerCase()
+		const key = `${req.params.id}/${crypto.randomUUID()}${extension}`
+		const tempPath = path.join(os.tmpdir(), `upload-${crypto.randomUUID()}`)
+
+		const hash = crypto.createHash('sha256')
+		let size = 0
+		const meter = new Transform({
+			transform(chunk, encoding, done) {
+				hash.update(chunk)
+				size += chunk.length
+				done(null, chunk)
+			},
+		})
+
+		pipeline(file.stream, meter, fs.createWriteStream(tempPath))
+			.then(async () => {
+				// Limite de tamanho excedido: o multer aborta o upload com LIMIT_FILE_SIZE
+				if (file.stream.truncated) {
+					await fs.promises.rm(tempPath, { force: true })
+					return {}
+				}
+
+				const sha256 = hash.digest('hex')
+				await storage.save(key, tempPath, { contentType: file.mimetype, size, sha256 })
+				return { storageDriver: storage.name, storageKey: key, size, sha256 }
+			})
+			.then(
+				(info) => cb(null, info),
+				async (error) => {
+					await fs.promises.rm(tempPath, { force: true })
+					cb(error)
+				},
+			)
+	},
+
+	_removeFile(req, file, cb) {
+		if (!file.storageKey) return cb(null)
+		getStorage(file.storageDriver)
+			.remove(file.storageKey)
+			.then(() => cb(null), cb)
+	},
+}
+
+const fileFilter = (req, file, cb) => {
+	const extension = path.extname(file.originalname).toLowerCase()
+
+	if (!ALLOWED_TYPES[file.mimetype]?.includes(extension)) {
+		return cb(
+			new AttachmentError(`Tipo de arquivo não permitido: ${file.originalname}`, {
+				status: 415,
+				code: 'FILE_TYPE_NOT_ALLOWED',
+			}),
+		)
+	}
+	cb(null, true)
+}
+
+const multerErrorMessages = {
+	LIMIT_FILE_SIZE: () => `Cada arquivo pode ter no máximo ${getMaxFileSize() / 1024 / 1024} MB`,
+	LIMIT_FILE_COUNT: () => `Envie no máximo ${getMaxFiles()} arquivos por vez`,
+	LIMIT_UNEXPECTED_FILE: () =>
+		`Envie no máximo ${getMaxFiles()} arquivos por vez, no campo "files"`,
+}
+
+// Recebe os arquivos do campo "files" (multipart/form-data). Chame depois das
+// verificações de permissão, para não armazenar uploads que serão recusados.
+export const receiveFiles = (req, res) => {
+	const upload = multer({
+		storage: storageEngine,
+		fileFilter,
+		limits: { fileSize: getMaxFileSize(), files: getMaxFiles() },
+	}).array('files', getMaxFiles())
+
+	return new Promise((resolve, reject) => {
+		upload(req, res, (error) => {
+			if (error instanceof multer.MulterError) {
+				return reject(
+					new AttachmentError(multerErrorMessages[error.code]?.() || error.message, {
+						status: error.code === 'LIMIT_FILE_SIZE' ? 413 : 400,
+						code: error.code,
+					}),
+				)
+			}
+			if (error) return reject(error)
+
+			if (!req.files?.length) {
+				return reject(new AttachmentError('Envie ao menos um arquivo no campo "files"'))
+			}
+			resolve(req.files)
+		})
+	})
+}
+
+// O multer entrega o nome do arquivo em latin1; navegadores enviam UTF-8
+const decodeFileName = (name) => Buffer.from(name, 'latin1').toString('utf8')
+
+// Registra os arquivos recebidos. Se a gravação falhar, remove-os do armazenamento.
+// data: { project, owner, context, proposal? }
+export const createAttachments = async (files, data) => {
+	try {
+		return await Attachment.insertMany(
+			files.map((file) => ({
+				...data,
+				name: decodeFileName(file.originalname),
+				mimeType: file.mimetype,
+				size: file.size,
+				sha256: file.sha256,
+				storageDriver: file.storageDriver,
+				storageKey: file.storageKey,
+			})),
+		)
+	} catch (error) {
+		await Promise.all(files.map((file) => getStorage(file.storageDriver).remove(file.storageKey)))
+		throw error
+	}
+}
+
+export const removeAttachment = async (attachment) => {
+	await getStorage(attachment.storageDriver).remove(attachment.storageKey)
+	await attachment.deleteOne()
+}
+
+export const removeProjectAttachments = async (projectId) => {
+	const attachments = await Attachment.find({ project: projectId })
+	for (const attachment of attachments) {
+		await removeAttachment(attachment)
+	}
+}
+
+// Acesso segue a participação no projeto: o briefing é visível enquanto o projeto está
+// listado e, depois, só para os participantes; amostras de proposta, para o autor e o
+// cliente; arquivos de entrega, para o freelancer e, após o envio, para o cliente.
+export const canAccessAttachment = (attachment, project, user) => {
+	const userId = user._id.toString()
+	const isClient = project.client.toString() === userId
+
+	if (attachment.owner.toString() === userId) return true
+	if (hasPermission(user, 'project:moderate')) return true
+
+	switch (attachment.context) {
+		case 'project':
+			return (
+				isClient ||
+				project.assignedTo?.toString() === userId ||
+				HIRING_STATUSES.includes(project.status)
+			)
+		case 'proposal':
+			return isClient
+		case 'deliverable':
+			return isClient && Boolean(attachment.deliverable)
+		default:
+			return false
+	}
+}
+
+export const getDownloadPath = (attachment) =>
+	`/api/projects/${attachment.project._id ?? attachment.project}/attachments/${attachment._id}/download`
+
+// Metadados retornados pela API, com link de download assinado
+export const formatAttachment = (attachment) => {
+	const linkExpiresAt = new Date(Date.now() + getLinkTtlMs())
+
+	return {
+		id: attachment._id,
+		context: attachment.context,
+		name: attachment.name,
+		mimeType: attachment.mimeType,
+		size: attachment.size,
+		sha256: attachment.sha256,
+		owner: attachment.owner,
+		proposal: attachment.proposal,
+		deliverable: attachment.deliverable,
+		createdAt: attachment.createdAt,
+		downloadUrl: createSignedUrl(getDownloadPath(attachment), linkExpiresAt),
+		downloadUrlExpiresAt: linkExpiresAt,
+	}
+}
@@ -0,0 +1,54 @@
+// services/audit.js
+import AuditEvent from '../models/AuditEvent.js'
+
+// Registra um evento de auditoria a partir da requisição (ou sem ela, em tarefas
+// em segundo plano). Falhas são apenas logadas para não interromper a operação auditada.
+export const recordAuditEvent = async (req, { action, actor, target, changes, metadata }) => {
+	try {
+		await AuditEvent.create({
+			action,
+			actor: actor || req?.user?._id,
+			impersonator: req?.impersonator?._id,
+			target,
+			changes,
+			metadata,
+			ip: req?.ip,
+			userAgent: req?.get('user-agent'),
+			requestId: req?.id,
+		})
+	} catch (error) {
+		console.error('Erro ao registrar evento de auditoria:', error)
+	}
+}
+
+// Monta o diff { before, after } apenas com os campos que mudaram.
+// Retorna undefined quando nada mudou.
+export const diffChanges = (before, after, fields) => {
+	const changes = { before: {}, after: {} }
+
+	for (const field of fields) {
+		const previous = before?.[field]
+		const current = after?.[field]
+		if (JSON.stringify(previous) !== JSON.stringify(current)) {
+			changes.before[field] = previous
+			changes.after[field] = current
+		}
+	}
+
+	return Object.keys(changes.after).length ? changes : undefined
+}
+
+// Registra cada requisição feita com um token de personificação, com o status da resposta
+export const auditImpersonatedRequest = (req, res) => {
+	res.on('finish', () => {
+		recordAuditEvent(req, {
+			action: 'impersonation.request',
+			target: { type: 'User', id: req.user._id },
+			metadata: {
+				method: req.method,
+				path: req.originalUrl,
+				statusCode: res.statusCode,
+			},
+		})
+	})
+}
@@ -0,0 +1,161 @@
+// services/credits.js
+import CreditTransaction from '../models/CreditTransaction.js'
+import Proposal from '../models/Proposal.js'
+import User from '../models/User.js'
+
+export class CreditError extends Error {
+	constructor(message, { status = 402, code = 'INSUFFICIENT_CREDITS', details } = {}) {
+		super(message)
+		this.name = 'CreditError'
+		this.status = status
+		this.code = code
+		this.details = details
+	}
+}
+
+// Créditos concedidos a cada mês; o saldo não utilizado não acumula (padrão: 60)
+export const getMonthlyAllowance = () => parseInt(process.env.PROPOSAL_CREDITS_MONTHLY || '60', 10)
+
+// Custo por faixa de orçamento máximo do projeto: "orçamento:custo" separados por vírgula
+// (padrão: até 1.000 custa 2, a partir de 1.000 custa 4, a partir de 5.000 custa 6)
+export const getCostTiers = () =>
+	(process.env.PROPOSAL_CREDIT_TIERS || '0:2,1000:4,5000:6')
+		.split(',')
+		.map((tier) => {
+			const [minBudget, cost] = tier.split(':').map(Number)
+			return { minBudget, cost }
+		})
+		.sort((a, b) => a.minBudget - b.minBudget)
+
+export const getProposalCost = (project) => {
+	const budget = project.budget?.max ?? 0
+	const tier = getCostTiers()
+		.filter(({ minBudget }) => budget >= minBudget)
+		.pop()
+	return tier?.cost ?? 0
+}
+
+// Mês de referência (AAAA-MM, UTC) e início do próximo
+export const getCurrentPeriod = (date = new Date()) => date.toISOString().slice(0, 7)
+
+export const getNextRenewal = (date = new Date()) =>
+	new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1))
+
+// Renova o saldo na primeira movimentação do mês: o que sobrou expira e a cota mensal
+// é concedida. A condição no filtro garante uma única renovação por mês.
+export const ensureMonthlyCredits = async (userId) => {
+	const period = getCurrentPeriod()
+	const allowance = getMonthlyAllowance()
+
+	const previous = await User.findOneAndUpdate(
+		{ _id: userId, 'credits.period': { $ne: period } },
+		{ $set: { 'credits.balance': allowance, 'credits.period': period } },
+	).select('credits')
+
+	if (!previous) return
+
+	const leftover = previous.credits?.balance || 0
+	await CreditTransaction.insertMany([
+		...(leftover > 0
+			? [
+					{
+						user: userId,
+						type: 'expired',
+						amount: -leftover,
+						balanceAfter: 0,
+						period: previous.credits.period,
+					},
+				]
+			: []),
+		{ user: userId, type: 'monthly_grant', amount: allowance, balanceAfter: allowance, period },
+	])
+}
+
+// Debita o custo da proposta. Lança CreditError se o saldo não for suficiente.
+export const chargeProposal = async (userId, project, proposalId) => {
+	const cost = getProposalCost(project)
+	if (!cost) return null
+
+	await ensureMonthlyCredits(userId)
+
+	const period = getCurrentPeriod()
+	const user = await User.findOneAndUpdate(
+		{ _id: userId, 'credits.period': period, 'credits.balance': { $gte: cost } },
+		{ $inc: { 'credits.balance': -cost } },
+		{ new: true },
+	).select('credits')
+
+	if (!user) {
+		const current = await User.findById(userId).select('credits')
+		throw new CreditError('Créditos insuficientes para enviar esta proposta', {
+			details: {
+				cost,
+				balance: current?.credits?.balance ?? 0,
+				renewsAt: getNextRenewal(),
+			},
+		})
+	}
+
+	return CreditTransaction.create({
+		user: userId,
+		type: 'proposal',
+		amount: -cost,
+		balanceAfter: user.credits.balance,
+		period,
+		project: project._id,
+		proposal: proposalId,
+	})
+}
+
+// Devolve o débito de uma proposta. O índice único de estornos evita devolver duas vezes.
+export const refundCharge = async (charge, note) => {
+	await ensureMonthlyCredits(charge.user)
+
+	let refund
+	try {
+		refund = await CreditTransaction.create({
+			user: charge.user,
+			type: 'refund',
+			amount: -charge.amount,
+			period: getCurrentPeriod(),
+			project: charge.project,
+			proposal: charge.proposal,
+			note,
+		})
+	} catch (error) {
+		if (error.code === 11000) return null
+		throw error
+	}
+
+	const user = await User.findByIdAndUpdate(
+		charge.user,
+		{ $inc: { 'credits.balance': refund.amount } },
+		{ new: true },
+	).select('credits')
+
+	refund.balanceAfter = user?.credits.balance
+	return refund.save()
+}
+
+// Projeto cancelado sem contratação: devolve os créditos de todas as propostas, exceto
+// as retiradas pelo próprio freelancer
+export const refundProjectCredits = async (project) => {
+	const [charges, withdrawn] = await Promise.all([
+		CreditTransaction.find({ project: project._id, type: 'proposal' }),
+		Proposal.find({ project: project._id, status: 'withdrawn' }).distinct('_id'),
+	])
+
+	const skip = new Set(withdrawn.map(String))
+	for (const charge of charges) {
+		if (skip.has(charge.proposal?.toString())) continue
+		await refundCharge(charge, 'Projeto cancelado sem contratação')
+	}
+}
+
+// Responde a um CreditError no formato padrão da API
+export const respondCreditError = (res, error) =>
+	res.status(error.status).json({
+		message: error.message,
+		code: error.code,
+		...error.details,
+	})
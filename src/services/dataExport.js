@@ -0,0 +1,240 @@
+// services/dataExport.js
+import fs from 'fs/promises'
+import path from 'path'
+import Consent from '../models/Consent.js'
+import DataExport from '../models/DataExport.js'
+import Payment from '../models/Payment.js'
+import Project from '../models/Project.js'
+import Proposal from '../models/Proposal.js'
+import Review from '../models/Review.js'
+import User from '../models/User.js'
+import { toCsv } from '../utils/csv.js'
+import { createSignedUrl } from '../utils/signedUrl.js'
+import { createZip } from '../utils/zip.js'
+
+const getExportsDir = () => path.resolve(process.env.DATA_EXPORT_DIR || 'tmp/exports')
+
+// Tempo que o arquivo fica disponível (padrão: 48h)
+const getExportTtlMs = () =>
+	parseInt(process.env.DATA_EXPORT_TTL_HOURS || '48', 10) * 60 * 60 * 1000
+
+// Validade de cada link de download gerado (padrão: 60 min)
+const getLinkTtlMs = () =>
+	parseInt(process.env.DATA_EXPORT_LINK_TTL_MINUTES || '60', 10) * 60 * 1000
+
+export const getExportFilePath = (dataExport) => path.join(getExportsDir(), dataExport.fileName)
+
+export const getDownloadPath = (dataExportId) => `/api/users/exports/${dataExportId}/download`
+
+// Dados do pedido retornados pela API, com link assinado quando o arquivo está pronto
+export const formatDataExport = (dataExport) => {
+	const formatted = {
+		id: dataExport._id,
+		status: dataExport.status,
+		createdAt: dataExport.createdAt,
+		completedAt: dataExport.completedAt,
+		expiresAt: dataExport.expiresAt,
+		fileSize: dataExport.fileSize,
+	}
+
+	if (dataExport.status === 'completed' && dataExport.expiresAt > new Date()) {
+		const linkExpiresAt = new Date(
+			Math.min(dataExport.expiresAt.getTime(), Date.now() + getLinkTtlMs()),
+		)
+		formatted.downloadUrl = createSignedUrl(getDownloadPath(dataExport._id), linkExpiresAt)
+		formatted.downloadUrlExpiresAt = linkExpiresAt
+	}
+
+	return formatted
+}
+
+const idOf = (value) => value?._id ?? value
+
+// Reúne os dados pessoais do usuário em todas as coleções
+const collectUserData = async (userId) => {
+	const [user, projects, proposals, reviewsGiven, reviewsReceived, payments, consents] =
+		await Promise.all([
+			User.findById(userId),
+			Project.find({ $or: [{ client: userId }, { assignedTo: userId }] })
+				.sort({ createdAt: -1 })
+				.lean(),
+			Proposal.find({ freelancer: userId })
+				.select('-freelancer')
+				.populate('project', 'title status')
+				.sort({ createdAt: -1 })
+				.lean(),
+			Review.find({ reviewer: userId }).sort({ createdAt: -1 }).lean(),
+			Review.find({ reviewed: userId }).sort({ createdAt: -1 }).lean(),
+			Payment.find({ $or: [{ client: userId }, { freelancer: userId }] })
+				.sort({ createdAt: -1 })
+				.lean(),
+			Consent.find({ user: userId }).select('-user').sort({ createdAt: -1 }).lean(),
+		])
+
+	return {
+		exportedAt: new Date(),
+		profile: user.toJSON(),
+		projects: projects.map((project) => ({
+			...project,
+			role: project.client.equals(userId) ? 'client' : 'freelancer',
+		})),
+		proposals,
+		reviews: { given: reviewsGiven, received: reviewsReceived },
+		payments: payments.map((payment) => ({
+			...payment,
+			role: payment.client.equals(userId) ? 'client' : 'freelancer',
+		})),
+		consents,
+	}
+}
+
+const reviewColumns = (otherField, otherHeader) => [
+	{ header: 'id', value: (review) => review._id },
+	{ header: 'projeto', value: (review) => review.project },
+	{ header: otherHeader, value: (review) => idOf(review[otherField]) },
+	{ header: 'tipo', value: (review) => review.reviewType },
+	{ header: 'nota', value: (review) => review.rating },
+	{ header: 'comentario', value: (review) => review.comment },
+	{ header: 'criado_em', value: (review) => review.createdAt },
+]
+
+// Monta o zip com um JSON completo e um CSV por tipo de dado
+const buildExportArchive = (data) => {
+	const { profile } = data
+
+	return createZip([
+		{ name: 'dados.json', content: JSON.stringify(data, null, 2) },
+		{
+			name: 'perfil.csv',
+			content: toCsv(
+				[profile],
+				[
+					'name',
+					'email',
+					'userType',
+					'roles',
+					'phone',
+					'location',
+					'title',
+					'bio',
+					'hourlyRate',
+					'skills',
+					'portfolio',
+					'experience',
+					'company',
+					'website',
+					'createdAt',
+				].map((field) => ({ header: field, value: (row) => row[field] })),
+			),
+		},
+		{
+			name: 'projetos.csv',
+			content: toCsv(data.projects, [
+				{ header: 'id', value: (project) => project._id },
+				{ header: 'papel', value: (project) => project.role },
+				{ header: 'titulo', value: (project) => project.title },
+				{ header: 'categoria', value: (project) => project.category },
+				{ header: 'status', value: (project) => project.status },
+				{ header: 'orcamento_min', value: (project) => project.budget?.min },
+				{ header: 'orcamento_max', value: (project) => project.budget?.max },
+				{ header: 'moeda', value: (project) => project.budget?.currency },
+				{ header: 'prazo', value: (project) => project.timeline },
+				{ header: 'criado_em', value: (project) => project.createdAt },
+			]),
+		},
+		{
+			name: 'propostas.csv',
+			content: toCsv(data.proposals, [
+				{ header: 'id', value: (proposal) => proposal._id },
+				{ header: 'projeto', value: (proposal) => proposal.project._id },
+				{ header: 'titulo_projeto', value: (proposal) => proposal.project.title },
+				{ header: 'proposta', value: (proposal) => proposal.proposal },
+				{ header: 'lance', value: (proposal) => proposal.bid },
+				{ header: 'prazo', value: (proposal) => proposal.timeline },
+				{ header: 'status', value: (proposal) => proposal.status },
+				{ header: 'criado_em', value: (proposal) => proposal.createdAt },
+			]),
+		},
+		{
+			name: 'avaliacoes-feitas.csv',
+			content: toCsv(data.reviews.given, reviewColumns('reviewed', 'avaliado')),
+		},
+		{
+			name: 'avaliacoes-recebidas.csv',
+			content: toCsv(data.reviews.received, reviewColumns('reviewer', 'avaliador')),
+		},
+		{
+			name: 'pagamentos.csv',
+			content: toCsv(data.payments, [
+				{ header: 'id', value: (payment) => payment._id },
+				{ header: 'papel', value: (payment) => payment.role },
+				{ header: 'projeto', value: (payment) => payment.project },
+				{ header: 'valor', value: (payment) => payment.amount },
+				{ header: 'moeda', value: (payment) => payment.currency },
+				{ header: 'status', value: (payment) => payment.status },
+				{ header: 'metodo', value: (payment) => payment.paymentMethod },
+				{ header: 'descricao', value: (payment) => payment.description },
+				{ header: 'vencimento', value: (payment) => payment.dueDate },
+				{ header: 'pago_em', value: (payment) => payment.paidAt },
+				{ header: 'reembolsado_em', value: (payment) => payment.refundedAt },
+				{ header: 'criado_em', value: (payment) => payment.createdAt },
+			]),
+		},
+	])
+}
+
+// Processa um pedido pendente. A atualização condicional garante que apenas
+// um processo (requisição ou tarefa agendada) gere o arquivo.
+export const runDataExport = async (dataExportId) => {
+	const dataExport = await DataExport.findOneAndUpdate(
+		{ _id: dataExportId, status: 'pending' },
+		{ status: 'processing', startedAt: new Date() },
+		{ new: true },
+	)
+	if (!dataExport) return
+
+	try {
+		const archive = buildExportArchive(await collectUserData(dataExport.user))
+		const fileName = `${dataExport._id}.zip`
+
+		await fs.mkdir(getExportsDir(), { recursive: true })
+		await fs.writeFile(path.join(getExportsDir(), fileName), archive)
+
+		dataExport.status = 'completed'
+		dataExport.fileName = fileName
+		dataExport.fileSize = archive.length
+		dataExport.completedAt = new Date()
+		dataExport.expiresAt = new Date(Date.now() + getExportTtlMs())
+		await dataExport.save()
+	} catch (error) {
+		console.error(`Erro ao gerar exportação ${dataExport._id}:`, error)
+		dataExport.status = 'failed'
+		dataExport.error = 'Não foi possível gerar o arquivo. Solicite uma nova exportação.'
+		await dataExport.save()
+	}
+}
+
+// Tempo máximo de geração; depois disso o pedido é considerado interrompido (padrão: 30 min)
+const getProcessingTimeoutMs = () =>
+	parseInt(process.env.DATA_EXPORT_PROCESSING_TIMEOUT_MINUTES || '30', 10) * 60 * 1000
+
+// Tarefa agendada: devolve à fila pedidos interrompidos (ex.: reinício do servidor durante
+// a geração), gera pedidos pendentes e remove arquivos expirados
+export const processDataExports = async () => {
+	await DataExport.updateMany(
+		{ status: 'processing', startedAt: { $lte: new Date(Date.now() - getProcessingTimeoutMs()) } },
+		{ status: 'pending' },
+	)
+
+	const pending = await DataExport.find({ status: 'pending' }).sort({ createdAt: 1 }).limit(10)
+	for (const dataExport of pending) {
+		await runDataExport(dataExport._id)
+	}
+
+	const expired = await DataExport.find({ status: 'completed', expiresAt: { $lte: new Date() } })
+	for (const dataExport of expired) {
+		await fs.rm(getExportFilePath(dataExport), { force: true })
+		dataExport.status = 'expired'
+		await dataExport.save()
+	}
+}
@@ -0,0 +1,48 @@
+// services/deliverables.js
+import Deliverable from '../models/Deliverable.js'
+import Project from '../models/Project.js'
+import { ProjectTransitionError, transitionProject } from './projectLifecycle.js'
+
+// Rodadas de revisão que o cliente pode pedir por projeto (padrão: 3)
+export const getMaxRevisions = () => parseInt(process.env.DELIVERABLE_MAX_REVISIONS || '3', 10)
+
+// Prazo para o cliente responder antes do aceite automático (padrão: 7 dias)
+export const getAutoAcceptMs = () =>
+	parseInt(process.env.DELIVERABLE_AUTO_ACCEPT_DAYS || '7', 10) * 24 * 60 * 60 * 1000
+
+// Aceita a entrega e conclui o projeto. Sem "req", o aceite é automático (processo interno).
+export const acceptDeliverable = async (deliverable, project, req = null) => {
+	await transitionProject(project, 'complete', { req, user: req?.user ?? null })
+
+	deliverable.status = 'accepted'
+	deliverable.reviewedAt = new Date()
+	deliverable.acceptedAutomatically = !req
+	deliverable.autoAcceptAt = undefined
+	await deliverable.save()
+
+	return deliverable
+}
+
+// Tarefa agendada: aceita as entregas sem resposta do cliente dentro do prazo
+export const processDeliverableAutoAcceptance = async () => {
+	const expired = await Deliverable.find({
+		status: 'pending',
+		autoAcceptAt: { $lte: new Date() },
+	}).limit(50)
+
+	for (const deliverable of expired) {
+		const project = await Project.findById(deliverable.project)
+
+		try {
+			if (!project) throw new ProjectTransitionError('Projeto não encontrado')
+			await acceptDeliverable(deliverable, project)
+		} catch (error) {
+			if (!(error instanceof ProjectTransitionError)) throw error
+
+			// Ex.: projeto em disputa ou com marcos pendentes. Não tenta de novo.
+			console.error(`Aceite automático da entrega ${deliverable._id} não aplicado:`, error.message)
+			deliverable.autoAcceptAt = undefined
+			await deliverable.save()
+		}
+	}
+}
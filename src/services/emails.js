@@ -0,0 +1,96 @@
+// services/emails.js
+import { sendMail } from './mailer.js'
+
+const frontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:3000'
+
+const escapeHtml = (value) =>
+	String(value).replace(
+		/[&<>"']/g,
+		(char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char],
+	)
+
+// Email com o link de verificação do endereço de email
+export const sendVerificationEmail = (user, token) => {
+	const link = `${frontendUrl()}/verify-email?token=${token}`
+
+	return sendMail({
+		to: user.email,
+		subject: 'Confirme seu email',
+		text: `Olá, ${user.name}!\n\nConfirme seu email acessando o link abaixo:\n${link}\n\nSe você não criou esta conta, ignore esta mensagem.`,
+		html: `<p>Olá, ${escapeHtml(user.name)}!</p><p>Confirme seu email acessando o link abaixo:</p><p><a href="${link}">${link}</a></p><p>Se você não criou esta conta, ignore esta mensagem.</p>`,
+	})
+}
+
+// Email com o link de redefinição de senha
+export const sendPasswordResetEmail = (user, token, ttlMinutes) => {
+	const link = `${frontendUrl()}/reset-password?token=${token}`
+
+	return sendMail({
+		to: user.email,
+		subject: 'Redefinição de senha',
+		text: `Olá, ${user.name}!\n\nRecebemos uma solicitação para redefinir sua senha. O link abaixo é válido por ${ttlMinutes} minutos:\n${link}\n\nSe você não fez esta solicitação, ignore esta mensagem.`,
+		html: `<p>Olá, ${escapeHtml(user.name)}!</p><p>Recebemos uma solicitação para redefinir sua senha. O link abaixo é válido por ${ttlMinutes} minutos:</p><p><a href="${link}">${link}</a></p><p>Se você não fez esta solicitação, ignore esta mensagem.</p>`,
+	})
+}
+
+// Email enviado quando a conta é bloqueada por excesso de tentativas de login
+export const sendAccountLockedEmail = (user, token) => {
+	const link = `${frontendUrl()}/unlock-account?token=${token}`
+
+	return sendMail({
+		to: user.email,
+		subject: 'Sua conta foi bloqueada temporariamente',
+		text: `Olá, ${user.name}!\n\nDetectamos várias tentativas de login sem sucesso e bloqueamos sua conta temporariamente. Se foi você, desbloqueie pelo link abaixo:\n${link}\n\nSe não foi você, recomendamos redefinir sua senha.`,
+		html: `<p>Olá, ${escapeHtml(user.name)}!</p><p>Detectamos várias tentativas de login sem sucesso e bloqueamos sua conta temporariamente. Se foi você, desbloqueie pelo link abaixo:</p><p><a href="${link}">${link}</a></p><p>Se não foi você, recomendamos redefinir sua senha.</p>`,
+	})
+}
+
+// Email de confirmação do agendamento da exclusão de conta
+export const sendAccountDeletionScheduledEmail = (user, scheduledFor) => {
+	const link = `${frontendUrl()}/settings/account`
+	const date = scheduledFor.toLocaleDateString('pt-BR')
+
+	return sendMail({
+		to: user.email,
+		subject: 'Exclusão de conta agendada',
+		text: `Olá, ${user.name}!\n\nRecebemos sua solicitação de exclusão de conta. Seus dados pessoais serão removidos em ${date}. Até lá, você pode cancelar a exclusão nas configurações da conta:\n${link}\n\nSe você não fez esta solicitação, cancele a exclusão e altere sua senha.`,
+		html: `<p>Olá, ${escapeHtml(user.name)}!</p><p>Recebemos sua solicitação de exclusão de conta. Seus dados pessoais serão removidos em ${date}. Até lá, você pode cancelar a exclusão nas configurações da conta:</p><p><a href="${link}">${link}</a></p><p>Se você não fez esta solicitação, cancele a exclusão e altere sua senha.</p>`,
+	})
+}
+
+// Email avisando da suspensão da conta, com o motivo e como recorrer
+export const sendAccountSuspendedEmail = (user, suspension) => {
+	const link = `${frontendUrl()}/settings/suspension`
+	const period = suspension.until
+		? `até ${suspension.until.toLocaleDateString('pt-BR')}`
+		: 'por tempo indeterminado'
+
+	return sendMail({
+		to: user.email,
+		subject: 'Sua conta foi suspensa',
+		text: `Olá, ${user.name}!\n\nSua conta foi suspensa ${period}.\n\nMotivo: ${suspension.reason}\n\nSe você acredita que houve um engano, envie um recurso pelo link abaixo:\n${link}`,
+		html: `<p>Olá, ${escapeHtml(user.name)}!</p><p>Sua conta foi suspensa ${period}.</p><p>Motivo: ${escapeHtml(suspension.reason)}</p><p>Se você acredita que houve um engano, envie um recurso pelo link abaixo:</p><p><a href="${link}">${link}</a></p>`,
+	})
+}
+
+// Email avisando que a suspensão foi encerrada
+export const sendSuspensionLiftedEmail = (user) => {
+	return sendMail({
+		to: user.email,
+		subject: 'Sua conta foi reativada',
+		text: `Olá, ${user.name}!\n\nA suspensão da sua conta foi encerrada e você já pode voltar a usar a plataforma.`,
+		html: `<p>Olá, ${escapeHtml(user.name)}!</p><p>A suspensão da sua conta foi encerrada e você já pode voltar a usar a plataforma.</p>`,
+	})
+}
+
+// Email com a decisão sobre um recurso recusado (recursos aceitos encerram a suspensão)
+export const sendSuspensionAppealRejectedEmail = (user, suspension) => {
+	const { response } = suspension.appeal
+
+	return sendMail({
+		to: user.email,
+		subject: 'Resposta ao seu recurso',
+		text: `Olá, ${user.name}!\n\nAnalisamos seu recurso e a suspensão da sua conta foi mantida.${response ? `\n\nResposta: ${response}` : ''}`,
+		html: `<p>Olá, ${escapeHtml(user.name)}!</p><p>Analisamos seu recurso e a suspensão da sua conta foi mantida.</p>${response ? `<p>Resposta: ${escapeHtml(response)}</p>` : ''}`,
+	})
+}
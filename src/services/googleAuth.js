@@ -0,0 +1,109 @@
+// services/googleAuth.js
+import crypto from 'crypto'
+import { readFile } from 'fs/promises'
+import jwt from 'jsonwebtoken'
+
+const GOOGLE_ISSUERS = ['accounts.google.com', 'https://accounts.google.com']
+const DEFAULT_JWKS_URI = 'https://www.googleapis.com/oauth2/v3/certs'
+
+export class GoogleAuthError extends Error {
+	constructor(message, code = 'GOOGLE_TOKEN_INVALID') {
+		super(message)
+		this.name = 'GoogleAuthError'
+		this.code = code
+	}
+}
+
+// Cache em memória das chaves públicas do Google
+let jwksCache = { keys: null, expiresAt: 0 }
+
+const getCacheTtl = () => parseInt(process.env.GOOGLE_JWKS_CACHE_TTL || '3600', 10) * 1000
+
+// Carrega o JWKS de um arquivo local (testes) ou da URL configurada
+const loadJwks = async () => {
+	if (process.env.GOOGLE_JWKS_FILE) {
+		const content = await readFile(process.env.GOOGLE_JWKS_FILE, 'utf8')
+		return { jwks: JSON.parse(content), ttl: getCacheTtl() }
+	}
+
+	const response = await fetch(process.env.GOOGLE_JWKS_URI || DEFAULT_JWKS_URI)
+	if (!response.ok) {
+		throw new Error(`Falha ao buscar JWKS do Google: HTTP ${response.status}`)
+	}
+
+	// Respeita o max-age informado pelo Google quando presente
+	const maxAge = /max-age=(\d+)/.exec(response.headers.get('cache-control') || '')
+	const ttl = maxAge ? parseInt(maxAge[1], 10) * 1000 : getCacheTtl()
+
+	return { jwks: await response.json(), ttl }
+}
+
+const getJwks = async (forceRefresh = false) => {
+	if (!forceRefresh && jwksCache.keys && jwksCache.expiresAt > Date.now()) {
+		return jwksCache.keys
+	}
+
+	const { jwks, ttl } = await loadJwks()
+	jwksCache = { keys: jwks.keys || [], expiresAt: Date.now() + ttl }
+	return jwksCache.keys
+}
+
+// Busca a chave pelo kid, recarregando o JWKS uma vez caso o Google tenha rotacionado as chaves
+const getPublicKey = async (kid) => {
+	let jwk = (await getJwks()).find((key) => key.kid === kid)
+
+	if (!jwk) {
+		jwk = (await getJwks(true)).find((key) => key.kid === kid)
+	}
+
+	if (!jwk) {
+		throw new GoogleAuthError('Chave de assinatura do Google desconhecida')
+	}
+
+	return crypto.createPublicKey({ key: jwk, format: 'jwk' })
+}
+
+// Verifica um ID token do Google (assinatura, aud, iss, exp e email_verified)
+// e retorna a identidade do usuário
+export const verifyGoogleIdToken = async (idToken) => {
+	const clientIds = (process.env.GOOGLE_CLIENT_ID || '')
+		.split(',')
+		.map((id) => id.trim())
+		.filter(Boolean)
+
+	if (clientIds.length === 0) {
+		throw new Error('GOOGLE_CLIENT_ID não configurado')
+	}
+
+	const decoded = jwt.decode(idToken, { complete: true })
+	if (!decoded || !decoded.header.kid) {
+		throw new GoogleAuthError('ID token malformado')
+	}
+
+	const publicKey = await getPublicKey(decoded.header.kid)
+
+	let payload
+	try {
+		payload = jwt.verify(idToken, publicKey, {
+			algorithms: ['RS256'],
+			audience: clientIds,
+			issuer: GOOGLE_ISSUERS,
+		})
+	} catch (error) {
+		if (error.name === 'TokenExpiredError') {
+			throw new GoogleAuthError('ID token expirado', 'GOOGLE_TOKEN_EXPIRED')
+		}
+		throw new GoogleAuthError('ID token inválido')
+	}
+
+	if (payload.email_verified !== true && payload.email_verified !== 'true') {
+		throw new GoogleAuthError('Email da conta Google não verificado', 'GOOGLE_EMAIL_NOT_VERIFIED')
+	}
+
+	return {
+		googleId: payload.sub,
+		email: payload.email.toLowerCase(),
+		name: payload.name || payload.email,
+		picture: payload.picture,
+	}
+}
@@ -0,0 +1,91 @@
+// services/legal.js
+import Consent from '../models/Consent.js'
+import LegalDocument from '../models/LegalDocument.js'
+import User from '../models/User.js'
+
+// Documentos que precisam estar aceitos na versão atual para usar a plataforma.
+// O opt-in de marketing é opcional.
+export const REQUIRED_DOCUMENT_TYPES = ['terms', 'privacy']
+
+let cache = null
+
+const getCacheTtlMs = () => parseInt(process.env.LEGAL_DOCUMENTS_CACHE_SECONDS || '60', 10) * 1000
+
+// Última versão publicada de cada tipo de documento ({ terms, privacy, marketing }).
+// Consultada a cada requisição autenticada, por isso fica em cache por alguns segundos.
+export const getCurrentDocuments = async () => {
+	if (cache && Date.now() - cache.loadedAt < getCacheTtlMs()) {
+		return cache.documents
+	}
+
+	const latest = await LegalDocument.aggregate([
+		{ $sort: { type: 1, version: -1 } },
+		{ $group: { _id: '$type', document: { $first: '$$ROOT' } } },
+	])
+
+	const documents = Object.fromEntries(latest.map((item) => [item._id, item.document]))
+	cache = { documents, loadedAt: Date.now() }
+	return documents
+}
+
+export const clearLegalDocumentsCache = () => {
+	cache = null
+}
+
+// Documentos obrigatórios cuja versão atual o usuário ainda não aceitou
+export const getPendingDocuments = async (user) => {
+	const current = await getCurrentDocuments()
+
+	return REQUIRED_DOCUMENT_TYPES.map((type) => current[type]).filter(
+		(document) => document && (user.legalAcceptances?.[document.type] || 0) < document.version,
+	)
+}
+
+// Aceites registrados no cadastro: versões atuais dos documentos obrigatórios e,
+// se informada, a escolha sobre o opt-in de marketing
+export const getSignupConsents = async (marketingOptIn) => {
+	const current = await getCurrentDocuments()
+
+	const entries = REQUIRED_DOCUMENT_TYPES.filter((type) => current[type]).map((type) => ({
+		document: current[type],
+		accepted: true,
+	}))
+
+	if (current.marketing && marketingOptIn !== undefined) {
+		entries.push({
+			document: current.marketing,
+			accepted: marketingOptIn === true || marketingOptIn === 'true',
+		})
+	}
+
+	return entries
+}
+
+// Registra os aceites no histórico (com IP e user agent) e atualiza o resumo no usuário.
+// entries: [{ document, accepted }]
+export const recordConsents = async (req, userId, entries) => {
+	if (!entries.length) return
+
+	await Consent.insertMany(
+		entries.map(({ document, accepted }) => ({
+			user: userId,
+			document: document._id,
+			documentType: document.type,
+			version: document.version,
+			accepted,
+			ip: req.ip,
+			userAgent: req.get('user-agent'),
+		})),
+	)
+
+	const update = {}
+	for (const { document, accepted } of entries) {
+		if (document.type === 'marketing') {
+			update.marketingOptIn = accepted
+		} else if (accepted) {
+			update[`legalAcceptances.${document.type}`] = document.version
+		}
+	}
+
+	await User.updateOne({ _id: userId }, { $set: update })
+}
@@ -0,0 +1,125 @@
+// services/loginThrottle.js
+import LoginAttempt from '../models/LoginAttempt.js'
+
+const getConfig = () => ({
+	accountThreshold: parseInt(process.env.LOGIN_MAX_ATTEMPTS || '5', 10),
+	ipThreshold: parseInt(process.env.LOGIN_IP_MAX_ATTEMPTS || '20', 10),
+	lockoutMs: parseInt(process.env.LOGIN_LOCKOUT_MINUTES || '15', 10) * 60 * 1000,
+	backoffBaseMs: parseInt(process.env.LOGIN_BACKOFF_BASE_SECONDS || '1', 10) * 1000,
+	windowMs: parseInt(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES || '60', 10) * 60 * 1000,
+})
+
+const accountKey = (email) => `account:${String(email).toLowerCase().trim()}`
+const ipKey = (ip) => `ip:${ip}`
+
+// Tempo de espera (ms) até a próxima tentativa permitida para um registro
+const getWaitMs = (attempt, config) => {
+	if (!attempt) return 0
+
+	const now = Date.now()
+
+	if (attempt.lockedUntil && attempt.lockedUntil.getTime() > now) {
+		return attempt.lockedUntil.getTime() - now
+	}
+
+	// Backoff exponencial: 1s, 2s, 4s... após cada falha, limitado ao tempo de bloqueio
+	if (attempt.failures > 0 && attempt.lastFailureAt) {
+		const delay = Math.min(config.backoffBaseMs * 2 ** (attempt.failures - 1), config.lockoutMs)
+		return Math.max(0, attempt.lastFailureAt.getTime() + delay - now)
+	}
+
+	return 0
+}
+
+const isLocked = (attempt) => Boolean(attempt?.lockedUntil && attempt.lockedUntil > new Date())
+
+// Verifica se uma tentativa de login é permitida agora.
+// Retorna { allowed, locked, retryAfter } (retryAfter em segundos).
+export const checkLoginAllowed = async (email, ip) => {
+	const config = getConfig()
+	const [account, address] = await Promise.all([
+		LoginAttempt.findOne({ key: accountKey(email) }),
+		LoginAttempt.findOne({ key: ipKey(ip) }),
+	])
+
+	const waitMs = Math.max(getWaitMs(account, config), getWaitMs(address, config))
+
+	return {
+		allowed: waitMs === 0,
+		locked: isLocked(account) || isLocked(address),
+		retryAfter: Math.ceil(waitMs / 1000),
+	}
+}
+
+// Incrementa o contador de forma atômica. Falhas antigas (fora da janela) ou
+// um bloqueio já expirado reiniciam a contagem.
+const incrementFailures = (key, threshold, config) => {
+	const now = new Date()
+	const lockExpired = {
+		$and: [{ $gt: ['$lockedUntil', null] }, { $lt: ['$lockedUntil', now] }],
+	}
+
+	return LoginAttempt.findOneAndUpdate(
+		{ key },
+		[
+			{
+				$set: {
+					failures: {
+						$cond: [
+							{
+								$or: [
+									{ $lt: ['$lastFailureAt', new Date(now.getTime() - config.windowMs)] },
+									lockExpired,
+								],
+							},
+							1,
+							{ $add: [{ $ifNull: ['$failures', 0] }, 1] },
+						],
+					},
+					lockedUntil: {
+						$cond: [lockExpired, null, '$lockedUntil'],
+					},
+					lastFailureAt: now,
+					expiresAt: new Date(now.getTime() + Math.max(config.windowMs, config.lockoutMs)),
+				},
+			},
+			{
+				$set: {
+					lockedUntil: {
+						$cond: [
+							{ $gte: ['$failures', threshold] },
+							new Date(now.getTime() + config.lockoutMs),
+							'$lockedUntil',
+						],
+					},
+				},
+			},
+		],
+		{ upsert: true, new: true },
+	)
+}
+
+// Registra uma falha de login para a conta e para o IP.
+// Retorna { locked, accountLockedNow, retryAfter }.
+export const registerLoginFailure = async (email, ip) => {
+	const config = getConfig()
+	const [account, address] = await Promise.all([
+		incrementFailures(accountKey(email), config.accountThreshold, config),
+		incrementFailures(ipKey(ip), config.ipThreshold, config),
+	])
+
+	const waitMs = Math.max(getWaitMs(account, config), getWaitMs(address, config))
+
+	return {
+		locked: isLocked(account) || isLocked(address),
+		// Verdadeiro apenas na falha que causou o bloqueio (para enviar o email de desbloqueio uma vez)
+		accountLockedNow: account.failures === config.accountThreshold,
+		retryAfter: Math.ceil(waitMs / 1000),
+	}
+}
+
+// Login bem-sucedido zera o contador da conta (o do IP expira sozinho)
+export const registerLoginSuccess = (email) => LoginAttempt.deleteOne({ key: accountKey(email) })
+
+// Remove o bloqueio da conta (fluxo de desbloqueio por email)
+export const unlockAccount = (email) => LoginAttempt.deleteOne({ key: accountKey(email) })
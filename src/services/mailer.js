@@ -0,0 +1,52 @@
+// services/mailer.js
+import { mkdir, writeFile } from 'fs/promises'
+import { join } from 'path'
+
+// Transporte que apenas exibe o email no console (desenvolvimento)
+const consoleTransport = {
+	async send(message) {
+		console.log('📧 Email para %s: %s\n%s', message.to, message.subject, message.text)
+	},
+}
+
+// Transporte que grava cada email como JSON em MAIL_OUTBOX_DIR (desenvolvimento/testes)
+const fileTransport = {
+	async send(message) {
+		const dir = process.env.MAIL_OUTBOX_DIR || 'tmp/mail'
+		await mkdir(dir, { recursive: true })
+		const fileName = `${Date.now()}-${message.to.replace(/[^a-z0-9@._-]/gi, '_')}.json`
+		await writeFile(join(dir, fileName), JSON.stringify(message, null, 2))
+	},
+}
+
+const transports = {
+	console: consoleTransport,
+	file: fileTransport,
+}
+
+// Permite registrar outros transportes (SMTP, SES, etc.) com um método send(message)
+export const registerMailTransport = (name, transport) => {
+	if (typeof transport?.send !== 'function') {
+		throw new Error('Transporte de email deve implementar send(message)')
+	}
+	transports[name] = transport
+}
+
+// Envia um email usando o transporte configurado em MAIL_TRANSPORT
+export const sendMail = async ({ to, subject, text, html }) => {
+	const transportName = process.env.MAIL_TRANSPORT || 'console'
+	const transport = transports[transportName]
+
+	if (!transport) {
+		throw new Error(`Transporte de email "${transportName}" não registrado`)
+	}
+
+	await transport.send({
+		from: process.env.MAIL_FROM || 'FreelancerHub <nao-responda@freelancerhub.com>',
+		to,
+		subject,
+		text,
+		html,
+		date: new Date().toISOString(),
+	})
+}
@@ -0,0 +1,27 @@
+// services/negotiation.js
+import CounterOffer from '../models/CounterOffer.js'
+
+// Prazo para o outro lado responder a uma contraproposta (padrão: 72h)
+export const getOfferTtlMs = () =>
+	parseInt(process.env.COUNTER_OFFER_TTL_HOURS || '72', 10) * 60 * 60 * 1000
+
+// Lado do usuário na negociação: cliente dono do projeto ou autor da proposta
+export const getNegotiationSide = (proposal, project, user) => {
+	if (project.client.equals(user._id)) return 'client'
+	if (proposal.freelancer.equals(user._id)) return 'freelancer'
+	return null
+}
+
+// Encerra as ofertas sem resposta (proposta retirada, recusada ou projeto contratado/cancelado)
+export const cancelOpenOffers = (filter) =>
+	CounterOffer.updateMany(
+		{ ...filter, status: 'open' },
+		{ status: 'cancelled', respondedAt: new Date() },
+	)
+
+// Tarefa agendada: marca como expiradas as ofertas sem resposta no prazo
+export const expireCounterOffers = () =>
+	CounterOffer.updateMany(
+		{ status: 'open', expiresAt: { $lte: new Date() } },
+		{ status: 'expired' },
+	)
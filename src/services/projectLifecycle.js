@@ -0,0 +1,250 @@
+// services/projectLifecycle.js
+import { hasPermission } from '../config/permissions.js'
+import Proposal from '../models/Proposal.js'
+import User from '../models/User.js'
+import { recordAuditEvent } from './audit.js'
+import { refundProjectCredits } from './credits.js'
+import { cancelOpenOffers } from './negotiation.js'
+
+export const PROJECT_STATUSES = [
+	'draft',
+	'open',
+	'in_review',
+	'in_progress',
+	'delivered',
+	'completed',
+	'cancelled',
+	'disputed',
+]
+
+// Erro de transição de status, com o status HTTP e o código retornados pela API
+export class ProjectTransitionError extends Error {
+	constructor(message, { status = 409, code = 'INVALID_TRANSITION' } = {}) {
+		super(message)
+		this.name = 'ProjectTransitionError'
+		this.status = status
+		this.code = code
+	}
+}
+
+// Encerra a fase de propostas: recusa as pendentes e as negociações em aberto
+const rejectPendingProposals = async (project, except) => {
+	await Proposal.updateMany(
+		{ project: project._id, status: 'pending', ...(except && { _id: { $ne: except } }) },
+		{ status: 'rejected' },
+	)
+	await cancelOpenOffers({ project: project._id })
+}
+
+const incrementCompletedProjects = (project) =>
+	User.updateOne({ _id: project.assignedTo }, { $inc: { completedProjects: 1 } })
+
+// Transições permitidas. Cada ação define os status de origem, o status de destino,
+// quem pode executá-la (client = dono, freelancer = contratado, staff = permissão
+// project:moderate, system = processos internos), uma pré-condição opcional
+// (retorna, ou resolve com, a mensagem de erro quando não atendida) e efeitos
+// colaterais executados depois de salvar o projeto (after). Ações "internal" são disparadas
+// apenas por outros fluxos (aceite de proposta, entregas, aprovação de marcos).
+export const PROJECT_TRANSITIONS = {
+	publish: {
+		from: ['draft'],
+		to: 'open',
+		actors: ['client'],
+	},
+	review: {
+		from: ['open'],
+		to: 'in_review',
+		actors: ['client'],
+		guard: async (project) =>
+			!(await Proposal.exists({ project: project._id, status: 'pending' })) &&
+			'Não há propostas pendentes para analisar',
+	},
+	reopen: {
+		from: ['in_review'],
+		to: 'open',
+		actors: ['client'],
+	},
+	assign: {
+		from: ['open', 'in_review'],
+		to: 'in_progress',
+		actors: ['client'],
+		internal: true,
+		guard: (project) => !project.assignedTo && 'Nenhum freelancer atribuído ao projeto',
+		after: (project, { proposalId }) => rejectPendingProposals(project, proposalId),
+	},
+	deliver: {
+		from: ['in_progress'],
+		to: 'delivered',
+		actors: ['freelancer', 'system'],
+		internal: true,
+	},
+	request_revision: {
+		from: ['delivered'],
+		to: 'in_progress',
+		actors: ['client', 'system'],
+		internal: true,
+	},
+	complete: {
+		from: ['delivered'],
+		to: 'completed',
+		actors: ['client', 'system'],
+		internal: true,
+		guard: (project) =>
+			project.milestones.length > 0 &&
+			!project.allMilestonesApproved() &&
+			'Todos os marcos precisam estar aprovados',
+		after: incrementCompletedProjects,
+	},
+	// Conclusão derivada da aprovação do último marco
+	complete_milestones: {
+		from: ['in_progress', 'delivered'],
+		to: 'completed',
+		actors: ['system'],
+		internal: true,
+		guard: (project) =>
+			!project.allMilestonesApproved() && 'Todos os marcos precisam estar aprovados',
+		after: incrementCompletedProjects,
+	},
+	cancel: {
+		from: ['draft', 'open', 'in_review'],
+		to: 'cancelled',
+		actors: ['client', 'staff', 'system'],
+		// Sem contratação, os freelancers recebem de volta os créditos das propostas
+		after: async (project) => {
+			await rejectPendingProposals(project)
+			await refundProjectCredits(project)
+		},
+	},
+	dispute: {
+		from: ['in_progress', 'delivered'],
+		to: 'disputed',
+		actors: ['client', 'freelancer'],
+		requiresReason: true,
+	},
+	resolve_continue: {
+		from: ['disputed'],
+		to: 'in_progress',
+		actors: ['staff'],
+		requiresReason: true,
+	},
+	resolve_complete: {
+		from: ['disputed'],
+		to: 'completed',
+		actors: ['staff'],
+		requiresReason: true,
+		after: incrementCompletedProjects,
+	},
+	resolve_cancel: {
+		from: ['disputed', 'in_progress', 'delivered'],
+		to: 'cancelled',
+		actors: ['staff'],
+		requiresReason: true,
+	},
+}
+
+// Status em que o projeto está contratando: listado publicamente e recebendo propostas
+export const HIRING_STATUSES = PROJECT_TRANSITIONS.assign.from
+
+// Status em que o cliente ainda pode planejar marcos: antes da contratação ou em andamento
+export const MILESTONE_PLANNING_STATUSES = [
+	...PROJECT_TRANSITIONS.cancel.from,
+	...PROJECT_TRANSITIONS.deliver.from,
+]
+
+// Papéis do usuário em relação ao projeto (sem usuário = processo interno)
+export const getProjectActors = (project, user) => {
+	if (!user) return ['system']
+
+	const actors = []
+	const userId = user._id.toString()
+	if (project.client.toString() === userId) actors.push('client')
+	if (project.assignedTo?.toString() === userId) actors.push('freelancer')
+	if (hasPermission(user, 'project:moderate')) actors.push('staff')
+	return actors
+}
+
+// Ações que o usuário pode executar no status atual do projeto
+export const getAvailableActions = (project, user) => {
+	const actors = getProjectActors(project, user)
+
+	return Object.entries(PROJECT_TRANSITIONS)
+		.filter(
+			([, transition]) =>
+				!transition.internal &&
+				transition.from.includes(project.status) &&
+				transition.actors.some((actor) => actors.includes(actor)),
+		)
+		.map(([action, transition]) => ({ action, to: transition.to }))
+}
+
+// Ação que leva o projeto ao status informado (compatibilidade com PUT /api/projects/:id)
+export const findActionForStatus = (project, user, status) =>
+	getAvailableActions(project, user).find((available) => available.to === status)?.action
+
+// Aplica uma transição ao projeto: valida origem, permissão e pré-condição, registra o
+// histórico, salva e executa os efeitos colaterais. Lança ProjectTransitionError.
+// options: { user, reason, req, proposalId }
+export const transitionProject = async (project, action, options = {}) => {
+	const { user = options.req?.user, reason, req } = options
+	const transition = PROJECT_TRANSITIONS[action]
+
+	if (!transition) {
+		throw new ProjectTransitionError(`Ação "${action}" inválida`, {
+			status: 400,
+			code: 'INVALID_ACTION',
+		})
+	}
+
+	if (!transition.from.includes(project.status)) {
+		throw new ProjectTransitionError(
+			`Não é possível executar "${action}" em um projeto com status "${project.status}"`,
+		)
+	}
+
+	const actors = getProjectActors(project, user)
+	if (!transition.actors.some((actor) => actors.includes(actor))) {
+		throw new ProjectTransitionError('Você não pode executar esta ação neste projeto', {
+			status: 403,
+			code: 'TRANSITION_FORBIDDEN',
+		})
+	}
+
+	if (transition.requiresReason && !reason) {
+		throw new ProjectTransitionError('Informe o motivo', {
+			status: 400,
+			code: 'REASON_REQUIRED',
+		})
+	}
+
+	const guardError = await transition.guard?.(project)
+	if (guardError) {
+		throw new ProjectTransitionError(guardError, {
+			status: 400,
+			code: 'TRANSITION_PRECONDITION_FAILED',
+		})
+	}
+
+	const from = project.status
+	project.status = transition.to
+	project.statusHistory.push({ from, to: transition.to, action, actor: user?._id, reason })
+
+	await project.save()
+	await transition.after?.(project, options)
+
+	await recordAuditEvent(req, {
+		action: 'project.status_changed',
+		actor: user?._id,
+		target: { type: 'Project', id: project._id },
+		changes: { before: { status: from }, after: { status: transition.to } },
+		metadata: { transition: action, reason },
+	})
+
+	return project
+}
+
+// Responde a um ProjectTransitionError no formato padrão da API
+export const respondTransitionError = (res, error) =>
+	res.status(error.status).json({
+		message: error.message,
+		code: error.code,
+	})
@@ -0,0 +1,143 @@
+// services/proposalTriage.js
+import mongoose from 'mongoose'
+import User from '../models/User.js'
+
+export const TRIAGE_STATES = ['shortlisted', 'archived']
+
+export const MAX_TAGS = 10
+export const MAX_TAG_LENGTH = 30
+export const MAX_COMPARE = 10
+
+// Campos de ordenação da lista de propostas ("-campo" para decrescente)
+export const PROPOSAL_SORT_FIELDS = {
+	createdAt: 'createdAt',
+	bid: 'bid',
+	rating: 'freelancer.rating',
+	completedProjects: 'freelancer.completedProjects',
+	hourlyRate: 'freelancer.hourlyRate',
+}
+
+// Dados do freelancer usados na triagem e na comparação
+const FREELANCER_FIELDS = {
+	name: 1,
+	avatar: 1,
+	title: 1,
+	rating: 1,
+	completedProjects: 1,
+	hourlyRate: 1,
+}
+
+// Etiquetas em minúsculas, sem espaços nas pontas e sem repetição
+export const normalizeTags = (tags) => [
+	...new Set(tags.map((tag) => String(tag).trim().toLowerCase()).filter(Boolean)),
+]
+
+const range = (min, max) => {
+	if (min === undefined && max === undefined) return undefined
+	return {
+		...(min !== undefined && { $gte: min }),
+		...(max !== undefined && { $lte: max }),
+	}
+}
+
+// Filtros sobre os dados do freelancer, aplicados depois do $lookup
+const buildFreelancerMatch = ({
+	minRating,
+	minCompletedProjects,
+	minHourlyRate,
+	maxHourlyRate,
+}) => {
+	const match = {}
+	if (minRating !== undefined) match['freelancer.rating'] = { $gte: minRating }
+	if (minCompletedProjects !== undefined) {
+		match['freelancer.completedProjects'] = { $gte: minCompletedProjects }
+	}
+	const hourlyRate = range(minHourlyRate, maxHourlyRate)
+	if (hourlyRate) match['freelancer.hourlyRate'] = hourlyRate
+	return match
+}
+
+// Filtros sobre a própria proposta. Sem "triage", as arquivadas ficam de fora.
+export const buildProposalMatch = (projectId, { status, triage, tags, minBid, maxBid }) => {
+	const match = { project: projectId }
+
+	if (status) match.status = status
+
+	if (triage === 'none') {
+		match['triage.state'] = null
+	} else if (TRIAGE_STATES.includes(triage)) {
+		match['triage.state'] = triage
+	} else if (triage !== 'all') {
+		match['triage.state'] = { $ne: 'archived' }
+	}
+
+	if (tags?.length) match['triage.tags'] = { $all: tags }
+
+	const bid = range(minBid, maxBid)
+	if (bid) match.bid = bid
+
+	return match
+}
+
+// Junta o freelancer à proposta sem expor os demais campos do usuário
+const freelancerLookup = [
+	{
+		$lookup: {
+			from: User.collection.name,
+			let: { freelancerId: '$freelancer' },
+			pipeline: [
+				{ $match: { $expr: { $eq: ['$_id', '$$freelancerId'] } } },
+				{ $project: FREELANCER_FIELDS },
+			],
+			as: 'freelancer',
+		},
+	},
+	{ $unwind: '$freelancer' },
+	{ $project: { revisions: 0 } },
+]
+
+// Pipeline da lista paginada de propostas do projeto com filtros e ordenação
+export const buildProposalListPipeline = ({ match, filters, sort, page, limit }) => {
+	const descending = sort.startsWith('-')
+	const field = PROPOSAL_SORT_FIELDS[descending ? sort.slice(1) : sort]
+	const freelancerMatch = buildFreelancerMatch(filters)
+
+	return [
+		{ $match: match },
+		...freelancerLookup,
+		...(Object.keys(freelancerMatch).length ? [{ $match: freelancerMatch }] : []),
+		{
+			$facet: {
+				proposals: [
+					// _id desempata para a paginação ser estável
+					{ $sort: { [field]: descending ? -1 : 1, _id: descending ? -1 : 1 } },
+					{ $skip: (page - 1) * limit },
+					{ $limit: limit },
+				],
+				total: [{ $count: 'count' }],
+			},
+		},
+	]
+}
+
+// Pipeline das propostas escolhidas para comparação (aggregate não converte os IDs)
+export const buildProposalComparePipeline = (projectId, ids) => [
+	{
+		$match: {
+			project: projectId,
+			_id: { $in: ids.map((id) => new mongoose.Types.ObjectId(id)) },
+		},
+	},
+	...freelancerLookup,
+	{
+		$project: {
+			status: 1,
+			bid: 1,
+			timeline: 1,
+			agreedAt: 1,
+			triage: 1,
+			createdAt: 1,
+			freelancer: 1,
+		},
+	},
+]
@@ -0,0 +1,138 @@
+// services/s3Storage.js - Driver de armazenamento compatível com S3 (AWS, MinIO, R2...)
+// Assina as requisições com AWS Signature V4 e usa URLs no formato path-style
+// (endpoint/bucket/chave), aceito pelo S3 e pelos serviços compatíveis.
+import crypto from 'crypto'
+import fs from 'fs'
+import http from 'http'
+import https from 'https'
+
+const EMPTY_HASH = crypto.createHash('sha256').digest('hex')
+
+const getConfig = () => {
+	const region = process.env.S3_REGION || 'us-east-1'
+	const config = {
+		endpoint: (process.env.S3_ENDPOINT || `https://s3.${region}.amazonaws.com`).replace(/\/$/, ''),
+		region,
+		bucket: process.env.S3_BUCKET,
+		accessKeyId: process.env.S3_ACCESS_KEY_ID,
+		secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+	}
+
+	if (!config.bucket || !config.accessKeyId || !config.secretAccessKey) {
+		throw new Error('S3_BUCKET, S3_ACCESS_KEY_ID e S3_SECRET_ACCESS_KEY são obrigatórias')
+	}
+	return config
+}
+
+const hmac = (key, value) => crypto.createHmac('sha256', key).update(value).digest()
+
+// Codificação RFC 3986 exigida na URI canônica
+const encodeSegment = (segment) =>
+	encodeURIComponent(segment).replace(
+		/[!'()*]/g,
+		(char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`,
+	)
+
+// Cabeçalhos de autenticação AWS Signature V4 para a requisição
+const signRequest = (config, method, url, payloadHash) => {
+	const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '')
+	const date = amzDate.slice(0, 8)
+	const scope = `${date}/${config.region}/s3/aws4_request`
+
+	const headers = {
+		host: url.host,
+		'x-amz-content-sha256': payloadHash,
+		'x-amz-date': amzDate,
+	}
+	const signedHeaders = Object.keys(headers).join(';')
+	const canonicalRequest = [
+		method,
+		url.pathname,
+		'',
+		...Object.entries(headers).map(([name, value]) => `${name}:${value}`),
+		'',
+		signedHeaders,
+		payloadHash,
+	].join('\n')
+
+	const stringToSign = [
+		'AWS4-HMAC-SHA256',
+		amzDate,
+		scope,
+		crypto.createHash('sha256').update(canonicalRequest).digest('hex'),
+	].join('\n')
+
+	const signingKey = ['s3', 'aws4_request'].reduce(
+		hmac,
+		hmac(hmac(`AWS4${config.secretAccessKey}`, date), config.region),
+	)
+	const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex')
+
+	return {
+		...headers,
+		authorization: `AWS4-HMAC-SHA256 Credential=${config.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`,
+	}
+}
+
+// Executa a requisição e resolve com a resposta (stream) quando o status é 2xx
+const request = (method, key, { body, headers = {}, payloadHash = EMPTY_HASH } = {}) => {
+	const config = getConfig()
+	const url = new URL(
+		`${config.endpoint}/${encodeSegment(config.bucket)}/${key.split('/').map(encodeSegment).join('/')}`,
+	)
+	const client = url.protocol === 'https:' ? https : http
+
+	return new Promise((resolve, reject) => {
+		const req = client.request(
+			url,
+			{ method, headers: { ...headers, ...signRequest(config, method, url, payloadHash) } },
+			(res) => {
+				if (res.statusCode >= 200 && res.statusCode < 300) return resolve(res)
+
+				const chunks = []
+				res.on('data', (chunk) => chunks.push(chunk))
+				res.on('end', () => {
+					const error = new Error(
+						`S3 ${method} ${key} falhou (${res.statusCode}): ${Buffer.concat(chunks).toString()}`,
+					)
+					if (res.statusCode === 404) error.code = 'ENOENT'
+					reject(error)
+				})
+			},
+		)
+
+		req.on('error', reject)
+		if (body) {
+			body.on('error', (error) => req.destroy(error))
+			body.pipe(req)
+		} else {
+			req.end()
+		}
+	})
+}
+
+export const createS3Driver = () => ({
+	name: 's3',
+
+	// O hash SHA-256 calculado no upload é o próprio hash do payload assinado
+	async save(key, filePath, { contentType, size, sha256 }) {
+		const res = await request('PUT', key, {
+			body: fs.createReadStream(filePath),
+			headers: { 'content-type': contentType, 'content-length': size },
+			payloadHash: sha256,
+		})
+		res.resume()
+		await fs.promises.rm(filePath, { force: true })
+	},
+
+	createReadStream: (key) => request('GET', key),
+
+	async remove(key) {
+		try {
+			const res = await request('DELETE', key)
+			res.resume()
+		} catch (error) {
+			if (error.code !== 'ENOENT') throw error
+		}
+	},
+})
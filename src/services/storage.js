@@ -0,0 +1,63 @@
+// services/storage.js - Armazenamento de arquivos enviados
+// Cada driver implementa:
+//   save(key, filePath, { contentType, size, sha256 }) - guarda o arquivo temporário com a chave
+//   createReadStream(key) - resolve com um stream do conteúdo (erro com code ENOENT se não existir)
+//   remove(key) - remove o objeto (sem erro se já não existir)
+import fs from 'fs'
+import path from 'path'
+import { createS3Driver } from './s3Storage.js'
+
+const getLocalDir = () => path.resolve(process.env.STORAGE_LOCAL_DIR || 'tmp/uploads')
+
+// Resolve a chave dentro do diretório base, sem permitir sair dele
+const resolveLocalPath = (key) => {
+	const base = getLocalDir()
+	const filePath = path.resolve(base, key)
+	if (!filePath.startsWith(base + path.sep)) {
+		throw new Error(`Chave de armazenamento inválida: ${key}`)
+	}
+	return filePath
+}
+
+const createLocalDriver = () => ({
+	name: 'local',
+
+	async save(key, filePath) {
+		const destination = resolveLocalPath(key)
+		await fs.promises.mkdir(path.dirname(destination), { recursive: true })
+
+		try {
+			await fs.promises.rename(filePath, destination)
+		} catch (error) {
+			// Diretório temporário em outro disco
+			if (error.code !== 'EXDEV') throw error
+			await fs.promises.copyFile(filePath, destination)
+			await fs.promises.rm(filePath, { force: true })
+		}
+	},
+
+	async createReadStream(key) {
+		const filePath = resolveLocalPath(key)
+		await fs.promises.access(filePath)
+		return fs.createReadStream(filePath)
+	},
+
+	remove: (key) => fs.promises.rm(resolveLocalPath(key), { force: true }),
+})
+
+const drivers = {
+	local: createLocalDriver,
+	s3: createS3Driver,
+}
+
+const instances = {}
+
+// Driver pelo nome (arquivos antigos continuam no driver em que foram salvos)
+// ou o configurado em STORAGE_DRIVER para novos uploads
+export const getStorage = (name = process.env.STORAGE_DRIVER || 'local') => {
+	if (!drivers[name]) {
+		throw new Error(`Driver de armazenamento desconhecido: ${name}`)
+	}
+	instances[name] ??= drivers[name]()
+	return instances[name]
+}
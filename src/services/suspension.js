@@ -0,0 +1,101 @@
+// services/suspension.js
+import Suspension from '../models/Suspension.js'
+import User from '../models/User.js'
+import { recordAuditEvent } from './audit.js'
+import { sendAccountSuspendedEmail, sendSuspensionLiftedEmail } from './emails.js'
+
+// Dados da suspensão exibidos ao próprio usuário
+export const formatSuspension = (suspension) => ({
+	id: suspension._id,
+	reason: suspension.reason,
+	suspendedAt: suspension.createdAt,
+	until: suspension.until || null,
+	permanent: !suspension.until,
+	active: suspension.isActive(),
+	liftedAt: suspension.liftedAt,
+	appeal: suspension.appeal?.status
+		? {
+				message: suspension.appeal.message,
+				status: suspension.appeal.status,
+				submittedAt: suspension.appeal.submittedAt,
+				reviewedAt: suspension.appeal.reviewedAt,
+				response: suspension.appeal.response,
+			}
+		: null,
+})
+
+// IDs das contas suspensas no momento. São poucas, então a lista é usada
+// diretamente nos filtros das listagens públicas.
+export const getSuspendedUserIds = () => User.find(User.suspended()).distinct('_id')
+
+// Remove do projeto as propostas pendentes enviadas por contas suspensas
+export const hideSuspendedProposals = (project, suspendedIds) => {
+	if (!project.proposals?.length || !suspendedIds.length) return project
+
+	const hidden = new Set(suspendedIds.map(String))
+	return {
+		...project,
+		proposals: project.proposals.filter(
+			(proposal) =>
+				proposal.status !== 'pending' ||
+				!hidden.has(String(proposal.freelancer?._id ?? proposal.freelancer)),
+		),
+	}
+}
+
+// Suspende a conta (until vazio = permanente), registra auditoria e avisa o usuário
+export const suspendUser = async (req, user, { reason, until }) => {
+	const suspension = await Suspension.create({
+		user: user._id,
+		reason,
+		until,
+		suspendedBy: req.user._id,
+	})
+
+	await User.updateOne(
+		{ _id: user._id },
+		{ $set: { suspension: { record: suspension._id, reason, until } } },
+	)
+
+	await recordAuditEvent(req, {
+		action: 'user.suspended',
+		target: { type: 'User', id: user._id },
+		metadata: { suspension: suspension._id, reason, until: until || null },
+	})
+
+	// A suspensão já está em vigor: falha no email não deve desfazer a operação
+	try {
+		await sendAccountSuspendedEmail(user, suspension)
+	} catch (error) {
+		console.error('Erro ao enviar email de suspensão:', error)
+	}
+
+	return suspension
+}
+
+// Encerra a suspensão antes do prazo (decisão de um admin ou recurso aceito).
+// Sem usuário (conta removida), apenas o registro da suspensão é encerrado.
+export const liftSuspension = async (req, user, suspension, reason) => {
+	suspension.liftedAt = new Date()
+	suspension.liftedBy = req.user._id
+	suspension.liftReason = reason
+	await suspension.save()
+
+	await User.updateOne(
+		{ _id: suspension.user, 'suspension.record': suspension._id },
+		{ $unset: { suspension: 1 } },
+	)
+
+	await recordAuditEvent(req, {
+		action: 'user.suspension_lifted',
+		target: { type: 'User', id: suspension.user },
+		metadata: { suspension: suspension._id, reason },
+	})
+
+	if (!user) return
+	try {
+		await sendSuspensionLiftedEmail(user)
+	} catch (error) {
+		console.error('Erro ao enviar email de suspensão encerrada:', error)
+	}
+}
@@ -0,0 +1,183 @@
+// services/tokenService.js
+import crypto from 'crypto'
+import jwt from 'jsonwebtoken'
+
+// Algoritmos assimétricos usam par de chaves (privada para assinar, pública para verificar)
+const isAsymmetric = (algorithm) => /^(RS|PS|ES)/.test(algorithm)
+
+const getAlgorithm = () => process.env.JWT_ALGORITHM || 'HS256'
+const getIssuer = () => process.env.JWT_ISSUER || 'freelancer-platform-api'
+const getAudience = () => process.env.JWT_AUDIENCE || 'freelancer-platform-app'
+
+// Carrega as chaves ativas. JWT_KEYS é um JSON { kid: segredo } ou
+// { kid: { privateKey, publicKey } } para algoritmos assimétricos.
+// Sem JWT_KEYS, o ACCESS_TOKEN_SECRET é usado com o kid "default".
+const getKeys = () => {
+	if (process.env.JWT_KEYS) {
+		return JSON.parse(process.env.JWT_KEYS)
+	}
+
+	if (!process.env.ACCESS_TOKEN_SECRET) {
+		throw new Error('Nenhuma chave JWT configurada (JWT_KEYS ou ACCESS_TOKEN_SECRET)')
+	}
+
+	return { default: process.env.ACCESS_TOKEN_SECRET }
+}
+
+// Kid usado para assinar novos tokens (por padrão, o último da lista)
+const getActiveKid = (keys) => {
+	const kid = process.env.JWT_ACTIVE_KID || Object.keys(keys).pop()
+	if (!keys[kid]) {
+		throw new Error(`Chave JWT ativa "${kid}" não encontrada em JWT_KEYS`)
+	}
+	return kid
+}
+
+const getSigningKey = (key) => (typeof key === 'string' ? key : key.privateKey)
+const getVerificationKey = (key) => (typeof key === 'string' ? key : key.publicKey)
+
+// Tokens legados (generateToken / ACCESS_TOKEN_SECRET sem kid) são aceitos até
+// LEGACY_JWT_GRACE_UNTIL. Sem data configurada (ou com data inválida), não são aceitos.
+const isLegacyGracePeriod = () => {
+	const graceUntil = new Date(process.env.LEGACY_JWT_GRACE_UNTIL)
+	return new Date() < graceUntil
+}
+
+const verifyLegacyToken = (token, payload) => {
+	if (!isLegacyGracePeriod()) {
+		throw new jwt.JsonWebTokenError('Token legado não é mais aceito')
+	}
+
+	// Tokens do antigo generateToken carregam "id" e usam JWT_SECRET
+	if (payload.id && process.env.JWT_SECRET) {
+		const decoded = jwt.verify(token, process.env.JWT_SECRET, { algorithms: ['HS256'] })
+		return { userId: decoded.id, claims: decoded, legacy: true }
+	}
+
+	// Tokens do antigo authController carregam "userId" e usam ACCESS_TOKEN_SECRET
+	if (payload.userId && process.env.ACCESS_TOKEN_SECRET) {
+		const decoded = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET, { algorithms: ['HS256'] })
+		return { userId: decoded.userId, claims: decoded, legacy: true }
+	}
+
+	throw new jwt.JsonWebTokenError('Token inválido')
+}
+
+// Assina um token com a chave ativa. O claim "type" separa access tokens de
+// tokens de propósito específico (ex.: desafio MFA), que não autenticam rotas.
+const signToken = (type, userId, claims, expiresIn) => {
+	const keys = getKeys()
+	const kid = getActiveKid(keys)
+
+	return jwt.sign({ ...claims, type }, getSigningKey(keys[kid]), {
+		algorithm: getAlgorithm(),
+		expiresIn,
+		issuer: getIssuer(),
+		audience: getAudience(),
+		subject: userId.toString(),
+		keyid: kid,
+	})
+}
+
+// Verifica assinatura, iss, aud e o tipo esperado de um token com kid
+const verifyToken = (token, header, type) => {
+	const keys = getKeys()
+	const key = keys[header.kid]
+	if (!key) {
+		throw new jwt.JsonWebTokenError('Chave de assinatura desconhecida')
+	}
+
+	const algorithm = getAlgorithm()
+	if (isAsymmetric(algorithm) && typeof key === 'string') {
+		throw new Error(`Algoritmo ${algorithm} exige chaves { privateKey, publicKey } em JWT_KEYS`)
+	}
+
+	const claims = jwt.verify(token, getVerificationKey(key), {
+		algorithms: [algorithm],
+		issuer: getIssuer(),
+		audience: getAudience(),
+	})
+
+	if (claims.type !== type) {
+		throw new jwt.JsonWebTokenError('Tipo de token inválido')
+	}
+
+	return claims
+}
+
+const decodeHeader = (token) => {
+	const decoded = jwt.decode(token, { complete: true })
+	if (!decoded || typeof decoded.payload !== 'object') {
+		throw new jwt.JsonWebTokenError('Token malformado')
+	}
+	return decoded
+}
+
+// Emite um access token para o usuário
+export const signAccessToken = (userId, claims = {}, options = {}) => {
+	return signToken(
+		'access',
+		userId,
+		claims,
+		options.expiresIn || process.env.ACCESS_TOKEN_EXPIRES_IN || '15m',
+	)
+}
+
+// Access token de curta duração para um admin atuar como outro usuário.
+// O claim "act" (RFC 8693) identifica quem está por trás das requisições.
+export const signImpersonationToken = (userId, actorId, claims = {}) => {
+	return signAccessToken(
+		userId,
+		{ ...claims, act: { sub: actorId.toString() } },
+		{ expiresIn: process.env.IMPERSONATION_TOKEN_EXPIRES_IN || '15m' },
+	)
+}
+
+// Verifica um access token e retorna { userId, claims, legacy }.
+// Lança os erros do jsonwebtoken (JsonWebTokenError, TokenExpiredError).
+export const verifyAccessToken = (token) => {
+	const { header, payload } = decodeHeader(token)
+
+	if (!header.kid) {
+		return verifyLegacyToken(token, payload)
+	}
+
+	const claims = verifyToken(token, header, 'access')
+	return { userId: claims.sub, claims, legacy: false }
+}
+
+// Token de curta duração emitido após a senha correta quando a conta tem 2FA.
+// Só pode ser trocado por tokens de acesso em /api/auth/mfa/verify.
+export const signMfaChallengeToken = (userId) => {
+	return signToken('mfa_challenge', userId, {}, process.env.MFA_CHALLENGE_EXPIRES_IN || '5m')
+}
+
+export const verifyMfaChallengeToken = (token) => {
+	const { header } = decodeHeader(token)
+	if (!header.kid) {
+		throw new jwt.JsonWebTokenError('Token inválido')
+	}
+	return verifyToken(token, header, 'mfa_challenge')
+}
+
+// Emite um refresh token vinculado a uma sessão. O jti torna cada token
+// único, permitindo detectar a reutilização de tokens já rotacionados.
+export const signRefreshToken = (userId, sessionId) => {
+	return jwt.sign(
+		{ sid: sessionId.toString(), jti: crypto.randomUUID() },
+		process.env.REFRESH_TOKEN_SECRET,
+		{
+			expiresIn: process.env.REFRESH_TOKEN_EXPIRES_IN || '7d',
+			subject: userId.toString(),
+		},
+	)
+}
+
+// Verifica um refresh token e retorna o payload
+export const verifyRefreshToken = (token) => {
+	const decoded = jwt.verify(token, process.env.REFRESH_TOKEN_SECRET)
+	if (!decoded.sid) {
+		throw new jwt.JsonWebTokenError('Refresh token sem sessão')
+	}
+	return decoded
+}
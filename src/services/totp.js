@@ -0,0 +1,103 @@
+// services/totp.js - TOTP (RFC 6238) com HMAC-SHA1, 6 dígitos e passo de 30s
+import crypto from 'crypto'
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567'
+const STEP_SECONDS = 30
+const DIGITS = 6
+
+const base32Encode = (buffer) => {
+	let bits = 0
+	let value = 0
+	let output = ''
+
+	for (const byte of buffer) {
+		value = (value << 8) | byte
+		bits += 8
+		while (bits >= 5) {
+			output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31]
+			bits -= 5
+		}
+	}
+
+	if (bits > 0) {
+		output += BASE32_ALPHABET[(value << (5 - bits)) & 31]
+	}
+
+	return output
+}
+
+const base32Decode = (input) => {
+	const clean = input.replace(/=+$/, '').replace(/\s/g, '').toUpperCase()
+	let bits = 0
+	let value = 0
+	const bytes = []
+
+	for (const char of clean) {
+		const index = BASE32_ALPHABET.indexOf(char)
+		if (index === -1) {
+			throw new Error('Segredo TOTP inválido')
+		}
+		value = (value << 5) | index
+		bits += 5
+		if (bits >= 8) {
+			bytes.push((value >>> (bits - 8)) & 255)
+			bits -= 8
+		}
+	}
+
+	return Buffer.from(bytes)
+}
+
+// Gera um segredo aleatório de 160 bits em base32
+export const generateTotpSecret = () => base32Encode(crypto.randomBytes(20))
+
+// Passo de tempo atual (contador do RFC 6238)
+export const getTimeStep = (timestamp = Date.now()) => Math.floor(timestamp / 1000 / STEP_SECONDS)
+
+// Calcula o código HOTP (RFC 4226) para um passo de tempo
+export const generateTotp = (secret, step = getTimeStep()) => {
+	const counter = Buffer.alloc(8)
+	counter.writeBigUInt64BE(BigInt(step))
+
+	const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest()
+	const offset = hmac[hmac.length - 1] & 0xf
+	const binary = hmac.readUInt32BE(offset) & 0x7fffffff
+
+	return String(binary % 10 ** DIGITS).padStart(DIGITS, '0')
+}
+
+// Verifica um código aceitando uma janela de ±window passos para compensar
+// diferenças de relógio. Retorna o passo correspondente ou null.
+// Passos menores ou iguais a lastUsedStep são recusados para impedir replay.
+export const verifyTotp = (secret, code, { window = 1, lastUsedStep = null } = {}) => {
+	const normalized = String(code || '').replace(/\s/g, '')
+	if (!/^\d{6}$/.test(normalized)) return null
+
+	const currentStep = getTimeStep()
+
+	for (let offset = -window; offset <= window; offset++) {
+		const step = currentStep + offset
+		if (lastUsedStep !== null && step <= lastUsedStep) continue
+
+		const expected = generateTotp(secret, step)
+		if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+			return step
+		}
+	}
+
+	return null
+}
+
+// URI otpauth:// para gerar o QR code nos aplicativos autenticadores
+export const buildOtpauthUri = ({ secret, account, issuer }) => {
+	const label = encodeURIComponent(`${issuer}:${account}`)
+	const params = new URLSearchParams({
+		secret,
+		issuer,
+		algorithm: 'SHA1',
+		digits: String(DIGITS),
+		period: String(STEP_SECONDS),
+	})
+
+	return `otpauth://totp/${label}?${params.toString()}`
+}
@@ -0,0 +1,35 @@
+// utils/csv.js
+
+// Início de célula interpretado como fórmula por planilhas (CSV injection)
+const FORMULA_PREFIX = /^[=+\-@\t\r]/
+
+// Escapa um valor para CSV (RFC 4180). Datas viram ISO 8601 e objetos, JSON. Textos que
+// começam como fórmula recebem um apóstrofo para serem exibidos como texto.
+const formatValue = (value) => {
+	if (value === null || value === undefined) return ''
+
+	let text
+	if (value instanceof Date) {
+		text = value.toISOString()
+	} else if (typeof value === 'object' && typeof value.toHexString === 'function') {
+		text = value.toHexString()
+	} else if (typeof value === 'object') {
+		text = JSON.stringify(value)
+	} else {
+		text = String(value)
+		if (typeof value === 'string' && FORMULA_PREFIX.test(text)) text = `'${text}`
+	}
+
+	return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+// Gera um CSV a partir de uma lista de objetos. columns: [{ header, value: (row) => any }]
+export const toCsv = (rows, columns) => {
+	const lines = [columns.map((column) => formatValue(column.header)).join(',')]
+
+	for (const row of rows) {
+		lines.push(columns.map((column) => formatValue(column.value(row))).join(','))
+	}
+
+	return `${lines.join('\r\n')}\r\n`
+}
@@ -0,0 +1,27 @@
+// utils/encryption.js
+import crypto from 'crypto'
+
+// Chave AES-256 derivada de MFA_ENCRYPTION_KEY
+const getKey = () => {
+	if (!process.env.MFA_ENCRYPTION_KEY) {
+		throw new Error('MFA_ENCRYPTION_KEY não configurada')
+	}
+	return crypto.createHash('sha256').update(process.env.MFA_ENCRYPTION_KEY).digest()
+}
+
+// Criptografa um segredo com AES-256-GCM (formato: iv.tag.conteúdo em base64)
+export const encryptSecret = (plainText) => {
+	const iv = crypto.randomBytes(12)
+	const cipher = crypto.createCipheriv('aes-256-gcm', getKey(), iv)
+	const encrypted = Buffer.concat([cipher.update(plainText, 'utf8'), cipher.final()])
+
+	return [iv, cipher.getAuthTag(), encrypted].map((part) => part.toString('base64')).join('.')
+}
+
+export const decryptSecret = (payload) => {
+	const [iv, tag, encrypted] = payload.split('.').map((part) => Buffer.from(part, 'base64'))
+	const decipher = crypto.createDecipheriv('aes-256-gcm', getKey(), iv)
+	decipher.setAuthTag(tag)
+
+	return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8')
+}
@@ -0,0 +1,30 @@
+// utils/signedUrl.js - Links de download assinados (HMAC) com expiração
+import crypto from 'crypto'
+
+const getSecret = () => {
+	const secret = process.env.SIGNED_URL_SECRET || process.env.ACCESS_TOKEN_SECRET
+	if (!secret) {
+		throw new Error('SIGNED_URL_SECRET não configurada')
+	}
+	return secret
+}
+
+const sign = (path, expires) =>
+	crypto.createHmac('sha256', getSecret()).update(`${path}:${expires}`).digest('hex')
+
+// Retorna o caminho com os parâmetros "expires" (segundos) e "signature"
+export const createSignedUrl = (path, expiresAt) => {
+	const expires = Math.floor(expiresAt.getTime() / 1000)
+	const params = new URLSearchParams({ expires: String(expires), signature: sign(path, expires) })
+	return `${path}?${params.toString()}`
+}
+
+// Confere assinatura e validade de um link gerado por createSignedUrl
+export const verifySignedUrl = (path, { expires, signature }) => {
+	if (!expires || !signature || !/^\d+$/.test(expires)) return false
+	if (Number(expires) * 1000 < Date.now()) return false
+
+	const expected = Buffer.from(sign(path, Number(expires)))
+	const received = Buffer.from(String(signature))
+	return expected.length === received.length && crypto.timingSafeEqual(expected, received)
+}
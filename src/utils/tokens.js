@@ -0,0 +1,8 @@
+// utils/tokens.js
+import crypto from 'crypto'
+
+// Gera um token aleatório seguro (hex)
+export const generateRandomToken = (bytes = 32) => crypto.randomBytes(bytes).toString('hex')
+
+// Hash SHA-256 usado para armazenar tokens sem guardar o valor original
+export const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex')
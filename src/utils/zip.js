@@ -0,0 +1,80 @@
+// utils/zip.js - Gera arquivos .zip simples (sem criptografia) com compressão deflate
+import zlib from 'zlib'
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+	let c = n
+	for (let k = 0; k < 8; k++) {
+		c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+	}
+	return c >>> 0
+})
+
+const crc32 = (buffer) => {
+	let crc = 0xffffffff
+	for (const byte of buffer) {
+		crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8)
+	}
+	return (crc ^ 0xffffffff) >>> 0
+}
+
+// Data e hora no formato MS-DOS usado pelo zip
+const dosDateTime = (date) => ({
+	time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+	date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+})
+
+// Monta o zip em memória. files: [{ name, content (string ou Buffer) }]
+export const createZip = (files, modifiedAt = new Date()) => {
+	const { time, date } = dosDateTime(modifiedAt)
+	const localParts = []
+	const centralParts = []
+	let offset = 0
+
+	for (const file of files) {
+		const name = Buffer.from(file.name, 'utf8')
+		const data = Buffer.isBuffer(file.content) ? file.content : Buffer.from(file.content, 'utf8')
+		const compressed = zlib.deflateRawSync(data)
+		const crc = crc32(data)
+
+		const local = Buffer.alloc(30)
+		local.writeUInt32LE(0x04034b50, 0)
+		local.writeUInt16LE(20, 4) // versão necessária
+		local.writeUInt16LE(0x0800, 6) // nomes em UTF-8
+		local.writeUInt16LE(8, 8) // deflate
+		local.writeUInt16LE(time, 10)
+		local.writeUInt16LE(date, 12)
+		local.writeUInt32LE(crc, 14)
+		local.writeUInt32LE(compressed.length, 18)
+		local.writeUInt32LE(data.length, 22)
+		local.writeUInt16LE(name.length, 26)
+		local.writeUInt16LE(0, 28)
+
+		const central = Buffer.alloc(46)
+		central.writeUInt32LE(0x02014b50, 0)
+		central.writeUInt16LE(20, 4) // versão que criou
+		central.writeUInt16LE(20, 6) // versão necessária
+		central.writeUInt16LE(0x0800, 8)
+		central.writeUInt16LE(8, 10)
+		central.writeUInt16LE(time, 12)
+		central.writeUInt16LE(date, 14)
+		central.writeUInt32LE(crc, 16)
+		central.writeUInt32LE(compressed.length, 20)
+		central.writeUInt32LE(data.length, 24)
+		central.writeUInt16LE(name.length, 28)
+		central.writeUInt32LE(offset, 42)
+
+		localParts.push(local, name, compressed)
+		centralParts.push(central, name)
+		offset += local.length + name.length + compressed.length
+	}
+
+	const centralDirectory = Buffer.concat(centralParts)
+	const end = Buffer.alloc(22)
+	end.writeUInt32LE(0x06054b50, 0)
+	end.writeUInt16LE(files.length, 8)
+	end.writeUInt16LE(files.length, 10)
+	end.writeUInt32LE(centralDirectory.length, 12)
+	end.writeUInt32LE(offset, 16)
+
+	return Buffer.concat([...localParts, centralDirectory, end])
+}